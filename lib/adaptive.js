@@ -0,0 +1,215 @@
+/**
+ * @brief Key the adaptive difficulty is stored under in session storage.
+ */
+const ADAPTIVE_STORAGE_KEY = "kitboga-captcha-adaptive";
+
+/**
+ * @brief Number of failures in a row after which the difficulty is lowered.
+ */
+const ADAPTIVE_MAX_FAILURES = 2;
+
+/**
+ * @brief Number of most recent solve times that are kept.
+ */
+const ADAPTIVE_MAX_SOLVE_TIMES = 10;
+
+
+/**
+ * @brief Loads the adaptive difficulty state of a captcha from session
+ * storage.
+ *
+ * @param window  {Window} Window object.
+ * @param captcha {String} Name of the captcha.
+ *
+ * @return {Object} The state, or `null` if there is none.
+ */
+const loadAdaptiveState = (window, captcha) => {
+    try {
+        const states = JSON.parse(window.sessionStorage.getItem(ADAPTIVE_STORAGE_KEY));
+        if (states && states[captcha]) {
+            return states[captcha];
+        }
+    } catch (err) {
+        // Storage is unavailable (e.g. disabled or sandboxed) or corrupt.
+    }
+    return null;
+};
+
+
+/**
+ * @brief Saves the adaptive difficulty state of a captcha to session storage.
+ *
+ * @param window  {Window} Window object.
+ * @param captcha {String} Name of the captcha.
+ * @param state   {Object} The state.
+ *
+ * @return {Boolean} `true` if the state was saved, otherwise `false`.
+ */
+const saveAdaptiveState = (window, captcha, state) => {
+    try {
+        const states = JSON.parse(window.sessionStorage.getItem(ADAPTIVE_STORAGE_KEY)) || {};
+        states[captcha] = state;
+        window.sessionStorage.setItem(ADAPTIVE_STORAGE_KEY, JSON.stringify(states));
+    } catch (err) {
+        return false;
+    }
+    return true;
+};
+
+
+/**
+ * @brief Adjusts the difficulty of a captcha to how the player is doing.
+ *
+ * @details Enabled by the `adaptive` query parameter, starting from the
+ * `difficulty` preset. Failures and the time taken to solve the captcha are
+ * tracked from the messages the captcha posts. After `ADAPTIVE_MAX_FAILURES`
+ * failures in a row the difficulty is lowered by one preset, and the new
+ * preset is passed to the functions added with `listen()` so it applies to the
+ * next attempt. A solve within `quickSolveMs` without failing raises the
+ * difficulty by one preset for the next time the captcha is loaded.
+ *
+ * The state is kept in session storage, so it lasts for as long as the game
+ * shell's tab is open. It is started over when the captcha is loaded with a
+ * different `difficulty` than the one it was saved for, so an explicitly
+ * requested difficulty is never overridden by a stale one. Only the last
+ * `ADAPTIVE_MAX_SOLVE_TIMES` solve times are kept. When replaying a
+ * recording, the state starts from the recorded difficulty and is not saved.
+ *
+ * @param window       {Window}          Window object.
+ * @param captcha      {String}          Name of the captcha.
+ * @param protocol     {CaptchaProtocol} Protocol the captcha posts messages with.
+ * @param schema       {Object}          Dictionary of query parameter name to
+ *                                       its spec (see `readConfig()`).
+ * @param presets      {Object}          Dictionary of `Difficulty` to the
+ *                                       captcha's preset settings.
+ * @param quickSolveMs {Integer}         Solving within this many milliseconds
+ *                                       is a quick pass.
+ *
+ * @return {AdaptiveDifficulty}
+ */
+const AdaptiveDifficulty = (window, captcha, protocol, schema, presets, quickSolveMs) => {
+    const searchParams = new URLSearchParams(window.location.search);
+    const enabled = searchParams.has("adaptive");
+    const replay = searchParams.has("replay");
+
+    // Functions invoked with the preset settings when the difficulty changes.
+    const listeners = [];
+
+    let state = {
+        "requested": getDifficulty(window),
+        "difficulty": getDifficulty(window),
+        "failures": 0,
+        "solveTimes": []
+    };
+
+    /**
+     * @brief Saves the state, unless a recording is being replayed.
+     */
+    const save = () => {
+        if (!replay) {
+            saveAdaptiveState(window, captcha, state);
+        }
+    };
+
+    /**
+     * @brief Moves the difficulty up or down by a number of presets.
+     *
+     * @param delta {Integer} Number of presets to move by.
+     */
+    const adjust = (delta) => {
+        let idx = DIFFICULTY_LEVELS.indexOf(state.difficulty) + delta;
+        idx = Math.max(0, Math.min(DIFFICULTY_LEVELS.length - 1, idx));
+
+        const difficulty = DIFFICULTY_LEVELS[idx];
+        if (difficulty == state.difficulty) {
+            return;
+        }
+
+        state.difficulty = difficulty;
+        const settings = getPreset(window, schema, presets, difficulty);
+        listeners.forEach((fn) => {
+            fn(settings);
+        });
+    };
+
+    /**
+     * @brief Tracks a message posted by the captcha.
+     *
+     * @param message {Object} The posted message.
+     */
+    const onMessage = (message) => {
+        if (message.type === CaptchaMessageType.FAILED) {
+            state.failures += 1;
+            if (state.failures >= ADAPTIVE_MAX_FAILURES) {
+                state.failures = 0;
+                adjust(-1);
+            }
+            save();
+        } else if (message.type === CaptchaMessageType.SUCCESS) {
+            const elapsed = message.payload.elapsed;
+            state.solveTimes.push(elapsed);
+            state.solveTimes = state.solveTimes.slice(-ADAPTIVE_MAX_SOLVE_TIMES);
+            if ((state.failures == 0) && (elapsed <= quickSolveMs)) {
+                adjust(1);
+            }
+            state.failures = 0;
+            save();
+        }
+    };
+
+    /**
+     * @brief Adds a function to invoke with the settings of the new preset
+     * when the difficulty changes.
+     *
+     * @param fn {Function} The function.
+     */
+    const listen = (fn) => {
+        listeners.push(fn);
+    };
+
+    /**
+     * @brief Returns the current difficulty.
+     *
+     * @return {Difficulty}
+     */
+    const getLevel = () => {
+        return state.difficulty;
+    };
+
+    /**
+     * @brief Returns the number of failures in a row.
+     *
+     * @return {Integer}
+     */
+    const getFailures = () => {
+        return state.failures;
+    };
+
+    /**
+     * @brief Returns the time, in milliseconds, of the most recent solves
+     * this session.
+     *
+     * @return {Array}
+     */
+    const getSolveTimes = () => {
+        return state.solveTimes.slice();
+    };
+
+    return (() => {
+        if (enabled) {
+            const saved = replay ? null : loadAdaptiveState(window, captcha);
+            if (saved && (saved.requested === state.requested) &&
+                DIFFICULTY_LEVELS.includes(saved.difficulty)) {
+                state = saved;
+            }
+            protocol.observe(onMessage);
+        }
+
+        const self = {};
+        self.listen = listen;
+        self.getLevel = getLevel;
+        self.getFailures = getFailures;
+        self.getSolveTimes = getSolveTimes;
+        return self;
+    })();
+};
@@ -0,0 +1,192 @@
+/**
+ * @brief Types of query parameters.
+ */
+const ConfigType = Object.freeze({
+    INT: "int",
+    FLOAT: "float",
+    BOOL: "bool",
+    STRING: "str",
+    LIST: "list"
+});
+
+
+/**
+ * @brief Query parameter values accepted as `true` and `false` for
+ * `ConfigType.BOOL`.
+ *
+ * @details A boolean parameter given without a value (e.g. `?expire`) is
+ * `true`.
+ */
+const CONFIG_TRUE_VALUES = Object.freeze(["", "1", "true", "yes", "on"]);
+const CONFIG_FALSE_VALUES = Object.freeze(["0", "false", "no", "off"]);
+
+
+/**
+ * @brief Parses the value of a query parameter.
+ *
+ * @param value {String} Value of the query parameter.
+ * @param spec  {Object} Dictionary of the `type` of the parameter and,
+ *                       optionally, its `min` and `max` (for numbers) or its
+ *                       allowed `values` (for strings and the items of
+ *                       comma-separated lists).
+ *
+ * @return {Object} Dictionary of the parsed `value`, or of the `error` if the
+ * value was rejected.
+ */
+const parseConfigValue = (value, spec) => {
+    let parsed = null;
+
+    switch (spec.type) {
+        case ConfigType.INT:
+            if (!/^[-+]?\d+$/.test(value.trim())) {
+                return { "error": "must be a whole number" };
+            }
+            parsed = parseInt(value, 10);
+            break;
+
+        case ConfigType.FLOAT:
+            parsed = parseFloat(value);
+            if (!isFinite(value.trim()) || !isFinite(parsed)) {
+                return { "error": "must be a number" };
+            }
+            break;
+
+        case ConfigType.BOOL:
+            if (CONFIG_TRUE_VALUES.includes(value.toLowerCase())) {
+                return { "value": true };
+            } else if (CONFIG_FALSE_VALUES.includes(value.toLowerCase())) {
+                return { "value": false };
+            }
+            return { "error": "must be true or false" };
+
+        case ConfigType.LIST:
+            parsed = value.split(",").map((item) => item.trim()).filter((item) => item.length);
+            if (!parsed.length) {
+                return { "error": "must not be empty" };
+            } else if (spec.values && !parsed.every((item) => spec.values.includes(item))) {
+                return { "error": `must be a list of ${spec.values.join(", ")}` };
+            }
+            return { "value": parsed };
+
+        default:
+            if (spec.values && !spec.values.includes(value)) {
+                return { "error": `must be one of ${spec.values.join(", ")}` };
+            }
+            return { "value": value };
+    }
+
+    if ((spec.min !== undefined) && (parsed < spec.min)) {
+        return { "error": `must be at least ${spec.min}` };
+    }
+
+    if ((spec.max !== undefined) && (parsed > spec.max)) {
+        return { "error": `must be at most ${spec.max}` };
+    }
+
+    return { "value": parsed };
+};
+
+
+/**
+ * @brief Reads the query parameters described by a schema.
+ *
+ * @details Parameters that are not given are left out. Parameters that do
+ * not match the schema are rejected and left out as well, so that the
+ * captcha falls back to its default.
+ *
+ * @param window {Window} Window object.
+ * @param schema {Object} Dictionary of query parameter name to its spec (see
+ *                        `parseConfigValue()`).
+ *
+ * @return {Object} Dictionary of the parsed `values`, keyed by name, and the
+ * list of `rejected` `{ name, value, error }` parameters.
+ */
+const readConfig = (window, schema) => {
+    const searchParams = new URLSearchParams(window.location.search);
+    const values = {};
+    const rejected = [];
+
+    Object.keys(schema).forEach((name) => {
+        if (!searchParams.has(name)) {
+            return;
+        }
+
+        const value = searchParams.get(name);
+        const result = parseConfigValue(value, schema[name]);
+        if ("error" in result) {
+            rejected.push({ "name": name, "value": value, "error": result.error });
+        } else {
+            values[name] = result.value;
+        }
+    });
+
+    return { "values": values, "rejected": rejected };
+};
+
+
+/**
+ * @brief Returns `true` if the captcha is being developed.
+ *
+ * @details That is the case when it is opened from disk or from the local
+ * machine, or with the `dev` query parameter.
+ *
+ * @param window {Window} Window object.
+ *
+ * @return {Boolean}
+ */
+const isDevMode = (window) => {
+    const searchParams = new URLSearchParams(window.location.search);
+    const location = window.location;
+    return (searchParams.has("dev") ||
+            (location.protocol == "file:") ||
+            (location.hostname == "localhost") ||
+            (location.hostname == "127.0.0.1"));
+};
+
+
+/**
+ * @brief Warns about query parameters rejected by a schema.
+ *
+ * @details The rejected parameters are always logged. In dev mode (see
+ * `isDevMode()`) they are also listed in a banner across the top of the
+ * captcha, which is removed when clicked.
+ *
+ * @param window   {Window}   Window object.
+ * @param document {Document} Document object model.
+ * @param schema   {Object}   Dictionary of query parameter name to its spec.
+ *
+ * @return {Array} List of the rejected `{ name, value, error }` parameters.
+ */
+const warnInvalidConfig = (window, document, schema) => {
+    const rejected = readConfig(window, schema).rejected;
+    if (!rejected.length) {
+        return rejected;
+    }
+
+    const lines = rejected.map((param) => {
+        return `${param.name}=${param.value} (${param.error})`;
+    });
+    window.console.warn(`Ignored query parameters: ${lines.join(", ")}`);
+
+    if (isDevMode(window)) {
+        const el = document.createElement("div");
+        el.className = "captcha-config-warning";
+        el.style.position = "absolute";
+        el.style.top = "0";
+        el.style.left = "0";
+        el.style.right = "0";
+        el.style.zIndex = "1000";
+        el.style.padding = "4px 8px";
+        el.style.background = "#FFF3CD";
+        el.style.color = "#856404";
+        el.style.font = "12px sans-serif";
+        el.style.whiteSpace = "pre-line";
+        el.innerText = `Ignored query parameters:\n${lines.join("\n")}`;
+        el.addEventListener("click", () => {
+            el.remove();
+        });
+        document.body.appendChild(el);
+    }
+
+    return rejected;
+};
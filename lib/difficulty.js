@@ -0,0 +1,121 @@
+/**
+ * @brief Difficulty presets understood by every captcha.
+ */
+const Difficulty = Object.freeze({
+    EASY: "easy",
+    NORMAL: "normal",
+    HARD: "hard",
+    EVIL: "evil"
+});
+
+
+/**
+ * @brief Difficulty used when none (or an unknown one) is given.
+ */
+const DEFAULT_DIFFICULTY = Difficulty.NORMAL;
+
+
+/**
+ * @brief Difficulties from easiest to hardest.
+ */
+const DIFFICULTY_LEVELS = Object.freeze([
+    Difficulty.EASY,
+    Difficulty.NORMAL,
+    Difficulty.HARD,
+    Difficulty.EVIL
+]);
+
+
+/**
+ * @brief Schema of the `difficulty` query parameter (see `readConfig()`).
+ */
+const DIFFICULTY_CONFIG = Object.freeze({
+    "type": ConfigType.STRING,
+    "values": DIFFICULTY_LEVELS
+});
+
+
+/**
+ * @brief Returns the difficulty requested by the `difficulty` query parameter.
+ *
+ * @param window {Window} Window object.
+ *
+ * @return {Difficulty}
+ */
+const getDifficulty = (window) => {
+    const searchParams = new URLSearchParams(window.location.search);
+    const difficulty = (searchParams.get("difficulty") || "").toLowerCase();
+    if (DIFFICULTY_LEVELS.includes(difficulty)) {
+        return difficulty;
+    }
+    return DEFAULT_DIFFICULTY;
+};
+
+
+/**
+ * @brief Returns the settings of a captcha for the requested difficulty.
+ *
+ * @details Settings are taken from the `default` of each setting in the
+ * schema, then from the preset of the difficulty. Any setting given as a valid
+ * query parameter of the same name overrides both, so e.g.
+ * `?difficulty=hard&numShuffles=2` plays hard with only two shuffles. Values
+ * are parsed to the type in the schema; invalid ones are ignored (see
+ * `warnInvalidConfig()`).
+ *
+ * @param window     {Window}     Window object.
+ * @param schema     {Object}     Dictionary of query parameter name to its
+ *                                spec (see `readConfig()`), with an optional
+ *                                `default` value.
+ * @param presets    {Object}     Dictionary of `Difficulty` to a dictionary of
+ *                                the query parameters that preset changes.
+ * @param difficulty {Difficulty} Optional difficulty to use instead of the
+ *                                `difficulty` query parameter.
+ *
+ * @return {Object} Dictionary of query parameter name to value.
+ */
+const getSettings = (window, schema, presets, difficulty) => {
+    const values = readConfig(window, schema).values;
+    const settings = {};
+
+    Object.keys(schema).forEach((name) => {
+        if (schema[name].default !== undefined) {
+            settings[name] = schema[name].default;
+        }
+    });
+    Object.assign(settings, presets[difficulty || getDifficulty(window)]);
+
+    Object.keys(settings).forEach((name) => {
+        if (name in values) {
+            settings[name] = values[name];
+        }
+    });
+
+    return settings;
+};
+
+
+/**
+ * @brief Returns the settings of a difficulty preset that are not overridden
+ * by a valid query parameter.
+ *
+ * @param window     {Window}     Window object.
+ * @param schema     {Object}     Dictionary of query parameter name to its
+ *                                spec (see `readConfig()`).
+ * @param presets    {Object}     Dictionary of `Difficulty` to a dictionary of
+ *                                the query parameters that preset changes.
+ * @param difficulty {Difficulty} The difficulty.
+ *
+ * @return {Object} Dictionary of query parameter name to value.
+ */
+const getPreset = (window, schema, presets, difficulty) => {
+    const values = readConfig(window, schema).values;
+    const settings = {};
+
+    Object.keys(presets[difficulty]).forEach((name) => {
+        if (!(name in values)) {
+            settings[name] = presets[difficulty][name];
+        }
+    });
+
+    return settings;
+};
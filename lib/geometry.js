@@ -0,0 +1,51 @@
+/**
+ * @brief 2-dimensional point.
+ */
+class Point {
+    /**
+     * @brief Point constructor.
+     *
+     * @param x {Float} X coordinate of the point.
+     * @param y {Float} Y coordinate of the point.
+     */
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+};
+
+
+/**
+ * @brief Returns if a point falls within a rectangle.
+ *
+ * @param p    {Point}     The point to check for capture.
+ * @param rect {Rectangle} The bounding client rectangle.
+ *
+ * @return {Boolean} `true` if point is contained, otherwise `false`.
+ */
+const isWithin = (p, rect) => {
+    if (!p || !rect) {
+        return false;
+    }
+    return ((p.x >= rect.left) &&
+            (p.x <= rect.right) &&
+            (p.y >= rect.top) &&
+            (p.y <= rect.bottom));
+};
+
+
+/**
+ * @brief Returns a boolean indicating if the two rectangles overlap.
+ *
+ * @param rectA {Rectangle} The first rectangle.
+ * @param rectB {Rectangle} The second rectangle.
+ *
+ * @returns {Boolean} `true` if overlaps, otherwise `false`.
+ */
+const rectIntersects = (rectA, rectB) => {
+    return !(
+        (rectB.left > rectA.right) ||
+        (rectB.right < rectA.left) ||
+        (rectB.top > rectA.bottom) ||
+        (rectB.bottom < rectA.top));
+};
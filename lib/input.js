@@ -0,0 +1,23 @@
+/**
+ * @brief Events that complete a touch or mouse press.
+ */
+const TOUCH_EVENTS = Object.freeze(["mouseup", "touchend"]);
+
+
+/**
+ * @brief Returns the coordinates of a touch or mouse down event.
+ *
+ * @param ev {Event} The UI event.
+ *
+ * @return {Point} A coordinate on success, otherwise `null`.
+ */
+const getCoordinates = (ev) => {
+    if (!ev.touches) {
+        return new Point(ev.clientX, ev.clientY);
+    } else if (ev.touches.length == 1) {
+        return new Point(ev.touches[0].clientX, ev.touches[0].clientY);
+    }
+
+    // Multi-finger touch not supported.
+    return null;
+};
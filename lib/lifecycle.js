@@ -0,0 +1,27 @@
+/**
+ * @brief Loads a captcha application once the DOM is ready.
+ *
+ * @details The application is created at most once, whichever of the `load`
+ * or `DOMContentLoaded` events fires first.
+ *
+ * @param factory {Function} Captcha factory, invoked with `(window, document)`.
+ */
+const bootstrap = (factory) => {
+    /**
+     * @brief Callback invoked when DOM is ready. Loads the application.
+     */
+    const onReady = () => {
+        if (onReady.app) {
+            // Function already invoked, so return.
+            return;
+        }
+
+        onReady.app = factory(window, document);
+    };
+
+    // Bind the listener to the `onReady` handler.
+    window.onload = onReady;
+
+    // Backwards fallback for `onload` failing.
+    document.addEventListener("DOMContentLoaded", onReady);
+};
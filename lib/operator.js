@@ -0,0 +1,167 @@
+/**
+ * @brief Code of the key that toggles the operator panel when pressed with
+ * Ctrl + Alt.
+ *
+ * @details The physical key is matched rather than the character it types,
+ * since Alt (Option) changes the character on macOS, e.g. to `ø`.
+ */
+const OPERATOR_TOGGLE_CODE = "KeyO";
+
+
+/**
+ * @brief Operator control panel for the game shell.
+ *
+ * @details The panel lets the operator push new settings into the running
+ * captcha without reloading it. It is only created when the shell is opened
+ * with the `operator` query parameter, and stays hidden until Ctrl + Alt + O
+ * is pressed in the shell, so the player never sees it.
+ *
+ * The controls are described by the captcha in the payload of its `ready`
+ * message, as a list of `{ name, label, value }` dictionaries. Sending a
+ * control posts a `configure` message with `{ [name]: value }` to the
+ * captcha.
+ *
+ * The panel also shows the latest message posted by the captcha, with the
+ * attempt, the reason for a failure and the seed. It is kept out of the
+ * player's sight, since it would tell them why they failed and let them
+ * reproduce a round.
+ *
+ * @param window   {Window}   Window object of the game shell.
+ * @param document {Document} Document object model of the game shell.
+ * @param frame    {Element}  The iframe the captcha is loaded in.
+ *
+ * @return {OperatorPanel} The panel, or `null` if operator mode is disabled.
+ */
+const OperatorPanel = (window, document, frame) => {
+    const el = document.createElement("div");
+    const titleEl = document.createElement("strong");
+    const controlsEl = document.createElement("div");
+    const statusEl = document.createElement("div");
+
+    /**
+     * @brief Renders the panel and adds it to the DOM.
+     */
+    const render = () => {
+        el.id = "operator-panel";
+        el.style.display = "none";
+        el.style.position = "fixed";
+        el.style.right = "8px";
+        el.style.bottom = "8px";
+        el.style.zIndex = "1001";
+        el.style.padding = "8px";
+        el.style.fontSize = "0.8rem";
+        el.style.background = "#F9F9F9";
+        el.style.border = "1px solid #AAAAAA";
+        el.style.borderRadius = "6px";
+
+        titleEl.innerText = "Operator";
+        statusEl.id = "operator-status";
+        statusEl.style.marginTop = "4px";
+        statusEl.style.color = "#555555";
+        el.appendChild(titleEl);
+        el.appendChild(controlsEl);
+        el.appendChild(statusEl);
+        document.body.appendChild(el);
+    };
+
+    /**
+     * @brief Shows the panel if hidden, otherwise hides it.
+     */
+    const toggle = () => {
+        el.style.display = (el.style.display == "none") ? "block" : "none";
+    };
+
+    /**
+     * @brief Sends the value of a control to the captcha.
+     *
+     * @param name  {String} Name of the control.
+     * @param value {String} Raw value of the control's input.
+     */
+    const send = (name, value) => {
+        const parsed = parseFloat(value);
+        if (isNaN(parsed)) {
+            return;
+        }
+
+        const settings = {};
+        settings[name] = parsed;
+        postShellMessage(frame.contentWindow, ShellMessageType.CONFIGURE, settings);
+    };
+
+    /**
+     * @brief Replaces the rendered controls.
+     *
+     * @param captcha  {String} Name of the captcha the controls belong to.
+     * @param controls {Array}  List of `{ name, label, value }` dictionaries.
+     */
+    const setControls = (captcha, controls) => {
+        titleEl.innerText = `Operator (${captcha})`;
+        while (controlsEl.firstChild) {
+            controlsEl.removeChild(controlsEl.lastChild);
+        }
+
+        controls.forEach((control) => {
+            const row = document.createElement("div");
+            const label = document.createElement("label");
+            const input = document.createElement("input");
+            const button = document.createElement("button");
+
+            row.style.marginTop = "4px";
+            label.innerText = `${control.label} `;
+            input.type = "number";
+            input.value = control.value;
+            input.style.width = "4rem";
+            button.innerText = "Send";
+            button.addEventListener("click", () => {
+                send(control.name, input.value);
+            });
+
+            label.appendChild(input);
+            row.appendChild(label);
+            row.appendChild(button);
+            controlsEl.appendChild(row);
+        });
+    };
+
+    /**
+     * @brief Updates the panel from a message sent by the captcha.
+     *
+     * @param message {Object} Message returned by `parseCaptchaMessage()`.
+     */
+    const update = (message) => {
+        if (message.version > 0) {
+            statusEl.innerText = describeCaptchaMessage(message);
+        }
+
+        if ((message.type === CaptchaMessageType.READY) && message.payload.controls) {
+            setControls(message.captcha, message.payload.controls);
+        }
+    };
+
+    /**
+     * @brief Event handler for key presses in the game shell.
+     *
+     * @param ev {KeyboardEvent} The key down event.
+     */
+    const onKeyDown = (ev) => {
+        if (ev.ctrlKey && ev.altKey && (ev.code == OPERATOR_TOGGLE_CODE)) {
+            ev.preventDefault();
+            toggle();
+        }
+    };
+
+    return (() => {
+        const searchParams = new URLSearchParams(window.location.search);
+        if (!searchParams.has("operator")) {
+            return null;
+        }
+
+        render();
+        document.addEventListener("keydown", onKeyDown);
+
+        const self = {};
+        self.toggle = toggle;
+        self.update = update;
+        return self;
+    })();
+};
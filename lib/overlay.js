@@ -0,0 +1,123 @@
+/**
+ * @brief Overlay statuses and the icon shown for each.
+ */
+const OverlayStatus = Object.freeze({
+    success: "&#10003",
+    failed: "&#10005",
+    pass: "&#10003"
+});
+
+
+/**
+ * @brief Captcha overlay.
+ *
+ * @details Used to display text over top of the captcha.
+ *
+ * @param container {Element} Containing DOM element node.
+ */
+const CaptchaOverlay = (container) => {
+    const icon = document.createElement("div");
+    const titleEl = document.createElement("h2");
+    const subtitleEl = document.createElement("span");
+    const image = document.createElement("img");
+    const display = container.style.display;
+
+    /**
+     * @brief Renders the overlay.
+     *
+     * @details The overlay is a live region, so that screen readers announce
+     * its contents whenever they are set.
+     */
+    const render = () => {
+        container.setAttribute("role", "status");
+        container.setAttribute("aria-live", "polite");
+        icon.style.display = "none";
+        icon.className = "captcha-icon";
+        icon.setAttribute("aria-hidden", "true");
+        image.style.display = "none";
+        image.alt = "";
+        container.appendChild(icon);
+        container.appendChild(titleEl);
+        container.appendChild(image);
+        container.appendChild(subtitleEl);
+    };
+
+    /**
+     * @brief Returns the overlay DOM element.
+     *
+     * @return {Element}
+     */
+    const getElement = () => {
+        return container;
+    };
+
+    /**
+     * @brief Hides the overlay.
+     */
+    const hide = () => {
+        container.style.display = "none";
+    };
+
+    /**
+     * @brief Shows the overlay.
+     */
+    const show = () => {
+        container.style.display = display;
+    };
+
+    /**
+     * @brief Sets the overlay contents and shows the overlay.
+     *
+     * @details The specified dictionary specifies how to format the overlay
+     * and allows for:
+     *   - title: Text to display as the title in the overlay.
+     *   - text: Text to display in the body of the overlay.
+     *   - image: Optional image to present in the overlay.
+     *   - status: Optional overlay status (`success`, `failed` or `pass`).
+     *
+     * @param options {Object} Dictionary specifying how to format the overlay.
+     */
+    const set = (options) => {
+        titleEl.innerText = options.title || "";
+        subtitleEl.innerText = options.text || "";
+
+        if (options.image) {
+            // Unload, then re-load the image. This is necessary to work around
+            // quirks with webkit in Safari that will cause the animation to not
+            // play.
+            image.src = "";
+            image.className = "";
+            image.onload = (() => {
+                image.className = "captcha-shake";
+            });
+
+            image.src = options.image;
+            image.style.display = "inline-flex";
+        } else {
+            image.removeAttribute("src");
+            image.style.display = "none";
+        }
+
+        if (OverlayStatus[options.status]) {
+            icon.innerHTML = OverlayStatus[options.status];
+            icon.style.display = "flex";
+            container.className = `captcha-overlay captcha-${options.status}`;
+        } else {
+            icon.style.display = "none";
+            container.className = "captcha-overlay";
+        }
+
+        show();
+    };
+
+    return (() => {
+        render();
+
+        const self = {};
+        self.set = set;
+        self.hide = hide;
+        self.show = show;
+        self.getElement = getElement;
+        return self;
+    })();
+};
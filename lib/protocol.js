@@ -0,0 +1,317 @@
+/**
+ * @brief Name identifying messages that follow the captcha protocol.
+ */
+const CAPTCHA_PROTOCOL = "kitboga-captcha";
+
+/**
+ * @brief Version of the captcha protocol.
+ *
+ * @details Bump this when the shape of a message changes in a way that older
+ * shells cannot understand.
+ */
+const CAPTCHA_PROTOCOL_VERSION = 1;
+
+/**
+ * @brief Message types sent from a captcha to the game shell.
+ */
+const CaptchaMessageType = Object.freeze({
+    READY: "ready",
+    STARTED: "started",
+    ROUND_COMPLETE: "round-complete",
+    FAILED: "failed",
+    PAUSED: "paused",
+    RESUMED: "resumed",
+    SUCCESS: "success"
+});
+
+/**
+ * @brief Message types sent from the game shell to a captcha.
+ */
+const ShellMessageType = Object.freeze({
+    CONFIGURE: "configure"
+});
+
+
+/**
+ * @brief Captcha side of the protocol.
+ *
+ * @details Posts structured messages to the game shell. Every message carries
+ * the current attempt number and the number of milliseconds elapsed since the
+ * attempt started in its payload. For compatibility with shells that only
+ * understand the bare `"success"` string, that string is still posted on
+ * success. Messages from the game shell are dispatched to the handlers added
+ * with `listen()`.
+ *
+ * @param window  {Window} Window object.
+ * @param captcha {String} Name of the captcha sending the messages.
+ */
+const CaptchaProtocol = (window, captcha) => {
+    // Number of attempts started so far.
+    let attempt = 0;
+
+    // Time the current attempt started at, in milliseconds.
+    let startTime = null;
+
+    // Handlers for messages sent by the game shell, keyed by message type.
+    const handlers = {};
+
+    // Functions invoked with every message posted to the game shell.
+    const observers = [];
+
+    /**
+     * @brief Returns the number of milliseconds since the attempt started.
+     *
+     * @return {Integer}
+     */
+    const getElapsed = () => {
+        if (startTime === null) {
+            return 0;
+        }
+        return Date.now() - startTime;
+    };
+
+    /**
+     * @brief Posts a message to the game shell.
+     *
+     * @param type    {CaptchaMessageType} Type of the message.
+     * @param payload {Object}             Optional additional payload.
+     */
+    const post = (type, payload) => {
+        const message = {
+            "protocol": CAPTCHA_PROTOCOL,
+            "version": CAPTCHA_PROTOCOL_VERSION,
+            "captcha": captcha,
+            "type": type,
+            "payload": Object.assign({
+                "attempt": attempt,
+                "elapsed": getElapsed()
+            }, payload || {})
+        };
+        window.top.postMessage(message, "*");
+        observers.forEach((fn) => {
+            fn(message);
+        });
+    };
+
+    /**
+     * @brief Sent once the captcha has loaded and is waiting for input.
+     *
+     * @param payload {Object} Optional additional payload.
+     */
+    const ready = (payload) => {
+        post(CaptchaMessageType.READY, payload);
+    };
+
+    /**
+     * @brief Sent when the player starts a new attempt.
+     *
+     * @param payload {Object} Optional additional payload.
+     */
+    const started = (payload) => {
+        attempt += 1;
+        startTime = Date.now();
+        post(CaptchaMessageType.STARTED, payload);
+    };
+
+    /**
+     * @brief Sent when the player completes a round of a multi-round attempt.
+     *
+     * @param payload {Object} Optional additional payload.
+     */
+    const roundComplete = (payload) => {
+        post(CaptchaMessageType.ROUND_COMPLETE, payload);
+    };
+
+    /**
+     * @brief Sent when the current attempt is failed.
+     *
+     * @param payload {Object} Optional additional payload.
+     */
+    const failed = (payload) => {
+        post(CaptchaMessageType.FAILED, payload);
+    };
+
+    /**
+     * @brief Sent when the player pauses the captcha.
+     *
+     * @param payload {Object} Optional additional payload.
+     */
+    const paused = (payload) => {
+        post(CaptchaMessageType.PAUSED, payload);
+    };
+
+    /**
+     * @brief Sent when the player resumes a paused captcha.
+     *
+     * @param payload {Object} Optional additional payload.
+     */
+    const resumed = (payload) => {
+        post(CaptchaMessageType.RESUMED, payload);
+    };
+
+    /**
+     * @brief Sent when the captcha has been solved.
+     *
+     * @param payload {Object} Optional additional payload.
+     */
+    const success = (payload) => {
+        post(CaptchaMessageType.SUCCESS, payload);
+        window.top.postMessage("success", "*");
+    };
+
+    /**
+     * @brief Adds a handler for a message sent by the game shell.
+     *
+     * @param type {ShellMessageType} Type of the message.
+     * @param fn   {Function}         Function invoked with the message payload.
+     */
+    const listen = (type, fn) => {
+        handlers[type] = fn;
+    };
+
+    /**
+     * @brief Adds a function to invoke with every message posted to the game
+     * shell.
+     *
+     * @param fn {Function} Function invoked with the message.
+     */
+    const observe = (fn) => {
+        observers.push(fn);
+    };
+
+    /**
+     * @brief Event handler for messages posted to the captcha window.
+     *
+     * @details Only messages from the parent window are serviced.
+     *
+     * @param ev {MessageEvent} The message event.
+     */
+    const onMessage = (ev) => {
+        if (ev.source !== window.parent) {
+            return;
+        }
+
+        const message = parseCaptchaMessage(ev.data);
+        if (message && handlers[message.type]) {
+            handlers[message.type](message.payload);
+        }
+    };
+
+    return (() => {
+        window.addEventListener("message", onMessage);
+
+        const self = {};
+        self.listen = listen;
+        self.observe = observe;
+        self.ready = ready;
+        self.started = started;
+        self.roundComplete = roundComplete;
+        self.failed = failed;
+        self.paused = paused;
+        self.resumed = resumed;
+        self.success = success;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief Parses a message received by the game shell or a captcha.
+ *
+ * @details The bare `"success"` string is understood as a success message
+ * without a payload.
+ *
+ * @param data {Object} Data of the received message event.
+ *
+ * @return {Object} The message on success, otherwise `null`.
+ */
+const parseCaptchaMessage = (data) => {
+    if (data === "success") {
+        return {
+            "protocol": CAPTCHA_PROTOCOL,
+            "version": 0,
+            "captcha": null,
+            "type": CaptchaMessageType.SUCCESS,
+            "payload": {}
+        };
+    }
+
+    if (!data || (data.protocol !== CAPTCHA_PROTOCOL)) {
+        return null;
+    }
+
+    if (data.version > CAPTCHA_PROTOCOL_VERSION) {
+        // Newer messages may not be understood, so drop them.
+        return null;
+    }
+
+    return {
+        "protocol": data.protocol,
+        "version": data.version,
+        "captcha": data.captcha || null,
+        "type": data.type,
+        "payload": data.payload || {}
+    };
+};
+
+
+/**
+ * @brief Posts a message from the game shell to a captcha.
+ *
+ * @param target  {Window}           Window of the captcha frame.
+ * @param type    {ShellMessageType} Type of the message.
+ * @param payload {Object}           Optional payload.
+ */
+const postShellMessage = (target, type, payload) => {
+    target.postMessage({
+        "protocol": CAPTCHA_PROTOCOL,
+        "version": CAPTCHA_PROTOCOL_VERSION,
+        "captcha": null,
+        "type": type,
+        "payload": payload || {}
+    }, "*");
+};
+
+
+/**
+ * @brief Returns a human readable description of a captcha message.
+ *
+ * @param message {Object} Message returned by `parseCaptchaMessage()`.
+ *
+ * @return {String}
+ */
+const describeCaptchaMessage = (message) => {
+    const payload = message.payload;
+    const details = [];
+
+    if (payload.attempt) {
+        details.push(`attempt ${payload.attempt}`);
+    }
+
+    if (payload.round && payload.rounds) {
+        details.push(`round ${payload.round} of ${payload.rounds}`);
+    }
+
+    if (payload.reason) {
+        details.push(payload.reason);
+    }
+
+    if (payload.elapsed) {
+        details.push(`${(payload.elapsed / 1000).toFixed(1)}s`);
+    }
+
+    if (payload.difficulty) {
+        details.push(payload.difficulty);
+    }
+
+    if (payload.seed) {
+        details.push(`seed ${payload.seed}`);
+    }
+
+    let text = message.type.replace("-", " ");
+    text = text.charAt(0).toUpperCase() + text.slice(1);
+    if (details.length) {
+        text += ` (${details.join(", ")})`;
+    }
+    return text;
+};
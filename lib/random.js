@@ -0,0 +1,150 @@
+/**
+ * @brief Hashes a seed string into a 32-bit unsigned integer.
+ *
+ * @details Uses the FNV-1a hash, so that any string (not just numbers) can be
+ * used as a seed.
+ *
+ * @param seed {String} The seed.
+ *
+ * @return {Integer}
+ */
+const hashSeed = (seed) => {
+    const str = seed.toString();
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+
+/**
+ * @brief Seedable pseudo-random number generator.
+ *
+ * @details Uses the mulberry32 generator. Two instances created with the same
+ * seed produce exactly the same sequence of numbers.
+ *
+ * @param seed {String} The seed.
+ *
+ * @return {Random}
+ */
+const Random = (seed) => {
+    let state = hashSeed(seed);
+
+    /**
+     * @brief Returns the next number in the sequence.
+     *
+     * @return {Float} A number in the range [0, 1).
+     */
+    const next = () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    /**
+     * @brief Returns a random integer.
+     *
+     * @param min {Integer} Minimum value (inclusive).
+     * @param max {Integer} Maximum value (inclusive).
+     *
+     * @return {Integer}
+     */
+    const int = (min, max) => {
+        return Math.floor(next() * (max - min + 1)) + min;
+    };
+
+    /**
+     * @brief Returns a random element of an array.
+     *
+     * @param arr {Array} The array to pick from.
+     *
+     * @return The element.
+     */
+    const pick = (arr) => {
+        return arr[Math.floor(next() * arr.length)];
+    };
+
+    /**
+     * @brief Returns a random element of an array, with some elements more
+     * likely than others.
+     *
+     * @param arr     {Array} The array to pick from.
+     * @param weights {Array} Relative weight of each element.
+     *
+     * @return The element.
+     */
+    const pickWeighted = (arr, weights) => {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let remaining = next() * total;
+        for (let i = 0; i < arr.length; i++) {
+            remaining -= weights[i];
+            if (remaining < 0) {
+                return arr[i];
+            }
+        }
+        return arr[arr.length - 1];
+    };
+
+    /**
+     * @brief Returns a shuffled copy of an array.
+     *
+     * @param arr {Array} The array to shuffle.
+     *
+     * @return {Array}
+     */
+    const shuffle = (arr) => {
+        const result = arr.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(next() * (i + 1));
+            const tmp = result[i];
+            result[i] = result[j];
+            result[j] = tmp;
+        }
+        return result;
+    };
+
+    /**
+     * @brief Returns the seed the generator was created with.
+     *
+     * @return {String}
+     */
+    const getSeed = () => {
+        return seed.toString();
+    };
+
+    return (() => {
+        const self = {};
+        self.next = next;
+        self.int = int;
+        self.pick = pick;
+        self.pickWeighted = pickWeighted;
+        self.shuffle = shuffle;
+        self.getSeed = getSeed;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief Creates the random number generator for a captcha.
+ *
+ * @details The seed is read from the `seed` query parameter. If there is no
+ * seed, a new one is generated so that it can still be reported (and the run
+ * reproduced) later.
+ *
+ * @param window {Window} Window object.
+ *
+ * @return {Random}
+ */
+const createRandom = (window) => {
+    const searchParams = new URLSearchParams(window.location.search);
+    let seed = searchParams.get("seed");
+    if (!seed) {
+        seed = Math.floor(Math.random() * 4294967296).toString(36);
+    }
+    return Random(seed);
+};
@@ -0,0 +1,394 @@
+/**
+ * @brief Key the recordings are saved under in local storage.
+ */
+const RECORDING_STORAGE_KEY = "kitboga-captcha-recordings";
+
+/**
+ * @brief Version of the recording format.
+ */
+const RECORDING_VERSION = 2;
+
+/**
+ * @brief Maximum number of recordings kept in local storage.
+ */
+const MAX_RECORDINGS = 5;
+
+/**
+ * @brief Input events that are recorded.
+ */
+const RECORDED_EVENTS = Object.freeze([
+    "mousedown",
+    "mousemove",
+    "mouseup",
+    "touchstart",
+    "touchmove",
+    "touchend",
+    "keydown",
+    "keyup"
+]);
+
+
+/**
+ * @brief Loads the saved recordings from local storage.
+ *
+ * @param window {Window} Window object.
+ *
+ * @return {Array} The recordings, newest first.
+ */
+const loadRecordings = (window) => {
+    try {
+        const recordings = JSON.parse(window.localStorage.getItem(RECORDING_STORAGE_KEY));
+        return Array.isArray(recordings) ? recordings : [];
+    } catch (err) {
+        return [];
+    }
+};
+
+
+/**
+ * @brief Saves a recording to local storage.
+ *
+ * @details Replaces the saved recording with the same `id`. Only the newest
+ * `MAX_RECORDINGS` recordings are kept, and older recordings are dropped if
+ * the storage is full.
+ *
+ * @param window    {Window} Window object.
+ * @param recording {Object} The recording to save.
+ *
+ * @return {Boolean} `true` if the recording was saved, otherwise `false`.
+ */
+const saveRecording = (window, recording) => {
+    let recordings = loadRecordings(window).filter((other) => {
+        return other.id !== recording.id;
+    });
+    recordings.unshift(recording);
+    recordings = recordings.slice(0, MAX_RECORDINGS);
+
+    while (recordings.length > 0) {
+        try {
+            window.localStorage.setItem(RECORDING_STORAGE_KEY, JSON.stringify(recordings));
+            return true;
+        } catch (err) {
+            // Either storage is unavailable or it is full, in which case the
+            // oldest recording is dropped and the save retried.
+            recordings.pop();
+        }
+    }
+    return false;
+};
+
+
+/**
+ * @brief Clock that drives the timers of a captcha being replayed.
+ *
+ * @details Replaces the captcha's timers, animation frames and
+ * `performance.now()`, so that time only moves when the replay advances it.
+ * `advance()` fires the timers that are due by a recorded time, and `frame()`
+ * runs the animation frame callbacks with the time the frame had when it was
+ * recorded, so the captcha animates by exactly the same steps.
+ *
+ * @param window {Window} Window object of the captcha.
+ *
+ * @return {ReplayClock}
+ */
+const ReplayClock = (window) => {
+    // Pending timers, keyed by their identifier.
+    const timers = new Map();
+
+    // Callbacks waiting for the next animation frame, keyed by their
+    // identifier.
+    const frameCallbacks = new Map();
+
+    // Current time, in milliseconds since the recording started.
+    let now = 0;
+
+    // Identifier of the next timer or animation frame callback.
+    let nextId = 1;
+
+    /**
+     * @brief Adds a timer.
+     *
+     * @param fn       {Function} Function to invoke when the timer fires.
+     * @param delay    {Integer}  Delay, in milliseconds.
+     * @param interval {Boolean}  `true` if the timer repeats.
+     * @param args     {Array}    Arguments to invoke the function with.
+     *
+     * @return {Integer} Identifier of the timer.
+     */
+    const addTimer = (fn, delay, interval, args) => {
+        const id = nextId++;
+        delay = Math.max(0, parseInt(delay, 10) || 0);
+        timers.set(id, {
+            "fn": fn,
+            "at": now + delay,
+            "interval": interval ? Math.max(1, delay) : null,
+            "args": args
+        });
+        return id;
+    };
+
+    /**
+     * @brief Removes a timer.
+     *
+     * @param id {Integer} Identifier of the timer.
+     */
+    const removeTimer = (id) => {
+        timers.delete(id);
+    };
+
+    /**
+     * @brief Adds a callback to run on the next animation frame.
+     *
+     * @param fn {Function} Callback, invoked with the time of the frame.
+     *
+     * @return {Integer} Identifier of the callback.
+     */
+    const requestFrame = (fn) => {
+        const id = nextId++;
+        frameCallbacks.set(id, fn);
+        return id;
+    };
+
+    /**
+     * @brief Removes an animation frame callback.
+     *
+     * @param id {Integer} Identifier of the callback.
+     */
+    const cancelFrame = (id) => {
+        frameCallbacks.delete(id);
+    };
+
+    /**
+     * @brief Moves the clock forward, firing every timer that is due in
+     * order.
+     *
+     * @details The clock never moves backwards, so a time before the current
+     * one only fires the timers that are already due.
+     *
+     * @param time {Float} Time to move to, in milliseconds since the
+     *                     recording started.
+     */
+    const advance = (time) => {
+        for (;;) {
+            let nextTimerId = null;
+            let next = null;
+            timers.forEach((timer, id) => {
+                if ((timer.at <= time) && (!next || (timer.at < next.at))) {
+                    nextTimerId = id;
+                    next = timer;
+                }
+            });
+
+            if (!next) {
+                break;
+            }
+
+            now = Math.max(now, next.at);
+            if (next.interval) {
+                next.at += next.interval;
+            } else {
+                timers.delete(nextTimerId);
+            }
+            next.fn(...next.args);
+        }
+        now = Math.max(now, time);
+    };
+
+    /**
+     * @brief Runs a recorded animation frame.
+     *
+     * @param time {Float} Time of the frame when it was recorded.
+     */
+    const frame = (time) => {
+        advance(time);
+        const callbacks = Array.from(frameCallbacks.values());
+        frameCallbacks.clear();
+        callbacks.forEach((fn) => {
+            fn(time);
+        });
+    };
+
+    /**
+     * @brief Returns the current time.
+     *
+     * @return {Float} Time, in milliseconds since the recording started.
+     */
+    const getTime = () => {
+        return now;
+    };
+
+    return (() => {
+        window.setTimeout = (fn, delay, ...args) => addTimer(fn, delay, false, args);
+        window.setInterval = (fn, delay, ...args) => addTimer(fn, delay, true, args);
+        window.clearTimeout = removeTimer;
+        window.clearInterval = removeTimer;
+        window.requestAnimationFrame = requestFrame;
+        window.cancelAnimationFrame = cancelFrame;
+        window.performance.now = getTime;
+
+        const self = {};
+        self.advance = advance;
+        self.frame = frame;
+        self.getTime = getTime;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief Records a captcha session so it can be replayed later.
+ *
+ * @details Captures the player's mouse, touch and keyboard input along with
+ * every message the captcha posts to the game shell, each with the number of
+ * milliseconds since the recorder was created. Input is captured on the window
+ * before it reaches the captcha, so events the captcha stops are still
+ * recorded. Mouse moves are only recorded while a button is pressed. The time
+ * of every animation frame is recorded too, and each event notes the number
+ * of frames before it, so that a replay can run the captcha's animations with
+ * the same time steps and dispatch the input between the same frames.
+ *
+ * The recording is saved to local storage whenever the captcha posts a
+ * message and when the page is hidden. Recording is disabled when the captcha
+ * is opened with the `replay` query parameter, so that replaying a session
+ * does not overwrite it. Instead, the captcha's timers are replaced with a
+ * `ReplayClock`, exposed as `window.replayClock` for the replay page to
+ * drive.
+ *
+ * @param window   {Window}          Window object.
+ * @param document {Document}        Document object model.
+ * @param captcha  {String}          Name of the captcha being recorded.
+ * @param protocol {CaptchaProtocol} Protocol of the captcha.
+ * @param random   {Random}          Random number generator of the captcha.
+ *
+ * @return {CaptchaRecorder} The recorder, or `null` if recording is disabled.
+ */
+const CaptchaRecorder = (window, document, captcha, protocol, random) => {
+    // Time the recording started at, in milliseconds.
+    const startTime = window.performance.now();
+
+    const recording = {
+        "id": `${captcha}-${Date.now()}`,
+        "version": RECORDING_VERSION,
+        "captcha": captcha,
+        "seed": random.getSeed(),
+        "search": window.location.search,
+        "width": window.innerWidth,
+        "height": window.innerHeight,
+        "recorded": new Date().toISOString(),
+        "frames": [],
+        "events": []
+    };
+
+    /**
+     * @brief Returns the number of milliseconds since the recording started.
+     *
+     * @param time {Float} Optional time to convert, defaults to now.
+     *
+     * @return {Float}
+     */
+    const getTime = (time) => {
+        const since = ((time === undefined) ? window.performance.now() : time) - startTime;
+        return Math.round(since * 10) / 10;
+    };
+
+    /**
+     * @brief Callback invoked on every animation frame while recording.
+     *
+     * @param now {DOMHighResTimeStamp} Time of the frame.
+     */
+    const onFrame = (now) => {
+        recording.frames.push(getTime(now));
+        window.requestAnimationFrame(onFrame);
+    };
+
+    /**
+     * @brief Event handler for recorded input events.
+     *
+     * @param ev {Event} The input event.
+     */
+    const onInput = (ev) => {
+        if ((ev.type == "mousemove") && !ev.buttons) {
+            return;
+        }
+
+        const entry = {
+            "time": getTime(),
+            "frame": recording.frames.length,
+            "kind": "input",
+            "type": ev.type
+        };
+
+        if (ev.type.startsWith("key")) {
+            entry.key = ev.key;
+            entry.keyCode = ev.keyCode;
+        } else if (ev.type.startsWith("touch")) {
+            entry.touches = Array.from(ev.touches).map((touch) => {
+                return { "x": touch.clientX, "y": touch.clientY };
+            });
+            entry.changedTouches = Array.from(ev.changedTouches).map((touch) => {
+                return { "x": touch.clientX, "y": touch.clientY };
+            });
+        } else {
+            entry.x = ev.clientX;
+            entry.y = ev.clientY;
+            entry.buttons = ev.buttons;
+        }
+
+        recording.events.push(entry);
+    };
+
+    /**
+     * @brief Records a message posted to the game shell and saves the
+     * recording.
+     *
+     * @param message {Object} The posted message.
+     */
+    const onMessage = (message) => {
+        recording.events.push({
+            "time": getTime(),
+            "frame": recording.frames.length,
+            "kind": "state",
+            "type": message.type,
+            "payload": message.payload
+        });
+        save();
+    };
+
+    /**
+     * @brief Saves the recording to local storage.
+     *
+     * @return {Boolean} `true` if the recording was saved, otherwise `false`.
+     */
+    const save = () => {
+        return saveRecording(window, recording);
+    };
+
+    /**
+     * @brief Returns the recording.
+     *
+     * @return {Object}
+     */
+    const getRecording = () => {
+        return recording;
+    };
+
+    return (() => {
+        const searchParams = new URLSearchParams(window.location.search);
+        if (searchParams.has("replay")) {
+            window.replayClock = ReplayClock(window);
+            return null;
+        }
+
+        RECORDED_EVENTS.forEach((type) => {
+            window.addEventListener(type, onInput, true);
+        });
+        window.addEventListener("pagehide", save);
+        protocol.observe(onMessage);
+        window.requestAnimationFrame(onFrame);
+
+        const self = {};
+        self.save = save;
+        self.getRecording = getRecording;
+        return self;
+    })();
+};
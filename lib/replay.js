@@ -0,0 +1,447 @@
+/**
+ * @brief Plays a recording back into a captcha opened for replay.
+ *
+ * @details The captcha's clock is a `ReplayClock` (see `CaptchaRecorder()`),
+ * so it only moves when the session moves it. Every recorded animation frame
+ * is run with the time it had when recorded, and each recorded input event is
+ * dispatched after the same number of frames as when it was recorded, with
+ * the clock at its recorded time. The captcha's animations therefore take the
+ * same steps and see the input on the same frame as in the recording.
+ *
+ * Touch input can only be replayed in browsers that support the `Touch`
+ * constructor.
+ *
+ * @param recording   {Object}   The recording.
+ * @param frameWindow {Window}   Window object of the replayed captcha.
+ * @param onEntry     {Function} Invoked with every recorded event once
+ *                               playback reaches it.
+ *
+ * @return {ReplaySession}
+ */
+const ReplaySession = (recording, frameWindow, onEntry) => {
+    const frameDocument = frameWindow.document;
+    const clock = frameWindow.replayClock;
+    const frames = recording.frames;
+    const events = recording.events;
+
+    // Index of the next recorded event to replay.
+    let cursor = 0;
+
+    // Index of the next recorded animation frame to run.
+    let frameIdx = 0;
+
+    /**
+     * @brief Creates the touches of a recorded touch event.
+     *
+     * @param target {Element} Target of the touches.
+     * @param points {Array}   List of `{ x, y }` dictionaries.
+     *
+     * @return {Array}
+     */
+    const createTouches = (target, points) => {
+        return points.map((point, idx) => {
+            return new frameWindow.Touch({
+                "identifier": idx,
+                "target": target,
+                "clientX": point.x,
+                "clientY": point.y
+            });
+        });
+    };
+
+    /**
+     * @brief Dispatches a recorded input event to the captcha.
+     *
+     * @param entry {Object} The recorded event.
+     */
+    const dispatch = (entry) => {
+        const init = { "bubbles": true, "cancelable": true, "view": frameWindow };
+
+        if (entry.type.startsWith("key")) {
+            const ev = new frameWindow.KeyboardEvent(entry.type, Object.assign({ "key": entry.key }, init));
+            // `keyCode` cannot be set through the constructor.
+            Object.defineProperty(ev, "keyCode", { "value": entry.keyCode });
+            (frameDocument.activeElement || frameDocument.body).dispatchEvent(ev);
+        } else if (entry.type.startsWith("touch")) {
+            if (!frameWindow.Touch) {
+                return;
+            }
+
+            const point = entry.changedTouches[0] || { "x": 0, "y": 0 };
+            const target = frameDocument.elementFromPoint(point.x, point.y) || frameDocument.documentElement;
+            const touches = createTouches(target, entry.touches);
+            target.dispatchEvent(new frameWindow.TouchEvent(entry.type, Object.assign({
+                "touches": touches,
+                "targetTouches": touches,
+                "changedTouches": createTouches(target, entry.changedTouches)
+            }, init)));
+        } else {
+            const target = frameDocument.elementFromPoint(entry.x, entry.y) || frameDocument.documentElement;
+            target.dispatchEvent(new frameWindow.MouseEvent(entry.type, Object.assign({
+                "clientX": entry.x,
+                "clientY": entry.y,
+                "buttons": entry.buttons
+            }, init)));
+        }
+    };
+
+    /**
+     * @brief Returns `true` once the whole recording has been played.
+     *
+     * @return {Boolean}
+     */
+    const isDone = () => {
+        return (cursor >= events.length) && (frameIdx >= frames.length);
+    };
+
+    /**
+     * @brief Returns `true` if the next recorded event comes before the next
+     * recorded animation frame.
+     *
+     * @return {Boolean}
+     */
+    const isEventNext = () => {
+        return (cursor < events.length) && ((frameIdx >= frames.length) || (events[cursor].frame <= frameIdx));
+    };
+
+    /**
+     * @brief Returns the recorded time of the next step of playback.
+     *
+     * @return {Float} Time in milliseconds, or `null` once done.
+     */
+    const getNextTime = () => {
+        if (isEventNext()) {
+            return events[cursor].time;
+        } else if (frameIdx < frames.length) {
+            return frames[frameIdx];
+        }
+        return null;
+    };
+
+    /**
+     * @brief Replays the next recorded event, or runs the next animation
+     * frame if no event was recorded before it.
+     */
+    const step = () => {
+        if (isEventNext()) {
+            const entry = events[cursor];
+            cursor += 1;
+            if (entry.kind == "input") {
+                clock.advance(entry.time);
+                dispatch(entry);
+            }
+            onEntry(entry);
+        } else if (frameIdx < frames.length) {
+            clock.frame(frames[frameIdx]);
+            frameIdx += 1;
+        }
+    };
+
+    /**
+     * @brief Plays the recording up to a recorded time.
+     *
+     * @param time {Float} Time in milliseconds since the recording started.
+     */
+    const playUntil = (time) => {
+        while (!isDone() && (getNextTime() <= time)) {
+            step();
+        }
+    };
+
+    return (() => {
+        const self = {};
+        self.playUntil = playUntil;
+        self.isDone = isDone;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief Replays recorded captcha sessions.
+ *
+ * @details The recorded captcha is loaded in a frame with the recorded query
+ * parameters and seed, so that it makes exactly the same random decisions.
+ * Once the captcha posts its `ready` message, a `ReplaySession` plays the
+ * recording back into the frame, frame by frame, at the speed it was
+ * recorded. The messages the captcha posted during the recording are listed
+ * in a timeline, and marked once playback passes them.
+ *
+ * The frame must be on the same origin as this page, so serve the repository
+ * over HTTP rather than opening the page from disk.
+ *
+ * @param window   {Window}   Window object.
+ * @param document {Document} Document object model.
+ */
+const ReplayPlayer = (window, document) => {
+    const recordingsEl = document.getElementById("replay-recordings");
+    const fileEl = document.getElementById("replay-file");
+    const playButton = document.getElementById("replay-play");
+    const downloadButton = document.getElementById("replay-download");
+    const frame = document.getElementById("replay-frame");
+    const statusEl = document.getElementById("replay-status");
+    const timelineEl = document.getElementById("replay-timeline");
+
+    // Recordings listed in the recordings drop-down.
+    let recordings = [];
+
+    // The selected recording.
+    let recording = null;
+
+    // Session playing the recording back, or `null` before the captcha is
+    // ready.
+    let session = null;
+
+    // Time playback started at, in milliseconds, or `null` if not started.
+    let startTime = null;
+
+    // Time of the `ready` message in the recording, in milliseconds.
+    let readyTime = 0;
+
+    /**
+     * @brief Sets the status text shown below the frame.
+     *
+     * @param text {String} The text.
+     */
+    const setStatus = (text) => {
+        statusEl.innerText = text;
+    };
+
+    /**
+     * @brief Formats a recorded time.
+     *
+     * @param time {Float} Time in milliseconds.
+     *
+     * @return {String}
+     */
+    const formatTime = (time) => {
+        return `${(time / 1000).toFixed(2)}s`;
+    };
+
+    /**
+     * @brief Returns the URL to load the recorded captcha from.
+     *
+     * @return {String}
+     */
+    const getFrameUrl = () => {
+        const searchParams = new URLSearchParams(recording.search);
+        searchParams.set("seed", recording.seed);
+        searchParams.set("replay", "");
+
+        // An adaptive captcha may have started from a different difficulty
+        // than the one requested, so start from the recorded one.
+        const ready = recording.events.find((ev) => (ev.kind == "state") && (ev.type == CaptchaMessageType.READY));
+        if (ready && ready.payload.difficulty) {
+            searchParams.set("difficulty", ready.payload.difficulty);
+        }
+        return `../submissions/${recording.captcha}/captcha/captcha.html?${searchParams.toString()}`;
+    };
+
+    /**
+     * @brief Renders the recorded messages in the timeline.
+     */
+    const renderTimeline = () => {
+        while (timelineEl.firstChild) {
+            timelineEl.removeChild(timelineEl.lastChild);
+        }
+
+        recording.events.forEach((entry) => {
+            if (entry.kind != "state") {
+                return;
+            }
+
+            const item = document.createElement("li");
+            const message = {
+                "type": entry.type,
+                "payload": entry.payload
+            };
+            item.innerText = `${formatTime(entry.time - readyTime)} ${describeCaptchaMessage(message)}`;
+            entry.element = item;
+            timelineEl.appendChild(item);
+        });
+    };
+
+    /**
+     * @brief Selects the recording to replay.
+     *
+     * @param selected {Object} The recording.
+     */
+    const select = (selected) => {
+        recording = selected;
+        startTime = null;
+
+        const ready = recording.events.find((entry) => {
+            return (entry.kind == "state") && (entry.type == CaptchaMessageType.READY);
+        });
+        readyTime = ready ? ready.time : 0;
+
+        renderTimeline();
+        setStatus(`${recording.captcha}, seed ${recording.seed}, recorded ${recording.recorded}`);
+    };
+
+    /**
+     * @brief Lists the recordings saved in local storage.
+     */
+    const renderRecordings = () => {
+        recordings = loadRecordings(window);
+        while (recordingsEl.firstChild) {
+            recordingsEl.removeChild(recordingsEl.lastChild);
+        }
+
+        recordings.forEach((saved, idx) => {
+            const option = document.createElement("option");
+            option.value = idx;
+            option.innerText = `${saved.captcha} (${saved.recorded})`;
+            recordingsEl.appendChild(option);
+        });
+
+        if (recordings.length > 0) {
+            select(recordings[0]);
+        } else {
+            setStatus("No recordings saved. Load a recording from a file.");
+        }
+    };
+
+    /**
+     * @brief Marks a recorded message in the timeline once playback reaches
+     * it.
+     *
+     * @param entry {Object} The recorded event.
+     */
+    const onEntry = (entry) => {
+        if (entry.element) {
+            entry.element.classList.add("replay-played");
+        }
+    };
+
+    /**
+     * @brief Callback invoked on every animation frame during playback.
+     *
+     * @details Plays the recording up to the time that has passed since the
+     * captcha was ready.
+     */
+    const onFrame = () => {
+        if (startTime === null) {
+            return;
+        }
+
+        const elapsed = window.performance.now() - startTime;
+        session.playUntil(readyTime + elapsed);
+
+        if (!session.isDone()) {
+            window.requestAnimationFrame(onFrame);
+        } else {
+            startTime = null;
+            setStatus(`Replay finished (${formatTime(elapsed)}).`);
+        }
+    };
+
+    /**
+     * @brief Reloads the recorded captcha and replays the recording.
+     */
+    const play = () => {
+        if (!recording) {
+            return;
+        }
+
+        if (!Array.isArray(recording.frames)) {
+            setStatus("This recording was made by an older version and cannot be replayed.");
+            return;
+        }
+
+        select(recording);
+        session = null;
+        frame.width = recording.width;
+        frame.height = recording.height;
+        frame.src = getFrameUrl();
+        setStatus("Loading captcha...");
+    };
+
+    /**
+     * @brief Downloads the selected recording as a JSON file.
+     */
+    const download = () => {
+        if (!recording) {
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(recording, (key, value) => {
+            // Skip the timeline elements added by `renderTimeline()`.
+            return (key == "element") ? undefined : value;
+        })], { "type": "application/json" });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `${recording.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+
+    /**
+     * @brief Event handler for loading a recording from a file.
+     */
+    const onFileChanged = () => {
+        const file = fileEl.files[0];
+        if (!file) {
+            return;
+        }
+
+        file.text().then((text) => {
+            const loaded = JSON.parse(text);
+            if (!loaded.captcha || !Array.isArray(loaded.events)) {
+                throw new Error("not a captcha recording");
+            }
+            select(loaded);
+        }).catch((err) => {
+            setStatus(`Could not load ${file.name}: ${err.message}.`);
+        });
+    };
+
+    /**
+     * @brief Event handler for messages posted by the replayed captcha.
+     *
+     * @param ev {MessageEvent} The message event.
+     */
+    const onMessage = (ev) => {
+        if (ev.source !== frame.contentWindow) {
+            return;
+        }
+
+        const message = parseCaptchaMessage(ev.data);
+        if (!message || (message.version == 0)) {
+            return;
+        }
+
+        if ((message.type === CaptchaMessageType.READY) && (session === null)) {
+            session = ReplaySession(recording, frame.contentWindow, onEntry);
+            startTime = window.performance.now();
+            window.requestAnimationFrame(onFrame);
+        }
+        setStatus(describeCaptchaMessage(message));
+    };
+
+    /**
+     * @brief Binds the event listeners.
+     */
+    const bind = () => {
+        recordingsEl.addEventListener("change", () => {
+            select(recordings[parseInt(recordingsEl.value)]);
+        });
+        fileEl.addEventListener("change", onFileChanged);
+        playButton.addEventListener("click", play);
+        downloadButton.addEventListener("click", download);
+        window.addEventListener("message", onMessage);
+    };
+
+    return (() => {
+        bind();
+        renderRecordings();
+
+        const self = {};
+        self.play = play;
+        return self;
+    })();
+};
+
+
+// Load the replay player once the DOM is ready.
+bootstrap(ReplayPlayer);
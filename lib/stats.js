@@ -0,0 +1,168 @@
+/**
+ * @brief Key the statistics are stored under in local storage.
+ */
+const STATS_STORAGE_KEY = "kitboga-captcha-stats";
+
+/**
+ * @brief Milliseconds without an attempt after which a new session starts.
+ */
+const STATS_SESSION_MS = 6 * 60 * 60 * 1000;
+
+
+/**
+ * @brief Loads the statistics of a captcha from local storage.
+ *
+ * @param window  {Window} Window object.
+ * @param captcha {String} Name of the captcha.
+ *
+ * @return {Object} The statistics, or `null` if there are none.
+ */
+const loadStats = (window, captcha) => {
+    try {
+        const stats = JSON.parse(window.localStorage.getItem(STATS_STORAGE_KEY));
+        if (stats && stats[captcha]) {
+            return stats[captcha];
+        }
+    } catch (err) {
+        // Storage is unavailable (e.g. disabled or sandboxed) or corrupt.
+    }
+    return null;
+};
+
+
+/**
+ * @brief Saves the statistics of a captcha to local storage.
+ *
+ * @param window  {Window} Window object.
+ * @param captcha {String} Name of the captcha.
+ * @param state   {Object} The statistics.
+ *
+ * @return {Boolean} `true` if the statistics were saved, otherwise `false`.
+ */
+const saveStats = (window, captcha, state) => {
+    try {
+        const stats = JSON.parse(window.localStorage.getItem(STATS_STORAGE_KEY)) || {};
+        stats[captcha] = state;
+        window.localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+    } catch (err) {
+        return false;
+    }
+    return true;
+};
+
+
+/**
+ * @brief Keeps statistics on the player's attempts at a captcha.
+ *
+ * @details The statistics are tracked from the messages the captcha posts:
+ * the number of attempts, the number of wins and the fastest of them, the
+ * current and longest losing streaks, and the wrong picks the player made. A
+ * wrong pick is taken from the `pick` in the payload of a failure, if the
+ * captcha gives one.
+ *
+ * The statistics are kept in local storage, so they last across reloads of
+ * the game shell for the session. A session ends once no attempt has been
+ * made for `STATS_SESSION_MS`. When replaying a recording, the statistics
+ * start empty and are not saved.
+ *
+ * @param window   {Window}          Window object.
+ * @param captcha  {String}          Name of the captcha.
+ * @param protocol {CaptchaProtocol} Protocol the captcha posts messages with.
+ *
+ * @return {CaptchaStats}
+ */
+const CaptchaStats = (window, captcha, protocol) => {
+    const searchParams = new URLSearchParams(window.location.search);
+    const replay = searchParams.has("replay");
+
+    const state = {
+        "attempts": 0,
+        "wins": 0,
+        "fastestWin": null,
+        "losingStreak": 0,
+        "longestLosingStreak": 0,
+        "wrongPicks": {},
+        "lastPick": null,
+        "updated": Date.now()
+    };
+
+    /**
+     * @brief Saves the statistics, unless a recording is being replayed.
+     */
+    const save = () => {
+        state.updated = Date.now();
+        if (!replay) {
+            saveStats(window, captcha, state);
+        }
+    };
+
+    /**
+     * @brief Tracks a message posted by the captcha.
+     *
+     * @param message {Object} The posted message.
+     */
+    const onMessage = (message) => {
+        const payload = message.payload;
+        if (message.type === CaptchaMessageType.STARTED) {
+            state.attempts += 1;
+            save();
+        } else if (message.type === CaptchaMessageType.FAILED) {
+            state.losingStreak += 1;
+            state.longestLosingStreak = Math.max(state.longestLosingStreak, state.losingStreak);
+            if (payload.pick) {
+                state.wrongPicks[payload.pick] = (state.wrongPicks[payload.pick] || 0) + 1;
+                state.lastPick = payload.pick;
+            }
+            save();
+        } else if (message.type === CaptchaMessageType.SUCCESS) {
+            state.wins += 1;
+            state.losingStreak = 0;
+            if ((state.fastestWin === null) || (payload.elapsed < state.fastestWin)) {
+                state.fastestWin = payload.elapsed;
+            }
+            save();
+        }
+    };
+
+    /**
+     * @brief Returns the pick the player got wrong most often.
+     *
+     * @return {String} The pick, or `null` if there were no wrong picks.
+     */
+    const getMostWrongPick = () => {
+        let most = null;
+        Object.keys(state.wrongPicks).forEach((pick) => {
+            if ((most === null) || (state.wrongPicks[pick] > state.wrongPicks[most])) {
+                most = pick;
+            }
+        });
+        return most;
+    };
+
+    /**
+     * @brief Returns the statistics.
+     *
+     * @details Contains the number of `attempts` and `wins`, the `fastestWin`
+     * in milliseconds (or `null`), the current `losingStreak`, the
+     * `longestLosingStreak`, the number of `wrongPicks` keyed by pick, and the
+     * `lastPick` that was wrong (or `null`).
+     *
+     * @return {Object}
+     */
+    const get = () => {
+        return JSON.parse(JSON.stringify(state));
+    };
+
+    return (() => {
+        const saved = replay ? null : loadStats(window, captcha);
+        if (saved && ((Date.now() - saved.updated) < STATS_SESSION_MS)) {
+            Object.assign(state, saved);
+        }
+        protocol.observe(onMessage);
+
+        const self = {};
+        self.get = get;
+        self.getMostWrongPick = getMostWrongPick;
+        return self;
+    })();
+};
@@ -22,22 +22,6 @@ const EventTypes = Object.freeze({
     TOUCH: 3,
 });
 
-/**
- * @brief 2-dimensional point.
- */
-class Point {
-    /**
-     * @brief Point constructor.
-     *
-     * @param x {Integer} X coordinate of the point.
-     * @param y {Integer} Y coordinate of the piont.
-     */
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-    }
-};
-
 /**
  * @brief Event handler definition.
  */
@@ -365,388 +349,81 @@ const EventLoop = (document, canvas) => {
 /**
  * @brief Generates and binds the ship element.
  *
- * @param document {Document} DOM object.
- * @param canvas   {Element}  DOM element to bind the ship to.
- * @param x        {Integer}  X coordinate of the ship in the canvas.
- * @param y        {Integer}  Y coordinate of the ship in the canvas.
+ * @param document {Document}  DOM object.
+ * @param canvas   {Element}   DOM element to bind the ship to.
+ * @param state    {ShipState} State of the ship.
  *
  * @returns {Ship}
  */
-const Ship = (document, canvas, x, y) => {
-    // Constant turn angle for the ship.
-    const TURN_ANGLE = 2.0;
-
-    // Distance (in pixels) to move forwards or backwards on each render.
-    const THRUST_DISTANCE = 1.0;
-
+const Ship = (document, canvas, state) => {
     // Ship DOM element.
     const el = document.createElement("div");
 
-    // Ship dimensions.
-    const width = Math.min(canvas.offsetWidth, canvas.offsetHeight) * 0.10;
-    const height = Math.min(canvas.offsetWidth, canvas.offsetHeight) * 0.14;
-
-    // Parameters for rendering the ship.
-    let posX = x - (height / 2);
-    let posY = y - (width / 2);
-    let scale = 1.0;
-    let angle = 90.0;
-
     /**
      * @brief Binds the ship to the DOM.
      */
     const render = () => {
         el.setAttribute("id", "captcha-ship");
         el.className = "captcha-ship";
-        el.style.top = `${posY}px`;
-        el.style.left = `${posX}px`;
-        el.style.width = `${height}px`;
-        el.style.height = `${width}px`;
-        el.style.transform = `rotate(${angle}deg) scale(${scale})`;
-        el.style.webkitTransform = `rotate(${angle}deg) scale(${scale})`;
+        el.style.width = `${state.getHeight()}px`;
+        el.style.height = `${state.getWidth()}px`;
+        update();
         canvas.appendChild(el);
     };
 
     /**
-     * @brief Updates the position of the ship.
-     *
-     * @details Uses the stored parameters.
-     *
-     * @param xDelta   {Float}  Delta, in pixels, to shift the ship along the X axis.
-     * @param yDelta   {Float}  Delta, in pixels, to shift the ship along the Y axis.
-     * @param degDelta {Float}  Degrees to rotate the ship by.
-     */
-    const update = (xDelta, yDelta, degDelta) => {
-        // Check for collision against the canvas boundaries. Note that while
-        // the canvas is a square, the ship is a triangle, so collision
-        // detection on the ship cannot be based on a bounding rectangle.
-        const p = new Point(posX + xDelta, posY + yDelta);
-        let collide = (p.x <= 0);
-        collide |= ((p.x + height) >= canvas.offsetWidth);
-        collide |= (p.y <= 0);
-        collide |= ((p.y + height) >= canvas.offsetHeight);
-
-        if (collide) {
-            return;
-        }
-
-        // Clamp angle to [0, 360].
-        angle += degDelta;
-        if (angle > 360) {
-            angle %= 360;
-        } else if (angle < 0) {
-            angle += 360;
-        }
-
-        posX += xDelta;
-        posY += yDelta;
-
-        el.style.top = `${posY}px`;
-        el.style.left = `${posX}px`;
-        el.style.transform = `rotate(${angle}deg) scale(${scale})`;
-        el.style.webkitTransform = `rotate(${angle}deg) scale(${scale})`;
-    };
-
-    /**
-     * @brief Moves the ship forward or backwards the specified distance.
-     *
-     * @param distance {Float} Distance, in pixels, to move.
-     */
-    const move = (distance) => {
-        const rad = angle * Math.PI / 180;
-        update(Math.cos(rad) * distance, Math.sin(rad) * distance, 0);
-    };
-
-    /**
-     * @brief Resets the state of the ship to the initial state.
-     */
-    const reset = () => {
-        posX = x - (width / 2);
-        posY = y - (height / 2);
-        scale = 1.0;
-        angle = 90.0;
-        update(0, 0, 0);
-    };
-
-    /**
-     * @brief Moves the ship forward.
-     */
-    const forward = () => {
-        move(-THRUST_DISTANCE);
-    };
-
-    /**
-     * @brief Moves the ship backward.
-     */
-    const backward = () => {
-        // Note: Backwards movement doesn't make sense.
-        // move(THRUST_DISTANCE);
-    };
-
-    /**
-     * @brief Rotates the ship left.
-     */
-    const rotateLeft = () => {
-        update(0, 0, -TURN_ANGLE);
-    };
-
-    /**
-     * @brief Rotates the ship right.
-     */
-    const rotateRight = () => {
-        update(0, 0, TURN_ANGLE);
-    };
-
-    /**
-     * @brief Returns the boundaries of the ship.
-     */
-    const getBounds = () => {
-        return el.getBoundingClientRect();
-    }
-
-    /**
-     * @brief Returns the ship's current heading.
-     *
-     * @return {Float} Heading in degrees.
-     */
-    const getOrient = () => {
-        return angle;
-    };
-
-    /**
-     * @brief Returns the postion of the center of the chip.
-     *
-     * @return {Point}
-     */
-    const getCenter = () => {
-        const cx = posX + (el.offsetHeight / 2);
-        const cy = posY + (el.offsetWidth / 2);
-        return new Point(cx, cy);
-    };
-
-    /**
-     * @brief Returns the point corresponding to the current front of the
-     * ship.
-     *
-     * @return {Point} Tip of the ship as (x, y) coordinates.
-     *
-     * @note The value returned by this function accounts for the rotation of
-     * the ship.
-     */
-    const getFront = () => {
-        // Compute the center of the ship. Note that since the ship at a zero
-        // degree angle is facing left, the height is used to compute the
-        // middle along the X axis, and similar for width along the Y axis.
-        const cx = posX + (el.offsetHeight / 2);
-        const cy = posY + (el.offsetWidth / 2);
-
-        // Translate the tip of the ship so that the center of the ship is
-        // used as the origin point.
-        const dx = posX - cx;
-        const dy = (posY + (el.offsetWidth / 2)) - cy;
-
-        // Convert the angle of rotation to radians, as that is required for
-        // the Math.* functions.
-        const rad = angle * Math.PI / 180;
-
-        // Rotate the point using the rotation formula.
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-        const xr = dx * cos - dy * sin;
-        const yr = dx * sin + dy * cos;
-
-        // Translate the point back to the original origin.
-        const tipX = xr + cx;
-        const tipY = yr + cy;
-
-        return new Point(tipX, tipY);
-    };
-
-    /**
-     * @brief Returns the minimum number of degrees the ship turns on a single
-     * event loop tick.
-     *
-     * @return {Integer} Turn radius in degrees.
+     * @brief Moves and rotates the ship element to match the state.
      */
-    const getMinTurnAngle = () => {
-        return TURN_ANGLE;
-    };
-
-    /**
-     * @brief Returns the minimum number of pixels a ship moves on a single
-     * event loop tick.
-     *
-     * @return {Integer} Movement distance in pixels.
-     */
-    const getMinThrustDistance = () => {
-        return THRUST_DISTANCE;
+    const update = () => {
+        const pos = state.getPos();
+        const transform = `rotate(${state.getOrient()}deg) scale(${state.getScale()})`;
+        el.style.top = `${pos.y}px`;
+        el.style.left = `${pos.x}px`;
+        el.style.transform = transform;
+        el.style.webkitTransform = transform;
     };
 
     return (() => {
         render();
 
-        const self = Ship;
-        self.reset = reset;
-        self.forward = forward;
-        self.backward = backward;
-        self.rotateLeft = rotateLeft;
-        self.rotateRight = rotateRight;
-        self.getBounds = getBounds;
-        self.getOrient = getOrient;
-        self.getCenter = getCenter;
-        self.getFront = getFront;
-        self.getMinTurnAngle = getMinTurnAngle;
-        self.getMinThrustDistance = getMinThrustDistance;
+        const self = {};
+        self.update = update;
         return self;
     })();
 };
 
 /**
- * @brief Generates a number within the canvas.
+ * @brief Generates a number element within the canvas.
  *
- * @param document {Document} DOM object.
- * @param canvas   {Element}  DOM element to bind the number to.
- * @param x        {Integer}  The X coordinate to spawn the number at.
- * @param y        {Integer}  The Y coordinate to spawn the number at.
- * @param value    {Integer}  Integer value for the number.
+ * @param document {Document}    DOM object.
+ * @param canvas   {Element}     DOM element to bind the number to.
+ * @param state    {NumberState} State of the number.
  *
  * @returns {Number}
  */
-const Number = (document, canvas, x, y, value) => {
-    const BOUND_OFFSET = 10;
-
+const Number = (document, canvas, state) => {
     const el = document.createElement("div");
 
-    const size = Math.min(canvas.offsetWidth, canvas.offsetHeight) * 0.10;
-
-    let originX = x;
-    let originY = y;
-    let xPos = null;
-    let yPos = null;
-    let angle = null;
-
-    /**
-     * @brief Returns the boundaries of the number element.
-     *
-     * @return {Rectangle}
-     */
-    const getBounds = () => {
-        return el.getBoundingClientRect();
-    };
-
-    /**
-     * @brief Returns the value of the number.
-     *
-     * @return {Integer}
-     */
-    const getValue = () => {
-        return value;
-    };
-
     /**
      * @brief Renders and adds the element to the DOM.
      */
     const render = () => {
         el.className = "captcha-asteroid";
-        el.innerHTML = value.toString();
-        el.style.width = `${size}px`;
-        el.style.height = `${size}px`;
+        el.style.width = `${state.getSize()}px`;
+        el.style.height = `${state.getSize()}px`;
+        update();
         canvas.appendChild(el);
-
-        // Adjust the origin to account for the element being out of bounds of
-        // the canvas.
-        if (originX == 0) {
-            originX += BOUND_OFFSET;
-        }
-
-        if ((originX + size) >= canvas.offsetWidth) {
-            originX = canvas.offsetWidth - size - BOUND_OFFSET;
-        }
-
-        if (originY == 0) {
-            originY += BOUND_OFFSET;
-        }
-
-        if ((originY + size) >= canvas.offsetHeight) {
-            originY = canvas.offsetHeight - size - BOUND_OFFSET;
-        }
-
-        xPos = originX;
-        yPos = originY;
     };
 
     /**
-     * @brief Sets the new value for the number.
-     *
-     * @param newValue {Integer} New integer value.
+     * @brief Moves, shows or hides the element to match the state.
      */
-    const set = (newValue) => {
-        value = newValue;
-        el.innerHTML = value.toString();
-    };
-
-    /**
-     * @brief Moves the number along its current angle until it collides
-     * with either the ship or the canvas.
-     */
-    const move = () => {
-        if (el.style.visibility == "hidden") {
-            // If the number is not visible, then do not bother with
-            // movement.
-            return;
-        }
-
-        const width = el.offsetWidth;
-        const height = el.offsetHeight;
-        const rad = angle * Math.PI / 180;
-        const xDelta = Math.cos(rad);
-        const yDelta = Math.sin(rad);
-
-        // Compute the four points that make up the div that contains the
-        // number.
-        const points = [
-            new Point(xPos + xDelta, yPos + yDelta),
-            new Point(xPos + xDelta + width, yPos + yDelta),
-            new Point(xPos + xDelta + width, yPos + yDelta + height),
-            new Point(xPos + xDelta, yPos + yDelta + height),
-        ];
-
-        // Check if any of the four points of the number collides with a
-        // boundary of the canvas.
-        let collide = false;
-        points.forEach((p) => {
-            collide |= (p.x <= 0);
-            collide |= (p.x >= canvas.offsetWidth);
-            collide |= (p.y <= 0);
-            collide |= (p.y >= canvas.offsetHeight);
-        });
-
-        if (collide) {
-            // Only collision, randomly choose a direction to try and escape
-            // the collision.
-            angle = (angle + (Math.random() * 90)) % 360;
-        } else {
-            yPos += yDelta;
-            xPos += xDelta;
-            el.style.top = `${yPos}px`;
-            el.style.left = `${xPos}px`;
-        }
-    };
-
-    /**
-     * @brief Shows the element in the DOM.
-     */
-    const show = () => {
-        el.style.top = `${yPos}px`;
-        el.style.left = `${xPos}px`;
-        el.style.visibility = "visible";
-    };
-
-    /**
-     * @brief Hides and removes the element from the DOM.
-     */
-    const hide = () => {
-        el.style.visibility = "hidden";
+    const update = () => {
+        const pos = state.getPos();
+        el.innerHTML = state.getValue().toString();
+        el.style.top = `${pos.y}px`;
+        el.style.left = `${pos.x}px`;
+        el.style.visibility = state.visible() ? "visible" : "hidden";
     };
 
     /**
@@ -756,44 +433,12 @@ const Number = (document, canvas, x, y, value) => {
         el.remove();
     };
 
-    /**
-     * @brief Returns a boolean indicating if the number is visible or not.
-     *
-     * @return {Boolean} `true` if visible, otherwise `false`.
-     */
-    const visible = () => {
-        return (el.style.visibility != "hidden");
-    }
-
-    /**
-     * @brief Resets the number instance.
-     */
-    const reset = () => {
-        // Reset the position of the number.
-        xPos = originX;
-        yPos = originY;
-        el.style.top = `${yPos}px`;
-        el.style.left = `${xPos}px`;
-
-        // Choose a random direction to go.
-        angle = Math.random() * 360;
-    };
-
     return (() => {
-        hide();
         render();
-        reset();
 
         const self = {};
-        self.set = set;
-        self.move = move;
-        self.show = show;
-        self.hide = hide;
+        self.update = update;
         self.remove = remove;
-        self.visible = visible;
-        self.reset = reset;
-        self.getBounds = getBounds;
-        self.getValue = getValue;
         return self;
     })();
 };
@@ -804,21 +449,30 @@ const Number = (document, canvas, x, y, value) => {
  * @details The captcha equation is comprised of three inputs: a left operand,
  * a right operand and a sum.
  *
- * @param parentNode {Element} The parent element containing the input fields.
+ * @param parentNode {Element}       The parent element containing the input fields.
+ * @param state      {EquationState} Optional state of the equation.
  */
-const CaptchaEquation = (parentNode) => {
+const CaptchaEquation = (parentNode, state) => {
     const inputs = Array.from(parentNode.querySelectorAll("input"));
-    const loperand = inputs[0];
-    const roperand = inputs[1];
-    const sum = inputs[2];
+
+    state = state || EquationState();
+
+    /**
+     * @brief Fills the input fields from the state.
+     */
+    const update = () => {
+        const values = state.getInputs();
+        inputs.forEach((input, idx) => {
+            input.value = (idx < values.length) ? values[idx].toString() : "";
+        });
+    };
 
     /**
      * @brief Resets the equation fields.
      */
     const reset = () => {
-        inputs.forEach((input) => {
-            input.value = "";
-        });
+        state.reset();
+        update();
     };
 
     /**
@@ -827,12 +481,8 @@ const CaptchaEquation = (parentNode) => {
      * @param input {Integer} The value to add to the inputs.
      */
     const addInput = (value) => {
-        for (let i = 0; i < inputs.length; i++) {
-            if (!inputs[i].value) {
-                inputs[i].value = value.toString();
-                break;
-            }
-        }
+        state.addInput(value);
+        update();
     };
 
     /**
@@ -843,11 +493,7 @@ const CaptchaEquation = (parentNode) => {
      * @note This function will return `false` if there are not enough inputs.
      */
     const solved = () => {
-        if (!sum.value) {
-            return false;
-        }
-
-        return (parseInt(loperand.value, 10) + parseInt(roperand.value, 10) == parseInt(sum.value, 10));
+        return state.solved();
     };
 
     /**
@@ -859,15 +505,12 @@ const CaptchaEquation = (parentNode) => {
      * @note This function will return `false` if there are not enough inputs.
      */
     const failed = () => {
-        if (!sum.value) {
-            return false;
-        }
-
-        return (parseInt(loperand.value, 10) + parseInt(roperand.value, 10) != parseInt(sum.value, 10));
+        return state.failed();
     };
 
     return (() => {
         const self = CaptchaEquation;
+        self.update = update;
         self.reset = reset;
         self.addInput = addInput;
         self.solved = solved;
@@ -877,60 +520,76 @@ const CaptchaEquation = (parentNode) => {
 };
 
 /**
- * @brief Captcha overlay.
+ * @brief Renders the Astronum game.
+ *
+ * @details Keeps a ship, number and equation element for the states held by
+ * the model, creating and removing number elements as the model's numbers
+ * change.
  *
- * @details Used to display text over top of the captcha.
+ * @param document {Document}      DOM object.
+ * @param canvas   {Element}       DOM element to render the game into.
+ * @param model    {AstronumModel} State of the game.
  *
- * @param container {Element} Containing DOM element node.
+ * @returns {AstronumRenderer}
  */
-const CaptchaOverlay = (container) => {
-    const titleEl = document.createElement("h2");
-    const subtitleEl = document.createElement("span");
-    const display = container.style.display;
+const AstronumRenderer = (document, canvas, model) => {
+    const ship = Ship(document, canvas, model.getShip());
+    const eq = CaptchaEquation(document.getElementById("captcha-title"), model.getEquation());
+    const numbers = new Map();
 
     /**
-     * @brief Renders the overlay.
+     * @brief Updates the elements to match the model.
      */
-    const render = () => {
-        container.appendChild(titleEl);
-        container.appendChild(subtitleEl);
-        return this;
-    }
+    const update = () => {
+        const states = model.getNumbers();
+        numbers.forEach((n, state) => {
+            if (!states.includes(state)) {
+                n.remove();
+                numbers.delete(state);
+            }
+        });
 
-    /**
-     * @brief Sets the overlay text.
-     *
-     * @param title    {String} Title string for the overlay.
-     * @param subtitle {String} Subtitle string for the overlay.
-     */
-    const set = (title, subtitle) => {
-        titleEl.innerText = title;
-        subtitleEl.innerText = subtitle;
+        states.forEach((state) => {
+            if (!numbers.has(state)) {
+                numbers.set(state, Number(document, canvas, state));
+            }
+            numbers.get(state).update();
+        });
+
+        ship.update();
+        eq.update();
     };
 
     /**
-     * @brief Hides the overlay.
+     * @brief Returns `true` if a point is within the canvas.
+     *
+     * @param pos {Point} The point.
+     *
+     * @return {Boolean}
      */
-    const hide = () => {
-        container.style.display = "none";
-        return this;
-    }
+    const contains = (pos) => {
+        return isWithin(pos, canvas.getBoundingClientRect());
+    };
 
     /**
-     * @brief Shows the overlay.
+     * @brief Converts a point relative to the viewport to a point in the
+     * canvas.
+     *
+     * @param pos {Point} The point.
+     *
+     * @return {Point}
      */
-    const show = () => {
-        container.style.display = display;
-        return this;
-    }
+    const toCanvas = (pos) => {
+        return new Point(pos.x - canvas.offsetLeft, pos.y - canvas.offsetTop);
+    };
 
     return (() => {
-        render();
+        update();
 
-        const self = CaptchaOverlay;
-        self.set = set;
-        self.hide = hide;
-        self.show = show;
+        const self = {};
+        self.update = update;
+        self.contains = contains;
+        self.toCanvas = toCanvas;
         return self;
     })();
 };
@@ -942,16 +601,33 @@ const CaptchaOverlay = (container) => {
  * @param document {Document} DOM element.
  */
 const Captcha = (window, document) => {
-    const MAX_SUM = 100;
-    const MIN_NUM_ASTEROIDS = 3;
+    // Query parameters. More asteroids, or a smaller sum, make the numbers on
+    // the asteroids slow to generate.
+    const SCHEMA = {
+        "difficulty": DIFFICULTY_CONFIG,
+        "asteroidCount": { "type": ConfigType.INT, "min": 3, "max": 8 },
+        "maxSum": { "type": ConfigType.INT, "min": 50, "max": 1000 }
+    };
 
-    const DEFAULT_NUM_ASTEROIDS = 6;
+    // Number of asteroids and the largest sum of the equation for each
+    // difficulty.
+    const PRESETS = {
+        [Difficulty.EASY]: { "asteroidCount": 4, "maxSum": 50 },
+        [Difficulty.NORMAL]: { "asteroidCount": 6, "maxSum": 100 },
+        [Difficulty.HARD]: { "asteroidCount": 7, "maxSum": 150 },
+        [Difficulty.EVIL]: { "asteroidCount": 8, "maxSum": 200 }
+    };
 
-    const searchParams = new URLSearchParams(window.location.search);
-    const numNumbers = Math.max(MIN_NUM_ASTEROIDS, searchParams.get("asteroidCount") || DEFAULT_NUM_ASTEROIDS);
+    // Solving within this many milliseconds raises an adaptive difficulty.
+    const QUICK_SOLVE_MS = 30000;
 
-    const eq = CaptchaEquation(document.getElementById("captcha-title"));
     const overlay = CaptchaOverlay(document.getElementById("captcha-overlay"));
+    const protocol = CaptchaProtocol(window, "astronum");
+    const random = createRandom(window);
+    const recorder = CaptchaRecorder(window, document, "astronum", protocol, random);
+    const adaptive = AdaptiveDifficulty(window, "astronum", protocol, SCHEMA, PRESETS, QUICK_SOLVE_MS);
+    const settings = getSettings(window, SCHEMA, PRESETS, adaptive.getLevel());
+    warnInvalidConfig(window, document, SCHEMA);
 
     const canvas = document.getElementById("captcha-app");
     const canvasHeight = (
@@ -960,73 +636,24 @@ const Captcha = (window, document) => {
     );
     canvas.style.height = `${canvasHeight}px`;
 
-    const center = new Point(canvas.offsetWidth / 2, canvas.offsetHeight / 2);
-    const ship = Ship(document, canvas, center.x, center.y);
+    const model = AstronumModel({
+        "numNumbers": settings.asteroidCount,
+        "maxSum": settings.maxSum
+    }, { "width": canvas.offsetWidth, "height": canvas.offsetHeight }, random);
+    const renderer = AstronumRenderer(document, canvas, model);
     const loop = EventLoop(document, canvas);
 
-    let numbers = [];
-    let done = false;
-
     /**
      * @brief Invoked to communicate success upstream.
      */
     const onSuccess = () => {
-        done = true;
-        overlay.set("Success", "");
-        overlay.show();
-        loop.pause();
-        window.top.postMessage("success", "*");
-    };
-
-    /**
-     * @brief Generates and/or updates the value of the visible numbers.
-     *
-     * @details If the `numbers` array is already populated, then new values
-     * are generated, otherwise new numbers are created and appended to the
-     * the array with random starting X and Y coordinates equally distributed
-     * around the edge of the canvas.
-     */
-    const refreshNumbers = () => {
-        const values = generateSpecialArray(numNumbers, MAX_SUM);
-        numbers.forEach((n) => {
-            n.remove();
+        model.succeed();
+        overlay.set({
+            "title": "Success",
+            "status": "success"
         });
-        numbers = [];
-
-        const canvasWidth = canvas.offsetWidth;
-        const canvasHeight = canvas.offsetHeight;
-        const perimeter = (canvasWidth * 2) + (canvasHeight * 2);
-        const stepSize = perimeter / values.length;
-        let step = Math.random() * canvasWidth;
-
-        // Compute an array of (x, y) coordinates equally spaced along the perimeter
-        // of the canvas starting at the given (x, y). We do the math as follows:
-        //   1. Treat the perimeter as one long line of length `perimeter`.
-        //   2. Increment `step` by `stepSize` each iteration.
-        //   3. Derive `(x, y)` from `step`.
-        for (let i = 0; i < values.length; i++) {
-            let x = null;
-            let y = null;
-            if ((step % perimeter) < canvasWidth) {
-                // Top side of square starting from `(0, 0)`.
-                x = (step % perimeter);
-                y = 0;
-            } else if (step < (canvasWidth + canvasHeight)) {
-                // Right side of square starting from `(canvasWidth, 0)`.
-                x = canvasWidth;
-                y = step - x;
-            } else if (step < ((canvasWidth * 2) + canvasHeight)) {
-                // Bottom side of square starting from `(canvasWidth, canvasHeight)`.
-                x = ((canvasWidth * 2) + canvasHeight) - step;
-                y = canvasHeight;
-            } else {
-                // Left side of square starting from `(0, canvasHeight)`.
-                x = 0;
-                y = perimeter - step;
-            }
-            step += stepSize;
-            numbers.push(Number(document, canvas, x, y, values[i]));
-        }
+        loop.pause();
+        protocol.success();
     };
 
     /**
@@ -1034,32 +661,18 @@ const Captcha = (window, document) => {
      */
     const onFailed = () => {
         loop.pause();
-        ship.reset();
-        refreshNumbers();
-        overlay.set("Try Again", "Please solve the equation to continue.");
-        overlay.show();
-    };
 
-    /**
-     * @brief Called when the ship collides with a number.
-     *
-     * @param n {Number} The collided number.
-     */
-    const onCollision = (n) => {
-        // Add the input value to the equation, then check if it was solved
-        // successfully. Note that the failure case is NOT !solved(), as if there
-        // are not enough input values yet, solved() will return false.
-        const visible = n.visible();
-        n.remove();
-        if (visible) {
-            eq.addInput(n.getValue());
-        }
+        // Report the failure before new numbers are generated, so that any
+        // settings changed in response apply to the next attempt.
+        protocol.failed({ "reason": "wrong sum" });
 
-        if (eq.solved()) {
-            onSuccess();
-        } else if (eq.failed()) {
-            onFailed();
-        }
+        model.fail();
+        renderer.update();
+        overlay.set({
+            "title": "Try Again",
+            "text": "Please solve the equation to continue.",
+            "status": "failed"
+        });
     };
 
     /**
@@ -1071,25 +684,33 @@ const Captcha = (window, document) => {
      * @param ev {Event} the mouse down or touch down event.
      */
     const onTouch = (ev) => {
-        if (done) {
+        if (model.isDone()) {
             return;
         }
 
         const pos = getCoordinates(ev);
-        const boundaries = canvas.getBoundingClientRect();
-        if (!isWithin(pos, boundaries)) {
+        if (!renderer.contains(pos)) {
             loop.pause();
-            overlay.set("Paused", "Click anywhere to resume.");
-            overlay.show();
-        } else {
-            if (eq.failed()) {
-                eq.reset();
-            }
-            numbers.forEach((n) => {
-                n.show();
+            overlay.set({
+                "title": "Paused",
+                "text": "Click anywhere to resume."
             });
+            if (model.isRunning()) {
+                protocol.paused();
+            }
+            model.pause();
+        } else {
+            const started = model.isStarted();
+            const paused = model.isPaused();
+            model.resume();
+            renderer.update();
             overlay.hide();
             loop.resume();
+            if (!started) {
+                protocol.started();
+            } else if (paused) {
+                protocol.resumed();
+            }
         }
     };
 
@@ -1100,6 +721,7 @@ const Captcha = (window, document) => {
      * @param code {Integer} the key code.
      */
     const onKeyPress = (code, _) => {
+        const ship = model.getShip();
         switch (code) {
             case KeyCodes.UP:
             case KeyCodes.W:
@@ -1141,8 +763,9 @@ const Captcha = (window, document) => {
         // The target position is the cursor point adjusted by the canvas offset.
         // The cursor position is relative to the viewport.
         // const sourcePos = ship.getCenter();
+        const ship = model.getShip();
         const sourcePos = ship.getFront();
-        const targetPos = new Point(curPos.x - canvas.offsetLeft, curPos.y - canvas.offsetTop);
+        const targetPos = renderer.toCanvas(curPos);
 
         // Compute the difference vector between the cursor and the ship.
         const dx = targetPos.x - sourcePos.x;
@@ -1197,19 +820,50 @@ const Captcha = (window, document) => {
     /**
      * @brief Callback invoked on each event loop tick.
      *
-     * @details Responsible for moving the numbers around the canvas as well
-     * as checking for collision with the ship.
+     * @details Steps the model, then checks if the equation was completed by
+     * a collision with the ship.
      */
     const onTick = () => {
-        const shipBounds = ship.getBounds();
-        numbers.forEach((n) => {
-            if (n.visible()) {
-                n.move();
-                if (rectIntersects(shipBounds, n.getBounds())) {
-                    onCollision(n);
-                }
-            }
-        });
+        model.step();
+        renderer.update();
+
+        // Note that the failure case is NOT !solved(), as if there are not
+        // enough input values yet, solved() will return false.
+        const equation = model.getEquation();
+        if (equation.solved()) {
+            onSuccess();
+        } else if (equation.failed()) {
+            onFailed();
+        }
+    };
+
+    /**
+     * @brief Returns the settings that can be changed by the operator.
+     *
+     * @return {Array} List of `{ name, label, value }` dictionaries.
+     */
+    const getControls = () => {
+        return [
+            { "name": "spawnAsteroids", "label": "Spawn asteroids", "value": 2 },
+            { "name": "asteroidCount", "label": "Asteroids per attempt", "value": model.getSettings().numNumbers }
+        ];
+    };
+
+    /**
+     * @brief Handles new settings pushed by the operator.
+     *
+     * @details `spawnAsteroids` adds asteroids to the running attempt, while
+     * a new `asteroidCount` takes effect from the next attempt.
+     *
+     * @param settings {Object} Dictionary of the settings to change.
+     */
+    const onConfigure = (settings) => {
+        if (settings.spawnAsteroids > 0) {
+            model.spawnNumbers(Math.floor(settings.spawnAsteroids));
+            renderer.update();
+        }
+
+        model.configure(settings);
     };
 
     /**
@@ -1241,146 +895,26 @@ const Captcha = (window, document) => {
         });
         loop.addMouseEvent(onDrag, true);
         loop.addTouchEvent(onDrag, true);
-    };
-
-    bind();
-    refreshNumbers();
-    overlay.set("Solve the Equation", "Use arrow keys, mouse or finger to move. Click anywhere to start.");
-    overlay.show();
-
-    return this;
-};
-
-/**
- * @brief Returns the coordinates of a touch or mouse down event.
- *
- * @param ev {Event} The UI event.
- *
- * @return {Point} A coordinate on success, otherwise `null`.
- */
-const getCoordinates = (ev) => {
-    if (!ev.touches) {
-        return new Point(ev.clientX, ev.clientY);
-    } else if (ev.touches.length == 1) {
-        return new Point(ev.touches[0].clientX, ev.touches[0].clientY);
-    }
-
-    // Multi-finger touch not supported.
-    return null;
-};
-
-/**
- * @brief Returns if a point falls within a rectangle.
- *
- * @param p    {Point}     The point to check for capture.
- * @param rect {Rectangle} The bounding client rectangle.
- *
- * @return {Boolean} `true` if point is contained, otherwise `false`.
- */
-const isWithin = (p, rect) => {
-    if (!p || !rect) {
-        return false;
-    }
-    return ((p.x >= rect.left) &&
-            (p.x <= rect.right) &&
-            (p.y >= rect.top) &&
-            (p.y <= rect.bottom));
-};
-
-/**
- * @brief Returns a boolean indicating if the two rectangles overlap.
- *
- * @param rectA {Rectangle} The first rectangle.
- * @param rectB {Rectangle} The second rectangle.
- *
- * @returns {Boolean} `true` if overlaps, otherwise `false`.
- */
-const rectIntersects = (rectA, rectB) => {
-    return !(
-        (rectB.left > rectA.right) ||
-        (rectB.right < rectA.left) ||
-        (rectB.top > rectA.bottom) ||
-        (rectB.bottom < rectA.top));
-};
 
-/**
- * @brief Generates an array satisfying specific constraints.
- *
- * @details The generated array satisfies the constraint that there is exactly
- * one set of three integers for which two of the integers sum to the third,
- * and for which no sum is larger than `maxSum`.
- *
- * @param arrayLength {Integer} Length of the array to generate.
- * @param maxSum      {Integer} Maximum sum of any three numbers.
- *
- * @return Array of length `arrayLength`.
- */
-const generateSpecialArray = (arrayLength, maxSum) => {
-    const getRandomInt = (min, max) => {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        protocol.listen(ShellMessageType.CONFIGURE, onConfigure);
+        adaptive.listen(onConfigure);
     };
 
-    while (true) {
-        // Build a candidate array of six integers in the range [1..99].
-        let arr = [];
-        for (let i = 0; i < arrayLength; i++) {
-            arr.push(getRandomInt(1, maxSum - 1));
-        }
-
-        // Check that no triple sums to more than the specified maximum
-        // sum.
-        let ok = true;
-        for (let i = 0; (i < arr.length) && ok; i++) {
-            for (let j = i + 1; (j < arr.length) && ok; j++) {
-                for (let k = j + 1; k < arr.length; k++) {
-                    if ((arr[i] + arr[j] + arr[k]) >= maxSum) {
-                        ok = false;
-                        break;
-                    }
-                }
-            }
-        }
-
-        if (!ok) {
-            // Values do not satisfy the constraint, so try again.
-            continue;
-        }
-
-        // Count the triples where two elements sum exactly to the third.
-        let count = 0;
-        for (let i = 0; i < arr.length; i++) {
-            for (let j = i + 1; j < arr.length; j++) {
-                for (let k = j + 1; k < arr.length; k++) {
-                    const a = arr[i];
-                    const b = arr[j];
-                    const c = arr[k];
-                    if ((a + b === c) || (a + c === b) || (b + c === a)) {
-                        count++;
-                    }
-                }
-            }
-        }
-
-        if (count === 1) {
-            return arr;
-        }
-    }
-};
-
-/**
- * @brief Callback invoked when DOM is ready. Loads the application.
- */
-const onReady = () => {
-    if (onReady.app) {
-        // Function already invoked, so return.
-        return;
-    }
+    bind();
+    overlay.set({
+        "title": "Solve the Equation",
+        "text": "Use arrow keys, mouse or finger to move. Click anywhere to start."
+    });
+    protocol.ready({ "difficulty": adaptive.getLevel(), "seed": random.getSeed(), "controls": getControls() });
 
-    onReady.app = Captcha(window, document);
+    return (() => {
+        const self = {};
+        self.model = model;
+        self.renderer = renderer;
+        self.adaptive = adaptive;
+        return self;
+    })();
 };
 
-// Bind the listener to the `onReady` handler.
-window.onload = onReady;
-
-// Backwards fallback for `onload` failing.
-document.addEventListener("DOMContentLoaded", onReady);
+// Load the captcha once the DOM is ready.
+bootstrap(Captcha);
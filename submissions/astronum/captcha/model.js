@@ -0,0 +1,954 @@
+/**
+ * @brief State of the ship.
+ *
+ * @details The ship is drawn facing left at a zero degree angle, so its
+ * `height` runs along the X axis and its `width` along the Y axis.
+ *
+ * @param size {Object}  Dictionary of the `width` and `height` of the canvas.
+ * @param x    {Integer} X coordinate of the ship in the canvas.
+ * @param y    {Integer} Y coordinate of the ship in the canvas.
+ *
+ * @returns {ShipState}
+ */
+const ShipState = (size, x, y) => {
+    // Constant turn angle for the ship.
+    const TURN_ANGLE = 2.0;
+
+    // Distance (in pixels) to move forwards or backwards on each render.
+    const THRUST_DISTANCE = 1.0;
+
+    // Ship dimensions.
+    const width = Math.min(size.width, size.height) * 0.10;
+    const height = Math.min(size.width, size.height) * 0.14;
+
+    // Parameters for rendering the ship.
+    let posX = x - (height / 2);
+    let posY = y - (width / 2);
+    let scale = 1.0;
+    let angle = 90.0;
+
+    /**
+     * @brief Updates the position of the ship.
+     *
+     * @param xDelta   {Float}  Delta, in pixels, to shift the ship along the X axis.
+     * @param yDelta   {Float}  Delta, in pixels, to shift the ship along the Y axis.
+     * @param degDelta {Float}  Degrees to rotate the ship by.
+     */
+    const update = (xDelta, yDelta, degDelta) => {
+        // Check for collision against the canvas boundaries. Note that while
+        // the canvas is a square, the ship is a triangle, so collision
+        // detection on the ship cannot be based on a bounding rectangle.
+        const p = new Point(posX + xDelta, posY + yDelta);
+        let collide = (p.x <= 0);
+        collide |= ((p.x + height) >= size.width);
+        collide |= (p.y <= 0);
+        collide |= ((p.y + height) >= size.height);
+
+        if (collide) {
+            return;
+        }
+
+        // Clamp angle to [0, 360].
+        angle += degDelta;
+        if (angle > 360) {
+            angle %= 360;
+        } else if (angle < 0) {
+            angle += 360;
+        }
+
+        posX += xDelta;
+        posY += yDelta;
+    };
+
+    /**
+     * @brief Moves the ship forward or backwards the specified distance.
+     *
+     * @param distance {Float} Distance, in pixels, to move.
+     */
+    const move = (distance) => {
+        const rad = angle * Math.PI / 180;
+        update(Math.cos(rad) * distance, Math.sin(rad) * distance, 0);
+    };
+
+    /**
+     * @brief Resets the state of the ship to the initial state.
+     */
+    const reset = () => {
+        posX = x - (width / 2);
+        posY = y - (height / 2);
+        scale = 1.0;
+        angle = 90.0;
+        update(0, 0, 0);
+    };
+
+    /**
+     * @brief Moves the ship forward.
+     */
+    const forward = () => {
+        move(-THRUST_DISTANCE);
+    };
+
+    /**
+     * @brief Moves the ship backward.
+     */
+    const backward = () => {
+        // Note: Backwards movement doesn't make sense.
+        // move(THRUST_DISTANCE);
+    };
+
+    /**
+     * @brief Rotates the ship left.
+     */
+    const rotateLeft = () => {
+        update(0, 0, -TURN_ANGLE);
+    };
+
+    /**
+     * @brief Rotates the ship right.
+     */
+    const rotateRight = () => {
+        update(0, 0, TURN_ANGLE);
+    };
+
+    /**
+     * @brief Returns the position of the top left corner of the unrotated
+     * ship.
+     *
+     * @return {Point}
+     */
+    const getPos = () => {
+        return new Point(posX, posY);
+    };
+
+    /**
+     * @brief Returns the width of the ship.
+     *
+     * @return {Float}
+     */
+    const getWidth = () => {
+        return width;
+    };
+
+    /**
+     * @brief Returns the height of the ship.
+     *
+     * @return {Float}
+     */
+    const getHeight = () => {
+        return height;
+    };
+
+    /**
+     * @brief Returns the scale of the ship.
+     *
+     * @return {Float}
+     */
+    const getScale = () => {
+        return scale;
+    };
+
+    /**
+     * @brief Returns the boundaries of the rotated ship.
+     *
+     * @return {Object} Dictionary of `left`, `top`, `right` and `bottom`.
+     */
+    const getBounds = () => {
+        const rad = angle * Math.PI / 180;
+        const cos = Math.abs(Math.cos(rad));
+        const sin = Math.abs(Math.sin(rad));
+        const halfWidth = ((height * cos) + (width * sin)) * scale / 2;
+        const halfHeight = ((height * sin) + (width * cos)) * scale / 2;
+        const cx = posX + (height / 2);
+        const cy = posY + (width / 2);
+        return {
+            "left": cx - halfWidth,
+            "top": cy - halfHeight,
+            "right": cx + halfWidth,
+            "bottom": cy + halfHeight,
+            "width": halfWidth * 2,
+            "height": halfHeight * 2
+        };
+    };
+
+    /**
+     * @brief Returns the ship's current heading.
+     *
+     * @return {Float} Heading in degrees.
+     */
+    const getOrient = () => {
+        return angle;
+    };
+
+    /**
+     * @brief Returns the postion of the center of the chip.
+     *
+     * @return {Point}
+     */
+    const getCenter = () => {
+        const cx = posX + (width / 2);
+        const cy = posY + (height / 2);
+        return new Point(cx, cy);
+    };
+
+    /**
+     * @brief Returns the point corresponding to the current front of the
+     * ship.
+     *
+     * @return {Point} Tip of the ship as (x, y) coordinates.
+     *
+     * @note The value returned by this function accounts for the rotation of
+     * the ship.
+     */
+    const getFront = () => {
+        // Compute the center of the ship. Note that since the ship at a zero
+        // degree angle is facing left, the height is used to compute the
+        // middle along the X axis, and similar for width along the Y axis.
+        const cx = posX + (width / 2);
+        const cy = posY + (height / 2);
+
+        // Translate the tip of the ship so that the center of the ship is
+        // used as the origin point.
+        const dx = posX - cx;
+        const dy = (posY + (height / 2)) - cy;
+
+        // Convert the angle of rotation to radians, as that is required for
+        // the Math.* functions.
+        const rad = angle * Math.PI / 180;
+
+        // Rotate the point using the rotation formula.
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const xr = dx * cos - dy * sin;
+        const yr = dx * sin + dy * cos;
+
+        // Translate the point back to the original origin.
+        const tipX = xr + cx;
+        const tipY = yr + cy;
+
+        return new Point(tipX, tipY);
+    };
+
+    /**
+     * @brief Returns the minimum number of degrees the ship turns on a single
+     * event loop tick.
+     *
+     * @return {Integer} Turn radius in degrees.
+     */
+    const getMinTurnAngle = () => {
+        return TURN_ANGLE;
+    };
+
+    /**
+     * @brief Returns the minimum number of pixels a ship moves on a single
+     * event loop tick.
+     *
+     * @return {Integer} Movement distance in pixels.
+     */
+    const getMinThrustDistance = () => {
+        return THRUST_DISTANCE;
+    };
+
+    return (() => {
+        const self = {};
+        self.reset = reset;
+        self.forward = forward;
+        self.backward = backward;
+        self.rotateLeft = rotateLeft;
+        self.rotateRight = rotateRight;
+        self.getPos = getPos;
+        self.getWidth = getWidth;
+        self.getHeight = getHeight;
+        self.getScale = getScale;
+        self.getBounds = getBounds;
+        self.getOrient = getOrient;
+        self.getCenter = getCenter;
+        self.getFront = getFront;
+        self.getMinTurnAngle = getMinTurnAngle;
+        self.getMinThrustDistance = getMinThrustDistance;
+        return self;
+    })();
+};
+
+/**
+ * @brief State of a number within the canvas.
+ *
+ * @param size   {Object}   Dictionary of the `width` and `height` of the canvas.
+ * @param x      {Integer}  The X coordinate to spawn the number at.
+ * @param y      {Integer}  The Y coordinate to spawn the number at.
+ * @param value  {Integer}  Integer value for the number.
+ * @param random {Random}   Random number generator for the direction.
+ *
+ * @returns {NumberState}
+ */
+const NumberState = (size, x, y, value, random) => {
+    const BOUND_OFFSET = 10;
+
+    const numberSize = Math.min(size.width, size.height) * 0.10;
+
+    let originX = x;
+    let originY = y;
+    let xPos = null;
+    let yPos = null;
+    let angle = null;
+    let shown = false;
+
+    /**
+     * @brief Returns the boundaries of the number.
+     *
+     * @return {Object} Dictionary of `left`, `top`, `right` and `bottom`.
+     */
+    const getBounds = () => {
+        return {
+            "left": xPos,
+            "top": yPos,
+            "right": xPos + numberSize,
+            "bottom": yPos + numberSize,
+            "width": numberSize,
+            "height": numberSize
+        };
+    };
+
+    /**
+     * @brief Returns the position of the top left corner of the number.
+     *
+     * @return {Point}
+     */
+    const getPos = () => {
+        return new Point(xPos, yPos);
+    };
+
+    /**
+     * @brief Returns the width and height of the number.
+     *
+     * @return {Float}
+     */
+    const getSize = () => {
+        return numberSize;
+    };
+
+    /**
+     * @brief Returns the value of the number.
+     *
+     * @return {Integer}
+     */
+    const getValue = () => {
+        return value;
+    };
+
+    /**
+     * @brief Sets the new value for the number.
+     *
+     * @param newValue {Integer} New integer value.
+     */
+    const set = (newValue) => {
+        value = newValue;
+    };
+
+    /**
+     * @brief Moves the number to a position.
+     *
+     * @param newX {Float} X coordinate of the top left corner.
+     * @param newY {Float} Y coordinate of the top left corner.
+     */
+    const moveTo = (newX, newY) => {
+        xPos = newX;
+        yPos = newY;
+    };
+
+    /**
+     * @brief Moves the number along its current angle until it collides
+     * with either the ship or the canvas.
+     */
+    const move = () => {
+        if (!shown) {
+            // If the number is not visible, then do not bother with
+            // movement.
+            return;
+        }
+
+        const rad = angle * Math.PI / 180;
+        const xDelta = Math.cos(rad);
+        const yDelta = Math.sin(rad);
+
+        // Compute the four points that make up the div that contains the
+        // number.
+        const points = [
+            new Point(xPos + xDelta, yPos + yDelta),
+            new Point(xPos + xDelta + numberSize, yPos + yDelta),
+            new Point(xPos + xDelta + numberSize, yPos + yDelta + numberSize),
+            new Point(xPos + xDelta, yPos + yDelta + numberSize),
+        ];
+
+        // Check if any of the four points of the number collides with a
+        // boundary of the canvas.
+        let collide = false;
+        points.forEach((p) => {
+            collide |= (p.x <= 0);
+            collide |= (p.x >= size.width);
+            collide |= (p.y <= 0);
+            collide |= (p.y >= size.height);
+        });
+
+        if (collide) {
+            // Only collision, randomly choose a direction to try and escape
+            // the collision.
+            angle = (angle + (random.next() * 90)) % 360;
+        } else {
+            yPos += yDelta;
+            xPos += xDelta;
+        }
+    };
+
+    /**
+     * @brief Shows the number.
+     */
+    const show = () => {
+        shown = true;
+    };
+
+    /**
+     * @brief Hides the number.
+     */
+    const hide = () => {
+        shown = false;
+    };
+
+    /**
+     * @brief Returns a boolean indicating if the number is visible or not.
+     *
+     * @return {Boolean} `true` if visible, otherwise `false`.
+     */
+    const visible = () => {
+        return shown;
+    }
+
+    /**
+     * @brief Resets the number instance.
+     */
+    const reset = () => {
+        // Reset the position of the number.
+        xPos = originX;
+        yPos = originY;
+
+        // Choose a random direction to go.
+        angle = random.next() * 360;
+    };
+
+    return (() => {
+        // Adjust the origin to account for the number being out of bounds of
+        // the canvas.
+        if (originX == 0) {
+            originX += BOUND_OFFSET;
+        }
+
+        if ((originX + numberSize) >= size.width) {
+            originX = size.width - numberSize - BOUND_OFFSET;
+        }
+
+        if (originY == 0) {
+            originY += BOUND_OFFSET;
+        }
+
+        if ((originY + numberSize) >= size.height) {
+            originY = size.height - numberSize - BOUND_OFFSET;
+        }
+
+        reset();
+
+        const self = {};
+        self.set = set;
+        self.moveTo = moveTo;
+        self.move = move;
+        self.show = show;
+        self.hide = hide;
+        self.visible = visible;
+        self.reset = reset;
+        self.getBounds = getBounds;
+        self.getPos = getPos;
+        self.getSize = getSize;
+        self.getValue = getValue;
+        return self;
+    })();
+};
+
+/**
+ * @brief State of the captcha equation.
+ *
+ * @details The equation is comprised of three inputs: a left operand, a right
+ * operand and a sum.
+ *
+ * @returns {EquationState}
+ */
+const EquationState = () => {
+    const NUM_INPUTS = 3;
+
+    let inputs = [];
+
+    /**
+     * @brief Resets the equation inputs.
+     */
+    const reset = () => {
+        inputs = [];
+    };
+
+    /**
+     * @brief Adds an input value to the equation.
+     *
+     * @param input {Integer} The value to add to the inputs.
+     */
+    const addInput = (value) => {
+        if (inputs.length < NUM_INPUTS) {
+            inputs.push(value);
+        }
+    };
+
+    /**
+     * @brief Returns the values input so far.
+     *
+     * @return {Array} Left operand, right operand and sum, in that order.
+     */
+    const getInputs = () => {
+        return inputs.slice();
+    };
+
+    /**
+     * @brief Returns a boolean indicating if the equation has been solved.
+     *
+     * @return {Boolean} `true` if equation was solved, `false` otherwise.
+     *
+     * @note This function will return `false` if there are not enough inputs.
+     */
+    const solved = () => {
+        if (inputs.length < NUM_INPUTS) {
+            return false;
+        }
+
+        return (inputs[0] + inputs[1] == inputs[2]);
+    };
+
+    /**
+     * @brief Returns a boolean indicating if the equation does not compute
+     * successfully.
+     *
+     * @return {Boolean} `true` if sum is not achieved by the given operands.
+     *
+     * @note This function will return `false` if there are not enough inputs.
+     */
+    const failed = () => {
+        if (inputs.length < NUM_INPUTS) {
+            return false;
+        }
+
+        return (inputs[0] + inputs[1] != inputs[2]);
+    };
+
+    return (() => {
+        const self = {};
+        self.reset = reset;
+        self.addInput = addInput;
+        self.getInputs = getInputs;
+        self.solved = solved;
+        self.failed = failed;
+        return self;
+    })();
+};
+
+/**
+ * @brief State of the Astronum game.
+ *
+ * @details Holds the ship, the numbers flying around the canvas and the
+ * equation. The model never touches the DOM; the captcha calls `step()` on
+ * every event loop tick.
+ *
+ * @param settings {Object} Dictionary of `numNumbers` and `maxSum`.
+ * @param size     {Object} Dictionary of the `width` and `height` of the canvas.
+ * @param random   {Random} Random number generator.
+ *
+ * @returns {AstronumModel}
+ */
+const AstronumModel = (settings, size, random) => {
+    const MIN_NUM_ASTEROIDS = 3;
+
+    // Sums are kept below this value.
+    let maxSum = settings.maxSum;
+
+    const ship = ShipState(size, size.width / 2, size.height / 2);
+    const equation = EquationState();
+
+    let numNumbers = Math.max(MIN_NUM_ASTEROIDS, settings.numNumbers);
+    let numbers = [];
+    let done = false;
+
+    // Indicates if an attempt is in progress.
+    let started = false;
+
+    // Indicates if the game is paused.
+    let paused = true;
+
+    /**
+     * @brief Returns the point at the given distance along the perimeter of
+     * the canvas.
+     *
+     * @details The perimeter is treated as one long line starting from
+     * `(0, 0)` and going clockwise around the canvas.
+     *
+     * @param step {Float} Distance along the perimeter.
+     *
+     * @return {Point}
+     */
+    const getPerimeterPoint = (step) => {
+        const canvasWidth = size.width;
+        const canvasHeight = size.height;
+        const perimeter = (canvasWidth * 2) + (canvasHeight * 2);
+
+        if ((step % perimeter) < canvasWidth) {
+            // Top side of square starting from `(0, 0)`.
+            return new Point(step % perimeter, 0);
+        } else if (step < (canvasWidth + canvasHeight)) {
+            // Right side of square starting from `(canvasWidth, 0)`.
+            return new Point(canvasWidth, step - canvasWidth);
+        } else if (step < ((canvasWidth * 2) + canvasHeight)) {
+            // Bottom side of square starting from `(canvasWidth, canvasHeight)`.
+            return new Point(((canvasWidth * 2) + canvasHeight) - step, canvasHeight);
+        }
+
+        // Left side of square starting from `(0, canvasHeight)`.
+        return new Point(0, perimeter - step);
+    };
+
+    /**
+     * @brief Generates new numbers, replacing the current ones.
+     *
+     * @details The numbers are given random starting X and Y coordinates
+     * equally distributed around the edge of the canvas.
+     */
+    const refreshNumbers = () => {
+        const values = generateSpecialArray(numNumbers, maxSum, random);
+        numbers = [];
+
+        const perimeter = (size.width * 2) + (size.height * 2);
+        const stepSize = perimeter / values.length;
+        let step = random.next() * size.width;
+
+        // Compute an array of (x, y) coordinates equally spaced along the
+        // perimeter of the canvas, incrementing `step` by `stepSize` each
+        // iteration.
+        for (let i = 0; i < values.length; i++) {
+            const p = getPerimeterPoint(step);
+            step += stepSize;
+            numbers.push(NumberState(size, p.x, p.y, values[i], random));
+        }
+    };
+
+    /**
+     * @brief Spawns additional numbers at random points along the edge of the
+     * canvas.
+     *
+     * @details The values of the new numbers are chosen so that the equation
+     * still has exactly one solution.
+     *
+     * @param count {Integer} Number of numbers to spawn.
+     */
+    const spawnNumbers = (count) => {
+        const perimeter = (size.width * 2) + (size.height * 2);
+        for (let i = 0; i < count; i++) {
+            const value = generateExtraValue(numbers.map((n) => n.getValue()), maxSum, random);
+            if (value === null) {
+                return;
+            }
+
+            const p = getPerimeterPoint(random.next() * perimeter);
+            const n = NumberState(size, p.x, p.y, value, random);
+            if (isRunning()) {
+                n.show();
+            }
+            numbers.push(n);
+        }
+    };
+
+    /**
+     * @brief Starts or resumes the attempt.
+     */
+    const resume = () => {
+        if (equation.failed()) {
+            equation.reset();
+        }
+
+        numbers.forEach((n) => {
+            n.show();
+        });
+        started = true;
+        paused = false;
+    };
+
+    /**
+     * @brief Pauses the attempt.
+     */
+    const pause = () => {
+        paused = true;
+    };
+
+    /**
+     * @brief Moves the numbers around the canvas and checks them for collision
+     * with the ship.
+     *
+     * @details A number that collides with the ship is removed and its value
+     * added to the equation. Stops early once the equation is complete.
+     */
+    const step = () => {
+        const shipBounds = ship.getBounds();
+        const current = numbers.slice();
+        for (let i = 0; i < current.length; i++) {
+            const n = current[i];
+            if (!n.visible()) {
+                continue;
+            }
+
+            n.move();
+            if (rectIntersects(shipBounds, n.getBounds())) {
+                numbers.splice(numbers.indexOf(n), 1);
+                equation.addInput(n.getValue());
+
+                if (equation.solved() || equation.failed()) {
+                    break;
+                }
+            }
+        }
+    };
+
+    /**
+     * @brief Marks the captcha as solved.
+     */
+    const succeed = () => {
+        done = true;
+    };
+
+    /**
+     * @brief Fails the current attempt.
+     *
+     * @details Resets the ship and generates new numbers for the next attempt.
+     */
+    const fail = () => {
+        started = false;
+        paused = true;
+        ship.reset();
+        refreshNumbers();
+    };
+
+    /**
+     * @brief Changes the settings of the game.
+     *
+     * @details A new `asteroidCount` or `maxSum` takes effect from the next
+     * attempt.
+     *
+     * @param newSettings {Object} Dictionary of the settings to change.
+     */
+    const configure = (newSettings) => {
+        if (newSettings.asteroidCount > 0) {
+            numNumbers = Math.max(MIN_NUM_ASTEROIDS, Math.floor(newSettings.asteroidCount));
+        }
+
+        if (newSettings.maxSum > 0) {
+            maxSum = Math.floor(newSettings.maxSum);
+        }
+    };
+
+    /**
+     * @brief Returns the current settings.
+     *
+     * @return {Object} Dictionary of `numNumbers` and `maxSum`.
+     */
+    const getSettings = () => {
+        return {
+            "numNumbers": numNumbers,
+            "maxSum": maxSum
+        };
+    };
+
+    /**
+     * @brief Returns the ship.
+     *
+     * @return {ShipState}
+     */
+    const getShip = () => {
+        return ship;
+    };
+
+    /**
+     * @brief Returns the numbers in the canvas.
+     *
+     * @return {Array} List of `NumberState`.
+     */
+    const getNumbers = () => {
+        return numbers;
+    };
+
+    /**
+     * @brief Returns the equation.
+     *
+     * @return {EquationState}
+     */
+    const getEquation = () => {
+        return equation;
+    };
+
+    /**
+     * @brief Returns `true` if the captcha has been solved.
+     *
+     * @return {Boolean}
+     */
+    const isDone = () => {
+        return done;
+    };
+
+    /**
+     * @brief Returns `true` if an attempt has been started.
+     *
+     * @return {Boolean}
+     */
+    const isStarted = () => {
+        return started;
+    };
+
+    /**
+     * @brief Returns `true` if the game is paused.
+     *
+     * @return {Boolean}
+     */
+    const isPaused = () => {
+        return paused;
+    };
+
+    /**
+     * @brief Returns `true` if an attempt is in progress and not paused.
+     *
+     * @return {Boolean}
+     */
+    const isRunning = () => {
+        return (started && !paused);
+    };
+
+    return (() => {
+        refreshNumbers();
+
+        const self = {};
+        self.refreshNumbers = refreshNumbers;
+        self.spawnNumbers = spawnNumbers;
+        self.resume = resume;
+        self.pause = pause;
+        self.step = step;
+        self.succeed = succeed;
+        self.fail = fail;
+        self.configure = configure;
+        self.getSettings = getSettings;
+        self.getShip = getShip;
+        self.getNumbers = getNumbers;
+        self.getEquation = getEquation;
+        self.isDone = isDone;
+        self.isStarted = isStarted;
+        self.isPaused = isPaused;
+        self.isRunning = isRunning;
+        return self;
+    })();
+};
+
+/**
+ * @brief Generates a value that can be added to an array generated by
+ * `generateSpecialArray()` without changing the solution.
+ *
+ * @details The value is chosen so that it is not the sum or difference of any
+ * two values of the array; as such, no new set of three integers for which
+ * two of the integers sum to the third is introduced.
+ *
+ * @param values {Array}   Existing values.
+ * @param maxSum {Integer} Maximum value (exclusive).
+ * @param random {Random}  Random number generator.
+ *
+ * @return {Integer} The value, or `null` if no value could be found.
+ */
+const generateExtraValue = (values, maxSum, random) => {
+    const MAX_ATTEMPTS = 100;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const value = random.int(1, maxSum - 1);
+
+        let ok = true;
+        for (let i = 0; (i < values.length) && ok; i++) {
+            for (let j = i + 1; j < values.length; j++) {
+                const a = values[i];
+                const b = values[j];
+                if ((a + b === value) || (a + value === b) || (b + value === a)) {
+                    ok = false;
+                    break;
+                }
+            }
+        }
+
+        if (ok) {
+            return value;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * @brief Generates an array satisfying specific constraints.
+ *
+ * @details The generated array satisfies the constraint that there is exactly
+ * one set of three integers for which two of the integers sum to the third,
+ * and for which no sum is larger than `maxSum`.
+ *
+ * @param arrayLength {Integer} Length of the array to generate.
+ * @param maxSum      {Integer} Maximum sum of any three numbers.
+ * @param random      {Random}  Random number generator.
+ *
+ * @return Array of length `arrayLength`.
+ */
+const generateSpecialArray = (arrayLength, maxSum, random) => {
+    while (true) {
+        // Build a candidate array of six integers in the range [1..99].
+        let arr = [];
+        for (let i = 0; i < arrayLength; i++) {
+            arr.push(random.int(1, maxSum - 1));
+        }
+
+        // Check that no triple sums to more than the specified maximum
+        // sum.
+        let ok = true;
+        for (let i = 0; (i < arr.length) && ok; i++) {
+            for (let j = i + 1; (j < arr.length) && ok; j++) {
+                for (let k = j + 1; k < arr.length; k++) {
+                    if ((arr[i] + arr[j] + arr[k]) >= maxSum) {
+                        ok = false;
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (!ok) {
+            // Values do not satisfy the constraint, so try again.
+            continue;
+        }
+
+        // Count the triples where two elements sum exactly to the third.
+        let count = 0;
+        for (let i = 0; i < arr.length; i++) {
+            for (let j = i + 1; j < arr.length; j++) {
+                for (let k = j + 1; k < arr.length; k++) {
+                    const a = arr[i];
+                    const b = arr[j];
+                    const c = arr[k];
+                    if ((a + b === c) || (a + c === b) || (b + c === a)) {
+                        count++;
+                    }
+                }
+            }
+        }
+
+        if (count === 1) {
+            return arr;
+        }
+    }
+};
@@ -1,63 +1,331 @@
-const TOUCH_EVENTS = ["mouseup", "touchend"];
-
 /**
- * @brief Gift card types.
+ * @brief Directions a gift card can be swiped in.
  */
-const GiftCardType = Object.freeze({
-    GOOGLE_PLAY: 0,
-    TARGET: 1
+const SwipeDirection = Object.freeze({
+    DOWN: "down",
+    LEFT: "left"
 });
 
+
+/**
+ * @brief Swipe gesture on an element.
+ *
+ * @details A swipe starts with a touch or mouse press on the element, and
+ * follows the pointer across the document until it is released. On release,
+ * the swipe counts as `SwipeDirection.DOWN` or `SwipeDirection.LEFT` if it
+ * went far enough, or was fast enough, mostly in that direction; otherwise
+ * it is too short and `release` is given `null`. A press that barely moves
+ * is a tap, and is left to the element's click handler, but still releases
+ * the swipe with `null`.
+ *
+ * The move listeners are not passive, so that dragging does not scroll the
+ * page on touch screens.
+ *
+ * @param document {Document} Document object model.
+ * @param el       {Element}  Element that is swiped.
+ * @param grab     {Function} Function to invoke when the element is pressed.
+ * @param move     {Function} Function to invoke with the offset (`Point`) of
+ *                            the pointer from where it was pressed.
+ * @param release  {Function} Function to invoke with the `SwipeDirection`, or
+ *                            `null`, once a swipe is released.
+ *
+ * @returns {SwipeGesture}
+ */
+const SwipeGesture = (document, el, grab, move, release) => {
+    // Distance, in pixels, a press may move and still be a tap.
+    const TAP_DISTANCE = 10;
+    // Distance, in pixels, or speed, in pixels per millisecond, a swipe must
+    // reach to count.
+    const SWIPE_DISTANCE = 80;
+    const SWIPE_VELOCITY = 0.5;
+    // A pointer held still for this many milliseconds before release has no
+    // speed.
+    const SWIPE_STALE_MS = 100;
+
+    const MOVE_EVENTS = ["mousemove", "touchmove"];
+    // Document level touch listeners are passive unless stated otherwise.
+    const MOVE_OPTIONS = { "passive": false };
+
+    let start = null;
+    let last = null;
+    let velocity = null;
+    let dragged = false;
+
+    /**
+     * @brief Starts a swipe on a touch or mouse press on the element.
+     *
+     * @param ev {UIEvent} Touch start or mouse down event.
+     */
+    const onStart = (ev) => {
+        const pos = getCoordinates(ev);
+        if (pos == null) {
+            return;
+        }
+
+        start = pos;
+        last = { "pos": pos, "time": performance.now() };
+        velocity = new Point(0, 0);
+        dragged = false;
+
+        MOVE_EVENTS.forEach((eventName) => document.addEventListener(eventName, onMove, MOVE_OPTIONS));
+        TOUCH_EVENTS.forEach((eventName) => document.addEventListener(eventName, onEnd));
+        grab();
+    };
+
+    /**
+     * @brief Follows the pointer while the swipe is held.
+     *
+     * @param ev {UIEvent} Touch or mouse move event.
+     */
+    const onMove = (ev) => {
+        const pos = getCoordinates(ev);
+        if (pos == null) {
+            return;
+        }
+
+        const now = performance.now();
+        const elapsed = now - last.time;
+        if (elapsed > 0) {
+            velocity = new Point((pos.x - last.pos.x) / elapsed, (pos.y - last.pos.y) / elapsed);
+        }
+        last = { "pos": pos, "time": now };
+
+        const offset = new Point(pos.x - start.x, pos.y - start.y);
+        if (Math.hypot(offset.x, offset.y) > TAP_DISTANCE) {
+            dragged = true;
+        }
+
+        if (dragged) {
+            ev.preventDefault();
+            move(offset);
+        }
+    };
+
+    /**
+     * @brief Ends the swipe on a touch or mouse release.
+     */
+    const onEnd = () => {
+        MOVE_EVENTS.forEach((eventName) => document.removeEventListener(eventName, onMove, MOVE_OPTIONS));
+        TOUCH_EVENTS.forEach((eventName) => document.removeEventListener(eventName, onEnd));
+
+        if (!dragged) {
+            start = null;
+            release(null);
+            return;
+        }
+
+        const dx = last.pos.x - start.x;
+        const dy = last.pos.y - start.y;
+        if ((performance.now() - last.time) > SWIPE_STALE_MS) {
+            velocity = new Point(0, 0);
+        }
+
+        start = null;
+        dragged = false;
+
+        if ((Math.abs(dy) > Math.abs(dx)) && (dy > 0) &&
+            ((dy >= SWIPE_DISTANCE) || (velocity.y >= SWIPE_VELOCITY))) {
+            release(SwipeDirection.DOWN);
+        } else if ((Math.abs(dx) >= Math.abs(dy)) && (dx < 0) &&
+                   ((-dx >= SWIPE_DISTANCE) || (-velocity.x >= SWIPE_VELOCITY))) {
+            release(SwipeDirection.LEFT);
+        } else {
+            release(null);
+        }
+    };
+
+    /**
+     * @brief Returns `true` if the pointer has moved too far for a tap since
+     * it was pressed.
+     *
+     * @return {Boolean}
+     */
+    const isDragged = () => {
+        return dragged;
+    };
+
+    return (() => {
+        el.addEventListener("mousedown", onStart);
+        el.addEventListener("touchstart", onStart);
+
+        const self = {};
+        self.isDragged = isDragged;
+        return self;
+    })();
+};
+
+
 /**
  * @brief Gift card DOM element.
  *
+ * @details With a `swipe` function, the gift card can also be dragged: a
+ * swipe down or to the left is passed to the function, and a swipe that is
+ * too short springs the gift card back into place. The `hold` function is
+ * told when the gift card is pressed, and when it is let go without being
+ * swiped away.
+ *
  * @param document  {DOM}           Document object model.
  * @param container {Element}       Containing DOM element.
- * @param type      {GiftCardType}  Type of gift card.
+ * @param state     {GiftCardState} State of the gift card.
  * @param click     {Function}      Function to invoke when the gift card is clicked.
+ * @param swipe     {Function}      Optional function to invoke with the
+ *                                  `SwipeDirection` when the gift card is swiped.
+ * @param hold      {Function}      Optional function to invoke with `true`
+ *                                  when the gift card is pressed, and `false`
+ *                                  when it is let go without a swipe.
  */
-const GiftCard = (document, container, type, click) => {
-    const VALUES = [10, 25, 50];
+const GiftCard = (document, container, state, click, swipe, hold) => {
     const TIMEOUT = 350;
     const LOGO_MODIFIER = 1.0;
     const MAX_LOGO_HEIGHT = 150;
+    // Degrees the logo of a counterfeit gift card is shifted off its colour.
+    const COUNTERFEIT_HUE_ROTATE = 35;
+    // Spring of a gift card back into place after a swipe that is too short.
+    const RUBBER_BAND_MS = 300;
+    const RUBBER_BAND_EASING = "cubic-bezier(0.175, 0.885, 0.32, 1.275)";
 
     const template = document.getElementById("captcha-gift-card");
     const el = template.cloneNode(true);
 
     const value = el.querySelector(".captcha-gift-card-value");
     const code = el.querySelector(".captcha-gift-card-code");
+    const codeLabel = el.querySelector(".captcha-gift-card-code-label");
     const logo = el.querySelector(".captcha-gift-card-logo");
 
     const self = {};
 
     let timer = null;
     let rendered = false;
+    let leaving = false;
+    let gesture = null;
+    let transition = "";
+    let baseTransform = "";
+    let dragOffset = null;
 
     /**
      * @brief Touch event handler for the gift card element.
      *
      * @details Surfaces the click event to the provided callback function
-     * if applicable.
+     * if applicable. The release of a swipe is not a click.
      *
      * @apram ev {UIEvent} Touch event.
      */
     const onClick = (ev) => {
+        if (gesture && gesture.isDragged()) {
+            return;
+        }
+
         if (click) {
             click(ev, self);
         }
     };
 
     /**
-     * @brief Renders the element in the DOM.
+     * @brief Sets the transform of the element, offset by the swipe being
+     * dragged, if any.
+     */
+    const applyTransform = () => {
+        let transform = baseTransform;
+        if (dragOffset) {
+            transform = `translate(${dragOffset.x}px, ${dragOffset.y}px) ${transform}`;
+        }
+        el.style.transform = transform;
+        el.style.webkitTransform = transform;
+    };
+
+    /**
+     * @brief Tells the `hold` function that the gift card was pressed.
+     */
+    const onSwipeGrab = () => {
+        if (!leaving && hold) {
+            hold(true, self);
+        }
+    };
+
+    /**
+     * @brief Moves the gift card with the swipe being dragged.
      *
-     * @param done {Function} Function to call on rendering complete.
+     * @param offset {Point} Offset of the pointer from where it was pressed.
      */
-    const render = (done) => {
-        if (rendered) {
+    const onSwipeMove = (offset) => {
+        if (leaving) {
+            return;
+        }
+
+        el.style.transition = "none";
+        dragOffset = offset;
+        applyTransform();
+    };
+
+    /**
+     * @brief Passes a swipe on, or springs the gift card back into place if
+     * the swipe was too short.
+     *
+     * @param direction {SwipeDirection} Direction of the swipe, or `null`.
+     */
+    const onSwipeRelease = (direction) => {
+        if (leaving) {
+            return;
+        } else if (direction) {
+            swipe(direction, self);
             return;
         }
 
+        if (dragOffset) {
+            el.style.transition = `transform ${RUBBER_BAND_MS}ms ${RUBBER_BAND_EASING}`;
+            dragOffset = null;
+            applyTransform();
+            setTimeout(() => {
+                if (!leaving && !dragOffset) {
+                    el.style.transition = transition;
+                }
+            }, RUBBER_BAND_MS);
+        }
+
+        if (hold) {
+            hold(false, self);
+        }
+    };
+
+    /**
+     * @brief Creates the artwork of the gift card.
+     *
+     * @param artwork {Object} Artwork from the gift card's definition.
+     * @param width   {Float}  Width of the artwork.
+     * @param height  {Float}  Height of the artwork.
+     *
+     * @return {Element}
+     */
+    const createArtwork = (artwork, width, height) => {
+        let art = null;
+        if (artwork.svg) {
+            art = document.getElementById(artwork.svg).cloneNode(true);
+            art.id = "";
+        } else if (artwork.image) {
+            art = document.createElement("img");
+            art.src = artwork.image;
+            art.alt = "";
+        } else {
+            // Word marks are drawn as text, centred in the space for a logo.
+            art = document.createElement("div");
+            art.className = "captcha-gift-card-wordmark";
+            art.innerText = artwork.text;
+            art.style.color = state.getDefinition().accent;
+            art.style.width = `${width}px`;
+            art.style.lineHeight = `${height}px`;
+            return art;
+        }
+
+        art.style.width = width;
+        art.style.height = height;
+        return art;
+    };
+
+    /**
+     * @brief Fills in the element from the gift card's state and adds it to
+     * the DOM.
+     */
+    const build = () => {
         el.id = "";
         rendered = true;
 
@@ -65,44 +333,45 @@ const GiftCard = (document, container, type, click) => {
             logo.removeChild(logo.lastChild);
         }
 
-        let svg = null;
+        const definition = state.getDefinition();
         const width = template.offsetWidth;
         const height = Math.min(MAX_LOGO_HEIGHT, template.offsetHeight * LOGO_MODIFIER);
-        switch (type) {
-            case GiftCardType.GOOGLE_PLAY:
-                svg = document.getElementById("captcha-gp").cloneNode(true);
-                svg.id = "";
-                svg.style.width = width;
-                svg.style.height = height;
-                logo.appendChild(svg);
-                break;
-
-            case GiftCardType.TARGET:
-                svg = document.getElementById("captcha-target").cloneNode(true);
-                svg.id = "";
-                svg.style.width = width;
-                svg.style.height = height;
-                logo.appendChild(svg);
-                break;
-
-            default:
-                break;
-        }
-
-        // Generate a random redemption code.
-        let newCode = "";
-        for (let i = 0; i < 16;i ++) {
-            if ((i > 0) && (i % 4 == 0)) {
-                newCode += "-";
-            }
-            const digit = Math.floor(Math.random() * 10);
-            newCode += digit.toString();
+        logo.appendChild(createArtwork(definition.artwork, width, height));
+        if (state.getCounterfeit() == Counterfeit.COLOR) {
+            logo.style.filter = `hue-rotate(${COUNTERFEIT_HUE_ROTATE}deg)`;
+        }
+
+        el.className = `captcha-gift-card captcha-gift-card-${definition.type}`;
+        el.setAttribute("aria-label", `${definition.name} gift card`);
+        el.style.background = definition.background;
+        el.style.color = definition.color;
+
+        code.innerText = state.getId();
+        codeLabel.innerText = state.getLabel();
+        value.innerText = `$${state.getValue()}`;
+
+        container.appendChild(el);
+
+        TOUCH_EVENTS.forEach((eventName) => {
+            el.addEventListener(eventName, onClick);
+        });
+
+        if (swipe) {
+            gesture = SwipeGesture(document, el, onSwipeGrab, onSwipeMove, onSwipeRelease);
+        }
+    };
+
+    /**
+     * @brief Renders the element in the DOM.
+     *
+     * @param done {Function} Function to call on rendering complete.
+     */
+    const render = (done) => {
+        if (rendered) {
+            return;
         }
-        code.innerText = newCode;
 
-        // Generate a random dollar amount.
-        dollars = VALUES[Math.floor(Math.random() * VALUES.length)];
-        value.innerText = `$${dollars}`;
+        build();
 
         const header = document.getElementById("captcha-header");
         const offsetLeft = template.offsetLeft + template.offsetWidth + template.offsetLeft;
@@ -113,27 +382,56 @@ const GiftCard = (document, container, type, click) => {
         el.style.top = `${offsetTop}px`;
         el.style.left = `${offsetLeft}px`;
         el.style.visibility = "visible";
-        container.appendChild(el);
-
-        TOUCH_EVENTS.forEach((eventName) => {
-            el.addEventListener(eventName, onClick);
-        });
 
         // Perform the animation.
         requestAnimationFrame(() => {
-            el.style.transform = `translateX(-${offsetX}px)`;
-            el.style.webkitTransform = `translateX(-${offsetX}px)`;
+            baseTransform = `translateX(-${offsetX}px)`;
+            applyTransform();
             setTimeout(() => {
                 done(self);
             }, TIMEOUT);
         });
     };
 
+    /**
+     * @brief Renders the element in the DOM to be moved by `moveTo()`, rather
+     * than sliding it into view.
+     */
+    const mount = () => {
+        if (rendered) {
+            return;
+        }
+
+        build();
+
+        // The element is moved every frame, so it must not be eased.
+        transition = "none";
+        el.style.position = "absolute";
+        el.style.top = "0px";
+        el.style.left = "0px";
+        el.style.transition = transition;
+        el.style.transformOrigin = "top left";
+        el.style.visibility = "visible";
+    };
+
+    /**
+     * @brief Moves a mounted element.
+     *
+     * @param left  {Float} Left offset, in pixels.
+     * @param top   {Float} Top offset, in pixels.
+     * @param scale {Float} Scale of the gift card.
+     */
+    const moveTo = (left, top, scale) => {
+        baseTransform = `translate(${left}px, ${top}px) scale(${scale})`;
+        applyTransform();
+    };
+
     /**
      * @brief Cleans up the gift card state and removes the element from the
      * DOM.
      */
     const remove = () => {
+        leaving = true;
         if (timer) {
             clearTimeout(timer);
             timer = null;
@@ -142,23 +440,29 @@ const GiftCard = (document, container, type, click) => {
     };
 
     /**
-     * @brief Hides the gift card.
+     * @brief Hides the gift card by sliding it out to the left.
+     *
+     * @details The slide is applied before any other transform, so that it
+     * starts from wherever the gift card is, e.g. on the conveyor or while
+     * being swiped.
      *
      * @param done {Function} Function to invoke when card is hidden;
      */
     const hide = (done) => {
-        if (timer) {
+        if (leaving) {
             return;
         }
 
-        const offsetX = template.offsetLeft + template.offsetWidth + el.offsetLeft + el.offsetWidth;
+        leaving = true;
+        const offsetX = container.offsetWidth + el.offsetWidth;
         requestAnimationFrame(() => {
-            el.style.transform = `translateX(-${offsetX}px)`;
-            el.style.webkitTransform = `translateX(-${offsetX}px)`;
+            el.style.transition = "";
+            el.style.transform = `translateX(-${offsetX}px) ${el.style.transform}`;
+            el.style.webkitTransform = el.style.transform;
             timer = setTimeout(() => {
                 el.style.visibility = "hidden";
                 remove();
-                done(getId());
+                done(state.getId());
             }, TIMEOUT);
         });
     };
@@ -169,180 +473,47 @@ const GiftCard = (document, container, type, click) => {
      * @param done {Function} Function to invoke when card animation is done.
      */
     const redeem = (done) => {
-        if (timer) {
+        if (leaving) {
             return;
         }
 
+        // The drop is applied before any other transform, so that it is not
+        // scaled with a gift card on the conveyor.
+        leaving = true;
         const offsetY = container.offsetHeight;
         requestAnimationFrame(() => {
-            el.style.transform += ` translateY(${offsetY}px)`;
-            el.style.webkitTransform += ` translateY(${offsetY}px)`;
+            el.style.transition = "";
+            el.style.transform = `translateY(${offsetY}px) ${el.style.transform}`;
+            el.style.webkitTransform = el.style.transform;
             timer = setTimeout(() => {
                 el.style.visibility = "hidden";
                 remove();
-                done(getValue());
+                done(state.getValue());
             }, TIMEOUT);
         });
     };
 
     /**
-     * @brief Returns if the gift card is the specified type.
+     * @brief Returns the state of the gift card.
      *
-     * @param refType {GiftCardType} Type to check against.
+     * @return {GiftCardState}
      */
-    const is = (refType) => {
-        return type === refType;
-    };
-
-    /**
-     * @brief Returns the unique ID of this gift card.
-     */
-    const getId = () => {
-        return code.innerText;
-    };
-
-    /**
-     * @brief Returns the value of the gift card.
-     *
-     * @return {Integer}
-     */
-    const getValue = () => {
-        return dollars;
+    const getState = () => {
+        return state;
     };
 
     return (() => {
         self.render = render;
-        self.getId = getId;
-        self.getValue = getValue;
+        self.mount = mount;
+        self.moveTo = moveTo;
+        self.getState = getState;
         self.hide = hide;
         self.remove = remove;
-        self.is = is;
         self.redeem = redeem;
         return self;
     })();
 };
 
-/**
- * @brief Captcha overlay.
- *
- * @details Used to display text over top of the captcha.
- *
- * @param container {Element} Containing DOM element node.
- */
-const CaptchaOverlay = (container) => {
-    const icon = document.createElement("div");
-    const titleEl = document.createElement("h2");
-    const subtitleEl = document.createElement("span");
-    const image = document.createElement("img");
-    const display = container.style.display;
-
-    /**
-     * @brief Renders the overlay.
-     */
-    const render = () => {
-        icon.style.display = "none";
-        icon.className = "captcha-icon";
-        hide();
-        container.appendChild(icon);
-        container.appendChild(titleEl);
-        container.appendChild(image);
-        container.appendChild(subtitleEl);
-        return this;
-    }
-
-    /**
-     * @brief Returns the overlay DOM element.
-     *
-     * @return {Element}
-     */
-    const getElement = () => {
-        return container;
-    };
-
-    /**
-     * @brief Hides the overlay.
-     */
-    const hide = () => {
-        container.style.display = "none";
-        return this;
-    }
-
-    /**
-     * @brief Shows the overlay.
-     */
-    const show = () => {
-        container.style.display = display;
-        return this;
-    }
-
-    /**
-     * @brief Sets the overlay text.
-     *
-     * @details The specified dictionary specifies how to format the overlay
-     * and allows for:
-     *   - title: Text to display as the title in the overlay.
-     *   - text: Text to display in the body of the overlay.
-     *   - image: Optional image to present in the overlay.
-     *   - status: Optional overlay status (`failed` or `success`).
-     *
-     * @param options {Object} Dictionary specifying how to format the overlay.
-     */
-    const set = (options) => {
-        titleEl.innerText = options.title || "";
-        subtitleEl.innerHTML = options.text || "";
-        if (options.image) {
-            // Unload, then re-load the image. This is necessary to work around
-            // quirks with webkit in Safari that will cause the animation to not
-            // play.
-            image.src = "";
-            image.className = "";
-            image.onload = (() => {
-                image.className = "captcha-shake";
-            });
-
-            image.src = options.image;
-            image.style.display = "inline-flex";
-        } else {
-            image.src = "";
-            image.style.display = "none";
-        }
-
-        switch (options.status) {
-            case "success":
-                icon.innerHTML = "&#10003";
-                icon.style.display = "flex";
-                container.className = "captcha-overlay captcha-success";
-                break;
-
-            case "failed":
-                icon.innerHTML = "&#10005";
-                icon.style.display = "flex";
-                container.className = "captcha-overlay captcha-failed";
-                break;
-
-            default:
-                icon.style.display = "none";
-                container.className = "captcha-overlay";
-                break;
-        }
-
-        requestAnimationFrame(() => {
-            show();
-        });
-    };
-
-    return (() => {
-        const self = {}
-        self.render = render;
-        self.set = set;
-        self.hide = hide;
-        self.show = show;
-        self.getElement = getElement;
-        return self;
-    })();
-};
-
-
 /**
  * @brief Pop-up for balance added.
  *
@@ -389,6 +560,244 @@ const CaptchaBalance = (document, value) => {
 };
 
 
+/**
+ * @brief Renders the Do Not Redeem game.
+ *
+ * @details Owns the gift card currently in view, or the gift cards on the
+ * conveyor, and the total, timer, rule and redeem button elements; all game
+ * state is read from the model.
+ *
+ * @param document {Document} Document object model.
+ *
+ * @returns {DnrRenderer}
+ */
+const DnrRenderer = (document) => {
+    // Scale of the gift cards on the conveyor.
+    const CONVEYOR_CARD_SCALE = 0.5;
+
+    const container = document.getElementById("captcha-content");
+    const template = document.getElementById("captcha-gift-card");
+    const header = document.getElementById("captcha-header");
+    const captchaTimer = document.getElementById("captcha-timer-count");
+    const value = document.getElementById("captcha-total-value");
+    const rule = document.getElementById("captcha-rule");
+    const redeemButton = document.getElementById("captcha-redeem");
+
+    let giftCard = null;
+    let conveyorCards = [];
+    let droppingCards = [];
+
+    /**
+     * @brief Renders a gift card, replacing the one currently in view.
+     *
+     * @param state {GiftCardState} State of the gift card.
+     * @param click {Function}      Function to invoke when the gift card is clicked.
+     * @param swipe {Function}      Function to invoke when the gift card is swiped.
+     * @param hold  {Function}      Function to invoke when the gift card is
+     *                              held or let go (see `GiftCard()`).
+     * @param done  {Function}      Function to call once the gift card is in view.
+     */
+    const renderGiftCard = (state, click, swipe, hold, done) => {
+        removeGiftCard();
+        giftCard = GiftCard(document, container, state, click, swipe, hold);
+        giftCard.render(done);
+    };
+
+    /**
+     * @brief Removes the gift card currently in view.
+     */
+    const removeGiftCard = () => {
+        if (giftCard) {
+            giftCard.remove();
+            giftCard = null;
+        }
+    };
+
+    /**
+     * @brief Renders the gift cards on the conveyor.
+     *
+     * @details Gift cards new to the conveyor are added, and those that have
+     * left it are removed. The lanes split the content area evenly, and a
+     * gift card moves from just off its right edge to just off its left.
+     *
+     * @param items {Array}    Gift cards on the conveyor (see
+     *                         `DnrModel.getConveyor()`).
+     * @param click {Function} Function to invoke when a gift card is clicked.
+     * @param swipe {Function} Function to invoke when a gift card is swiped.
+     */
+    const updateConveyor = (items, click, swipe) => {
+        conveyorCards = conveyorCards.filter((gc) => {
+            if (items.some((item) => (item.card === gc.getState()))) {
+                return true;
+            }
+            gc.remove();
+            return false;
+        });
+
+        const width = container.offsetWidth;
+        const cardWidth = template.offsetWidth * CONVEYOR_CARD_SCALE;
+        const cardHeight = template.offsetHeight * CONVEYOR_CARD_SCALE;
+        const laneHeight = container.offsetHeight / CONVEYOR_LANES;
+        const offsetTop = header.offsetTop + header.offsetHeight;
+
+        items.forEach((item) => {
+            let gc = conveyorCards.find((other) => (other.getState() === item.card));
+            if (!gc) {
+                gc = GiftCard(document, container, item.card, click, swipe);
+                gc.mount();
+                conveyorCards.push(gc);
+            }
+
+            const left = width - (item.progress * (width + cardWidth));
+            const top = offsetTop + (laneHeight * item.laneY) + ((laneHeight - cardHeight) / 2);
+            gc.moveTo(left, top, CONVEYOR_CARD_SCALE);
+        });
+    };
+
+    /**
+     * @brief Stops moving a gift card with the conveyor, leaving it in the DOM
+     * to finish its animation.
+     *
+     * @param gc {GiftCard} The gift card.
+     */
+    const releaseConveyorCard = (gc) => {
+        conveyorCards = conveyorCards.filter((other) => (other !== gc));
+        droppingCards.push(gc);
+    };
+
+    /**
+     * @brief Removes a gift card released from the conveyor once its
+     * animation has finished.
+     *
+     * @param gc {GiftCard} The gift card.
+     */
+    const removeReleasedCard = (gc) => {
+        droppingCards = droppingCards.filter((other) => (other !== gc));
+        gc.remove();
+    };
+
+    /**
+     * @brief Removes every gift card on the conveyor, including those still
+     * dropping out of it.
+     */
+    const clearConveyor = () => {
+        conveyorCards.concat(droppingCards).forEach((gc) => gc.remove());
+        conveyorCards = [];
+        droppingCards = [];
+    };
+
+    /**
+     * @brief Returns the gift cards on the conveyor.
+     *
+     * @return {Array} List of `GiftCard`.
+     */
+    const getConveyorCards = () => {
+        return conveyorCards.slice();
+    };
+
+    /**
+     * @brief Returns the gift card currently in view.
+     *
+     * @return {GiftCard} The gift card, or `null`.
+     */
+    const getGiftCard = () => {
+        return giftCard;
+    };
+
+    /**
+     * @brief Shows the pop-up for a balance being added.
+     *
+     * @param amount {Integer} Amount of dollars added to the balance.
+     */
+    const renderBalance = (amount) => {
+        const balance = CaptchaBalance(document, amount);
+        balance.render();
+    };
+
+    /**
+     * @brief Updates the total dollar value shown in the captcha.
+     *
+     * @param totalValue {Integer} The total value.
+     */
+    const updateValue = (totalValue) => {
+        value.innerText = `$${totalValue}`;
+    };
+
+    /**
+     * @brief Updates the button show for redemption.
+     *
+     * @param redeem {Boolean} `true` for redeem.
+     */
+    const updateButton = (redeem) => {
+        const span = redeemButton.querySelector("span");
+        if (redeem) {
+            redeemButton.className = "captcha-button captcha-redeem";
+            span.innerText = "Redeem";
+        } else {
+            redeemButton.className = "captcha-button captcha-do-not-redeem";
+            span.innerText = "Do Not Redeem";
+        }
+    };
+
+    /**
+     * @brief Shows or hides the redeem button.
+     *
+     * @param visible {Boolean} `true` to show the button.
+     */
+    const showButton = (visible) => {
+        redeemButton.style.visibility = visible ? "visible" : "hidden";
+    };
+
+    /**
+     * @brief Updates the number of seconds shown in the captcha timer.
+     *
+     * @param count {Integer} Number of seconds left.
+     */
+    const updateTimer = (count) => {
+        captchaTimer.innerText = ((count < 10) ? "0" : "") + count.toString();
+    };
+
+    /**
+     * @brief Updates the rule shown in the captcha header.
+     *
+     * @param text {String} Text of the rule, or `null` to hide it.
+     */
+    const updateRule = (text) => {
+        rule.innerText = text || "";
+        rule.style.visibility = text ? "visible" : "hidden";
+    };
+
+    /**
+     * @brief Returns the redeem button element.
+     *
+     * @return {Element}
+     */
+    const getRedeemButton = () => {
+        return redeemButton;
+    };
+
+    return (() => {
+        const self = {};
+        self.renderGiftCard = renderGiftCard;
+        self.removeGiftCard = removeGiftCard;
+        self.getGiftCard = getGiftCard;
+        self.updateConveyor = updateConveyor;
+        self.releaseConveyorCard = releaseConveyorCard;
+        self.removeReleasedCard = removeReleasedCard;
+        self.clearConveyor = clearConveyor;
+        self.getConveyorCards = getConveyorCards;
+        self.renderBalance = renderBalance;
+        self.updateValue = updateValue;
+        self.updateButton = updateButton;
+        self.showButton = showButton;
+        self.updateTimer = updateTimer;
+        self.updateRule = updateRule;
+        self.getRedeemButton = getRedeemButton;
+        return self;
+    })();
+};
+
+
 /**
  * @brief Captcha application.
  *
@@ -396,88 +805,178 @@ const CaptchaBalance = (document, value) => {
  * @param document {Document} Document object model.
  */
 const Captcha = (window, document) => {
-    const DEFAULT_TARGET_VALUE = 200;
-    const DEFAULT_TIMER_VALUE = 20;
-    const DEFAULT_MAX_GIFT_CARD_DURATION_S = 1;
-    const DEFAULT_MIN_GIFT_CARD_DURATION_S = 0.5;
+    // Query parameters, with the timer in seconds and the target amount in
+    // dollars.
+    const SCHEMA = {
+        "difficulty": DIFFICULTY_CONFIG,
+        "timer": { "type": ConfigType.INT, "min": 1, "max": 600, "default": 20 },
+        "amount": { "type": ConfigType.INT, "min": 1, "max": 10000 },
+        "maxDuration": { "type": ConfigType.FLOAT, "min": 0.1, "max": 10 },
+        "minDuration": { "type": ConfigType.FLOAT, "min": 0.1, "max": 10 },
+        "expire": { "type": ConfigType.BOOL, "default": false },
+        "numRounds": { "type": ConfigType.INT, "min": 1, "max": 10, "default": 1 },
+        "rules": { "type": ConfigType.LIST, "values": Object.values(RedeemRule), "default": Object.values(RedeemRule) },
+        "counterfeitChance": { "type": ConfigType.FLOAT, "min": 0, "max": 1 },
+        "counterfeits": { "type": ConfigType.LIST, "values": Object.values(Counterfeit), "default": Object.values(Counterfeit) },
+        "conveyor": { "type": ConfigType.BOOL, "default": false },
+        "numCards": { "type": ConfigType.INT, "min": 2, "max": 6, "default": 3 },
+        "overlap": { "type": ConfigType.BOOL },
+        "laneSwitchChance": { "type": ConfigType.FLOAT, "min": 0, "max": 1 }
+    };
 
-    const TIMER_REFRESH_INTERVAL_MS = 1000;
+    // Target amount, gift card durations (in seconds), chance of a
+    // counterfeit and behaviour of the conveyor for each difficulty.
+    const PRESETS = {
+        [Difficulty.EASY]: {
+            "amount": 100,
+            "maxDuration": 1.5,
+            "minDuration": 0.75,
+            "counterfeitChance": 0,
+            "overlap": false,
+            "laneSwitchChance": 0
+        },
+        [Difficulty.NORMAL]: {
+            "amount": 200,
+            "maxDuration": 1,
+            "minDuration": 0.5,
+            "counterfeitChance": 0,
+            "overlap": false,
+            "laneSwitchChance": 0
+        },
+        [Difficulty.HARD]: {
+            "amount": 300,
+            "maxDuration": 0.8,
+            "minDuration": 0.4,
+            "counterfeitChance": 0.2,
+            "overlap": true,
+            "laneSwitchChance": 0
+        },
+        [Difficulty.EVIL]: {
+            "amount": 500,
+            "maxDuration": 0.6,
+            "minDuration": 0.3,
+            "counterfeitChance": 0.35,
+            "overlap": true,
+            "laneSwitchChance": 0.3
+        }
+    };
 
-    const VALID_GIFT_CARD = GiftCardType.GOOGLE_PLAY;
+    // Solving within this many milliseconds raises an adaptive difficulty.
+    const QUICK_SOLVE_MS = 12000;
 
-    const overlay = CaptchaOverlay(document.getElementById("captcha-overlay"));
-    const captchaTimer = document.getElementById("captcha-timer-count");
-    const value = document.getElementById("captcha-total-value");
-    const redeemButton = document.getElementById("captcha-redeem");
+    const TIMER_REFRESH_INTERVAL_MS = 1000;
 
-    const searchParams = new URLSearchParams(window.location.search);
-    const targetValue = searchParams.get("amount") || DEFAULT_TARGET_VALUE;
-    const captchaTimerSeconds = searchParams.get("timer") || DEFAULT_TIMER_VALUE;
-    const maxGiftCardDurationSeconds = searchParams.get("maxDuration") || DEFAULT_MAX_GIFT_CARD_DURATION_S;
-    const minGiftCardDurationSeconds = searchParams.get("minDuration") || DEFAULT_MIN_GIFT_CARD_DURATION_S;
-    const expire = searchParams.get("expire") || false;
+    // Longest time, in milliseconds, the conveyor moves by in one frame.
+    const MAX_FRAME_MS = 100;
 
-    let giftCard = null;
-    let totalValue = 0;
-    let done = false;
-    let failed = false;
+    const overlay = CaptchaOverlay(document.getElementById("captcha-overlay"));
+    const protocol = CaptchaProtocol(window, "dnr");
+    const random = createRandom(window);
+    const recorder = CaptchaRecorder(window, document, "dnr", protocol, random);
+    const adaptive = AdaptiveDifficulty(window, "dnr", protocol, SCHEMA, PRESETS, QUICK_SOLVE_MS);
+    const settings = getSettings(window, SCHEMA, PRESETS, adaptive.getLevel());
+    warnInvalidConfig(window, document, SCHEMA);
+    const model = DnrModel({
+        "targetValue": settings.amount,
+        "timerSeconds": settings.timer,
+        "maxDuration": settings.maxDuration,
+        "minDuration": settings.minDuration,
+        "expire": settings.expire,
+        "numRounds": settings.numRounds,
+        "rules": settings.rules,
+        "counterfeitChance": settings.counterfeitChance,
+        "counterfeits": settings.counterfeits,
+        "conveyor": settings.conveyor,
+        "numCards": settings.numCards,
+        "overlap": settings.overlap,
+        "laneSwitchChance": settings.laneSwitchChance
+    }, random);
+    const renderer = DnrRenderer(document);
+
+    let captchaTimer = null;
     let giftCardTimer = null;
+    // Time the gift card timer fires at, and the time it had left while it is
+    // paused by the player holding the gift card (or `null`).
+    let giftCardDeadline = 0;
+    let giftCardTimeLeft = null;
+    let conveyorFrame = null;
+    let betweenRounds = false;
 
     /**
-     * @brief Returns the duration, in milliseconds, to show a gift card for
-     * before hiding in.
+     * @brief Returns the values reported to the shell with every message.
      *
-     * @returns {Integer}
+     * @return {Object} Dictionary of `value` and `target`.
      */
-    const getGiftCardDuration = () => {
-        // Reduce duration based on how close the user is to the target
-        // amount.
-        const initialDuration = maxGiftCardDurationSeconds * 1000;
-        const thresholds = [0.25, 0.5, 0.75];
-        let idx = 0;
-        let duration = initialDuration;
-        thresholds.forEach((threshold, idx) => {
-            if (totalValue >= (targetValue * threshold)) {
-                const multiplier = 1.0 - threshold;
-                duration = initialDuration * multiplier;
-            }
-        });
+    const getProgress = () => {
+        return { "value": model.getTotalValue(), "target": model.getTargetValue() };
+    };
 
-        const minDuration = minGiftCardDurationSeconds * 1000;
-        return Math.max(minDuration, duration);
+    /**
+     * @brief Returns the values reported to the shell about the round.
+     *
+     * @return {Object} Dictionary of `round`, `rounds` and `rule`.
+     */
+    const getRoundProgress = () => {
+        return { "round": model.getRound(), "rounds": model.getSettings().numRounds, "rule": model.getRule().id };
     };
 
     /**
      * @brief Called on timer expiry.
      *
-     * @details Check if the captcha has been completed.
+     * @details Check if the round has been completed.
      */
     const onExpiry = () => {
         clear();
 
-        if (totalValue >= targetValue) {
-            onSuccess();
+        if (model.isTargetReached()) {
+            onRoundComplete();
         } else {
             onFailed();
         }
     };
 
+    /**
+     * @brief Called once the target value of a round is reached.
+     *
+     * @details The captcha is solved after the last round; otherwise the rule
+     * of the next round is announced, and the round starts once the overlay
+     * is clicked.
+     */
+    const onRoundComplete = () => {
+        const progress = Object.assign(getProgress(), getRoundProgress());
+        if (model.completeRound()) {
+            onSuccess();
+            return;
+        }
+
+        clear();
+        betweenRounds = true;
+
+        overlay.set({
+            "title": "Round Complete",
+            "text": `Round ${model.getRound()} of ${progress.rounds}: ${model.getRule().text} ` +
+                    `Redeem at least $${model.getTargetValue()}.\n` +
+                    "Click anywhere to continue.",
+            "status": "pass"
+        });
+        protocol.roundComplete(progress);
+    };
+
     /**
      * @brief Called on successful captcha completion.
      */
     const onSuccess = () => {
-        if (done) {
+        if (!model.succeed()) {
             return;
         }
 
-        done = true;
         overlay.set({
             "title": "Success",
             "status": "success"
         });
 
         setTimeout(() => {
-            window.top.postMessage("success", "*");
+            protocol.success(Object.assign(getProgress(), getRoundProgress()));
         }, 1000);
     }
 
@@ -490,25 +989,31 @@ const Captcha = (window, document) => {
      * @param card {GiftCard} Optional invalid gift card that was redeemed.
      */
     const onFailed = (card) => {
-        failed = true;
+        model.fail();
 
         clear();
 
         if (card) {
             // User redeemed when they were not supposed to.
+            const counterfeit = card.getState().getCounterfeit();
             overlay.set({
                 "title": "Do Not Redeem",
                 "image": "./steve.png",
-                "text": "Click anywhere to try again.",
+                "text": (counterfeit ? "That gift card was a counterfeit.\n" : "") + "Click anywhere to try again.",
                 "status": "failed"
             });
+            protocol.failed(Object.assign(getProgress(), getRoundProgress(), {
+                "reason": "redeemed invalid card",
+                "counterfeit": counterfeit
+            }));
         } else {
             // Timer expired but target value was not reached.
             overlay.set({
                 "title": "Try Again",
-                "text": `You failed to redeem at least $${targetValue}.`,
+                "text": `You failed to redeem at least $${model.getTargetValue()}.`,
                 "status": "failed"
             });
+            protocol.failed(Object.assign(getProgress(), getRoundProgress(), { "reason": "timer expired" }));
         }
     };
 
@@ -520,72 +1025,172 @@ const Captcha = (window, document) => {
      */
     const onRedeem = (ev, gc) => {
         ev.stopPropagation();
+        redeemGiftCard(gc || renderer.getGiftCard());
+    };
 
-        gc = gc || giftCard;
-        if (gc == null) {
-            return;
+    /**
+     * @brief Callback invoked when a gift card is swiped.
+     *
+     * @details Swiping a gift card down redeems it, and flicking it to the
+     * left passes over it.
+     *
+     * @param direction {SwipeDirection} Direction of the swipe.
+     * @param gc        {GiftCard}       The swiped gift card.
+     */
+    const onSwipe = (direction, gc) => {
+        if (direction == SwipeDirection.DOWN) {
+            redeemGiftCard(gc);
+        } else {
+            discardGiftCard(gc);
         }
+    };
 
-        const valid = gc.is(VALID_GIFT_CARD);
-        const gcValue = gc.getValue();
+    /**
+     * @brief Redeems a gift card, failing the attempt if it is not valid.
+     *
+     * @param gc {GiftCard} The gift card, or `null`.
+     */
+    const redeemGiftCard = (gc) => {
+        const conveyor = model.getSettings().conveyor;
+        if ((gc == null) || (conveyor && !renderer.getConveyorCards().includes(gc))) {
+            return;
+        }
 
-        if (!valid) {
+        if (!model.isValid(gc.getState())) {
             gc.remove();
             return onFailed(gc);
         }
 
-        if (giftCardTimer) {
-            clearTimeout(giftCardTimer);
-            giftCardTimer = null;
+        if (conveyor) {
+            // The gift card drops out of the conveyor as it is redeemed.
+            model.removeConveyorCard(gc.getState());
+            renderer.releaseConveyorCard(gc);
         }
 
+        stopGiftCardTimer();
+
         gc.redeem((value) => {
-            const balance = CaptchaBalance(document, value);
-            balance.render();
+            if (conveyor) {
+                renderer.removeReleasedCard(gc);
+            }
+            renderer.renderBalance(value);
 
-            updateValue(value);
+            const solved = model.redeem(value);
+            renderer.updateValue(model.getTotalValue());
 
-            if (!expire && (totalValue >= targetValue)) {
-                onSuccess();
-            } else {
+            if (solved) {
+                onRoundComplete();
+            } else if (!conveyor) {
                 generateGiftCard();
             }
         });
     };
 
     /**
-     * @brief Generates a new gift card.
+     * @brief Passes over a gift card without redeeming it.
+     *
+     * @details The gift card slides out to the left, as if it had not been
+     * redeemed in time.
+     *
+     * @param gc {GiftCard} The gift card.
      */
-    const generateGiftCard = () => {
-        const giftCardTypes = [
-            GiftCardType.GOOGLE_PLAY,
-            GiftCardType.TARGET
-        ];
-        const type = giftCardTypes[Math.floor(Math.random() * giftCardTypes.length)];
-        const container = document.getElementById("captcha-content");
+    const discardGiftCard = (gc) => {
+        if (model.getSettings().conveyor) {
+            if (renderer.getConveyorCards().includes(gc)) {
+                model.removeConveyorCard(gc.getState());
+                renderer.releaseConveyorCard(gc);
+                gc.hide(() => renderer.removeReleasedCard(gc));
+            }
+            return;
+        } else if (gc !== renderer.getGiftCard()) {
+            return;
+        }
+
+        stopGiftCardTimer();
+        gc.hide(onGiftCardHidden);
+    };
 
+    /**
+     * @brief Starts the timer that hides the current gift card if it is not
+     * redeemed in time.
+     *
+     * @param ms {Integer} Milliseconds until the gift card is hidden.
+     */
+    const startGiftCardTimer = (ms) => {
+        stopGiftCardTimer();
+        giftCardDeadline = performance.now() + ms;
+        giftCardTimer = setTimeout(() => {
+            giftCardTimer = null;
+            // Generate a new gift card once the current one is hidden.
+            const gc = renderer.getGiftCard();
+            if (gc) {
+                gc.hide(onGiftCardHidden);
+            }
+        }, ms);
+    };
+
+    /**
+     * @brief Stops the gift card timer, whether it is running or paused.
+     */
+    const stopGiftCardTimer = () => {
         if (giftCardTimer) {
             clearTimeout(giftCardTimer);
             giftCardTimer = null;
         }
+        giftCardTimeLeft = null;
+    };
 
-        if (giftCard) {
-            giftCard.remove();
-            giftCard = null;
+    /**
+     * @brief Callback invoked when the gift card is held or let go.
+     *
+     * @details The gift card is not hidden from under the player's finger:
+     * its timer is paused while it is held, and carries on with the time it
+     * had left once the gift card is let go without being swiped away.
+     *
+     * @param held {Boolean}  `true` if the gift card was pressed.
+     * @param gc   {GiftCard} The gift card.
+     */
+    const onHold = (held, gc) => {
+        if (gc !== renderer.getGiftCard()) {
+            return;
+        }
+
+        if (held && giftCardTimer) {
+            const timeLeft = Math.max(0, giftCardDeadline - performance.now());
+            stopGiftCardTimer();
+            giftCardTimeLeft = timeLeft;
+        } else if (!held && (giftCardTimeLeft !== null)) {
+            startGiftCardTimer(giftCardTimeLeft);
         }
+    };
+
+    /**
+     * @brief Generates a new gift card.
+     */
+    const generateGiftCard = () => {
+        const state = model.nextGiftCard();
+
+        stopGiftCardTimer();
 
-        giftCard = GiftCard(document, container, type, onRedeem);
-        giftCard.render((gc) => {
-            updateButton(gc.is(VALID_GIFT_CARD));
+        renderer.renderGiftCard(state, onRedeem, onSwipe, onHold, (gc) => {
+            renderer.updateButton(model.looksValid(gc.getState()));
             // Start a timer to hide the current gift card is not redeemed by the
             // the time the number of seconds has elapsed.
-            giftCardTimer = setTimeout(() => {
-                // Generate a new gift card once the current one is hidden.
-                const gc = giftCard;
-                if (gc) {
-                    gc.hide(onGiftCardHidden);
-                }
-            }, getGiftCardDuration());
+            startGiftCardTimer(model.getGiftCardDuration());
+        });
+    };
+
+    /**
+     * @brief Moves the conveyor every frame until the timers are stopped.
+     *
+     * @param last {Float} Time of the previous frame, or `null`.
+     */
+    const nextConveyorFrame = (last) => {
+        conveyorFrame = requestAnimationFrame((now) => {
+            const ms = (last === null) ? 0 : Math.min(MAX_FRAME_MS, now - last);
+            model.stepConveyor(ms);
+            renderer.updateConveyor(model.getConveyor(), onRedeem, onSwipe);
+            nextConveyorFrame(now);
         });
     };
 
@@ -597,7 +1202,8 @@ const Captcha = (window, document) => {
      * @param id {String} Identifier of the hidden gift card.
      */
     const onGiftCardHidden = (id) => {
-        if (giftCard && (id == giftCard.getId())) {
+        const state = model.getGiftCard();
+        if (state && (id == state.getId())) {
             generateGiftCard();
         }
     };
@@ -606,95 +1212,133 @@ const Captcha = (window, document) => {
      * @brief Callback invoked when the overlay is clicked.
      *
      * @details Initiates the animation to count down and start the captcha
-     * event.
+     * event, or the next round if one was just completed.
      *
      * @param ev {UIEvent} Click or touch event.
      */
     const onOverlayClicked = (ev) => {
         ev.stopPropagation();
 
-        if (done) {
+        if (model.isDone()) {
             return;
-        } else if (failed) {
-            failed = false;
+        } else if (model.isFailed()) {
+            model.retry();
             onPrompt();
             return;
         }
 
         overlay.hide();
 
-        totalValue = 0;
-        giftCard = null;
-        updateValue(0);
+        const settings = model.getSettings();
+        if (betweenRounds) {
+            betweenRounds = false;
+            model.startRound();
+        } else {
+            model.start();
+            protocol.started({ "target": settings.targetValue, "rounds": settings.numRounds });
+        }
+
+        renderer.updateValue(model.getTotalValue());
+        renderer.updateRule((settings.numRounds > 1) ? model.getRule().text : null);
 
         startCaptchaTimer();
-        generateGiftCard();
+        if (settings.conveyor) {
+            nextConveyorFrame(null);
+        } else {
+            generateGiftCard();
+        }
     };
 
     /**
      * @brief Shows the initial prompt.
+     *
+     * @details With more than one round, the prompt also announces the rule
+     * of the first round.
      */
     const onPrompt = () => {
-        overlay.render();
+        const settings = model.getSettings();
+        if (settings.numRounds > 1) {
+            overlay.set({
+                "title": "Complete the Captcha",
+                "text": `Redeem at least $${settings.targetValue} worth of gift cards in each of ${settings.numRounds} rounds. ` +
+                        "The rule changes every round, and stricter rules need less.\n" +
+                        `Round 1: ${REDEEM_RULES[RedeemRule.GOOGLE_PLAY].text}\n` +
+                        "Click anywhere to begin."
+            });
+            return;
+        }
+
         overlay.set({
             "title": "Complete the Captcha",
-            "text": `Redeem at least $${targetValue} worth of git cards within the time limit.<br/> \
-                     Click anywhere to begin.`
+            "text": `Redeem at least $${settings.targetValue} worth of git cards within the time limit.\n` +
+                    "Click anywhere to begin."
         });
     };
 
     /**
-     * @brief Binds the event listeners.
+     * @brief Returns the settings that can be changed by the operator.
+     *
+     * @return {Array} List of `{ name, label, value }` dictionaries.
      */
-    const onBind = () => {
-        TOUCH_EVENTS.forEach((eventName) => {
-            overlay.getElement().addEventListener(eventName, onOverlayClicked);
-            redeemButton.addEventListener(eventName, onRedeem);
-        });
+    const getControls = () => {
+        const settings = model.getSettings();
+        return [
+            { "name": "addTime", "label": "Add seconds to timer", "value": 10 },
+            { "name": "timer", "label": "Timer (s)", "value": settings.timerSeconds },
+            { "name": "amount", "label": "Target amount ($)", "value": settings.targetValue },
+            { "name": "maxDuration", "label": "Max card duration (s)", "value": settings.maxDuration },
+            { "name": "minDuration", "label": "Min card duration (s)", "value": settings.minDuration },
+            { "name": "numRounds", "label": "Rounds", "value": settings.numRounds },
+            { "name": "counterfeitChance", "label": "Counterfeit chance", "value": settings.counterfeitChance }
+        ];
     };
 
     /**
-     * @brief Updates the total dollar value shown in the captcha.
+     * @brief Handles new settings pushed by the operator.
+     *
+     * @details `addTime` is added to (or, if negative, removed from) the
+     * running timer. A new `timer` takes effect from the next round, and new
+     * `numRounds` from the next attempt.
      *
-     * @param amouont {Integer} Amount to add to the current total value.
+     * @param settings {Object} Dictionary of the settings to change.
      */
-    const updateValue = (amount) => {
-        totalValue += amount;
-        value.innerText = `$${totalValue}`;
+    const onConfigure = (settings) => {
+        if (settings.addTime && captchaTimer) {
+            model.addTime(settings.addTime);
+            renderer.updateTimer(model.getTimerCount());
+        }
+
+        model.configure(settings);
     };
 
     /**
-     * @brief Updates the button show for redemption.
-     *
-     * @param redeem {Boolean} `true` for redeem.
+     * @brief Binds the event listeners.
      */
-    const updateButton = (redeem) => {
-        const span = redeemButton.querySelector("span");
-        if (redeem) {
-            redeemButton.className = "captcha-button captcha-redeem";
-            span.innerText = "Redeem";
-        } else {
-            redeemButton.className = "captcha-button captcha-do-not-redeem";
-            span.innerText = "Do Not Redeem";
-        }
+    const onBind = () => {
+        TOUCH_EVENTS.forEach((eventName) => {
+            overlay.getElement().addEventListener(eventName, onOverlayClicked);
+            renderer.getRedeemButton().addEventListener(eventName, onRedeem);
+        });
+
+        protocol.listen(ShellMessageType.CONFIGURE, onConfigure);
+        adaptive.listen(onConfigure);
     };
 
     /**
      * @brief Starts the captcha timer.
      */
     const startCaptchaTimer = () => {
-        if (captchaTimer.timer) {
-            clearInterval(captchaTimer.timer);
-        }
-
-        captchaTimer.count = captchaTimerSeconds;
-        captchaTimer.innerText = captchaTimerSeconds.toString();
-        captchaTimer.timer = setInterval(() => {
-            captchaTimer.count -= 1;
-            captchaTimer.innerText = ((captchaTimer.count < 10) ? "0" : "") + captchaTimer.count.toString();
-            if (captchaTimer.count == 0) {
-                clearInterval(captchaTimer.timer);
-                captchaTimer.timer = null;
+        if (captchaTimer) {
+            clearInterval(captchaTimer);
+        }
+
+        renderer.updateTimer(model.getTimerCount());
+        captchaTimer = setInterval(() => {
+            const expired = model.tick();
+            renderer.updateTimer(model.getTimerCount());
+            if (expired) {
+                clearInterval(captchaTimer);
+                captchaTimer = null;
                 onExpiry();
             }
         }, TIMER_REFRESH_INTERVAL_MS);
@@ -704,14 +1348,16 @@ const Captcha = (window, document) => {
      * @brief Stops all running timers.
      */
     const stopTimers = () => {
-        if (captchaTimer.timer) {
-            clearInterval(captchaTimer.timer);
-            captchaTimer.timer = null;
+        if (captchaTimer) {
+            clearInterval(captchaTimer);
+            captchaTimer = null;
         }
 
-        if (giftCardTimer) {
-            clearTimeout(giftCardTimer);
-            giftCardTimer = null;
+        stopGiftCardTimer();
+
+        if (conveyorFrame !== null) {
+            cancelAnimationFrame(conveyorFrame);
+            conveyorFrame = null;
         }
     }
 
@@ -719,37 +1365,30 @@ const Captcha = (window, document) => {
      * @brief Cleaers all animated timers and components.
      */
     const clear = () => {
-        if (giftCard) {
-            giftCard.remove();
-            giftCard = null;
-        }
+        renderer.removeGiftCard();
+        renderer.clearConveyor();
+        model.clearGiftCard();
 
-        updateButton(true);
+        renderer.updateButton(true);
         stopTimers();
     };
 
+    // Gift cards on the conveyor are redeemed by clicking them.
+    renderer.showButton(!model.getSettings().conveyor);
+
     onBind();
     onPrompt();
+    protocol.ready({ "target": model.getSettings().targetValue, "difficulty": adaptive.getLevel(), "seed": random.getSeed(), "controls": getControls() });
 
-    return this;
-};
-
-
-/**
- * @brief Callback invoked when DOM is ready. Loads the application.
- */
-const onReady = () => {
-    if (onReady.app) {
-        // Function already invoked, so return.
-        return;
-    }
-
-    onReady.app = Captcha(window, document);
+    return (() => {
+        const self = {};
+        self.model = model;
+        self.renderer = renderer;
+        self.adaptive = adaptive;
+        return self;
+    })();
 };
 
 
-// Bind the listener to the `onReady` handler.
-window.onload = onReady;
-
-// Backwards fallback for `onload` failing.
-document.addEventListener("DOMContentLoaded", onReady);
+// Load the captcha once the DOM is ready.
+bootstrap(Captcha);
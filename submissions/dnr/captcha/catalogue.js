@@ -0,0 +1,94 @@
+/**
+ * @brief Gift cards that can be shown in the captcha.
+ *
+ * @details Each definition is a dictionary of:
+ *   - type: Unique identifier of the gift card.
+ *   - name: Name of the gift card, read out by screen readers.
+ *   - artwork: Either `{ "svg": id }`, to copy the SVG with that ID from the
+ *     `#logos` element, `{ "image": src }` for an image, or
+ *     `{ "text": text }` for a word mark drawn in the `accent` colour.
+ *   - background: Background colour of the gift card.
+ *   - color: Colour of the text on the gift card.
+ *   - accent: Colour of the word mark.
+ *   - hue: Name of the main colour of the gift card, for rules such as
+ *     "redeem everything except blue cards".
+ *   - values: Dollar values the gift card can have.
+ *   - redeemable: `true` if the gift card may be redeemed.
+ *   - weight: How often the gift card is shown, relative to the others.
+ *
+ * New gift cards only need to be added here.
+ */
+const GIFT_CARD_CATALOGUE = Object.freeze([
+    {
+        "type": "google-play",
+        "name": "Google Play",
+        "artwork": { "svg": "captcha-gp" },
+        "background": "#F9F9F9",
+        "color": "#222222",
+        "accent": "#222222",
+        "hue": "white",
+        "values": [10, 25, 50],
+        "redeemable": true,
+        "weight": 4
+    },
+    {
+        "type": "target",
+        "name": "Target",
+        "artwork": { "svg": "captcha-target" },
+        "background": "#F9F9F9",
+        "color": "#222222",
+        "accent": "#222222",
+        "hue": "red",
+        "values": [10, 25, 50],
+        "redeemable": false,
+        "weight": 2
+    },
+    {
+        "type": "game-vault",
+        "name": "Game Vault",
+        "artwork": { "text": "Game Vault" },
+        "background": "#1B1F3B",
+        "color": "#F9F9F9",
+        "accent": "#7FDBFF",
+        "hue": "blue",
+        "values": [20, 50, 100],
+        "redeemable": false,
+        "weight": 1
+    },
+    {
+        "type": "coffee-club",
+        "name": "Coffee Club",
+        "artwork": { "text": "Coffee Club" },
+        "background": "#6F4E37",
+        "color": "#F9F9F9",
+        "accent": "#F3E5AB",
+        "hue": "brown",
+        "values": [5, 10, 15],
+        "redeemable": false,
+        "weight": 1
+    },
+    {
+        "type": "tunes-plus",
+        "name": "Tunes+",
+        "artwork": { "text": "Tunes+" },
+        "background": "#FCE4EC",
+        "color": "#222222",
+        "accent": "#D81B60",
+        "hue": "pink",
+        "values": [15, 25, 50],
+        "redeemable": false,
+        "weight": 1
+    },
+    {
+        "type": "mega-mart",
+        "name": "Mega Mart",
+        "artwork": { "text": "Mega Mart" },
+        "background": "#FFF8E1",
+        "color": "#222222",
+        "accent": "#F57F17",
+        "hue": "yellow",
+        "values": [25, 50, 100],
+        "redeemable": false,
+        "weight": 1
+    }
+]);
@@ -0,0 +1,814 @@
+/**
+ * @brief Flaws that give away a counterfeit gift card.
+ */
+const Counterfeit = Object.freeze({
+    COLOR: "color",
+    LABEL: "label",
+    CODE: "code"
+});
+
+
+/**
+ * @brief Misspellings of the "Redeem Code" label on a counterfeit gift card.
+ */
+const COUNTERFEIT_LABELS = Object.freeze(["Reedem Code", "Redeem Cobe", "Redeam Code", "Redeem Coed"]);
+
+
+/**
+ * @brief Groupings of the digits of a redemption code. Genuine gift cards
+ * always use the first; counterfeit ones use one of the others.
+ */
+const CODE_GROUPS = Object.freeze([
+    [4, 4, 4, 4],
+    [4, 4, 4, 3],
+    [4, 4, 3, 5],
+    [3, 4, 4, 4],
+    [4, 4, 4, 4, 1]
+]);
+
+
+/**
+ * @brief Rules for which gift cards may be redeemed in a round.
+ */
+const RedeemRule = Object.freeze({
+    GOOGLE_PLAY: "google-play",
+    WORTH_25: "worth-25",
+    EVEN_CODE: "even-code",
+    NOT_BLUE: "not-blue"
+});
+
+
+/**
+ * @brief Definitions of the redeem rules.
+ *
+ * @details Each rule is a dictionary of its `id`, the `text` announced to the
+ * player at the start of a round, and `isValid(card)`, which returns `true` if
+ * the `GiftCardState` may be redeemed under the rule.
+ *
+ * Rules that let through fewer dollars than the Google Play rule have a
+ * `targetScale` below 1, by which the target value of their rounds is scaled
+ * so that the rounds can still be completed in time.
+ */
+const REDEEM_RULES = Object.freeze({
+    [RedeemRule.GOOGLE_PLAY]: {
+        "id": RedeemRule.GOOGLE_PLAY,
+        "text": "Only redeem Google Play gift cards.",
+        "isValid": (card) => card.isRedeemable(),
+        "targetScale": 1
+    },
+    [RedeemRule.WORTH_25]: {
+        "id": RedeemRule.WORTH_25,
+        "text": "Only redeem gift cards worth $25.",
+        "isValid": (card) => (card.getValue() == 25),
+        // About one gift card in four is worth $25, so a round only yields
+        // half the dollars of a Google Play round.
+        "targetScale": 0.5
+    },
+    [RedeemRule.EVEN_CODE]: {
+        "id": RedeemRule.EVEN_CODE,
+        "text": "Only redeem gift cards whose code ends in an even digit.",
+        "isValid": (card) => ((parseInt(card.getId().slice(-1), 10) % 2) == 0),
+        "targetScale": 1
+    },
+    [RedeemRule.NOT_BLUE]: {
+        "id": RedeemRule.NOT_BLUE,
+        "text": "Redeem every gift card except blue ones.",
+        "isValid": (card) => (card.getDefinition().hue != "blue"),
+        "targetScale": 1
+    }
+});
+
+
+/**
+ * @brief State of a gift card.
+ *
+ * @details The redemption code and dollar value are generated when the gift
+ * card is created; the value is one of the values allowed by its definition.
+ *
+ * A counterfeit gift card looks like its definition but for one flaw: its
+ * colour is slightly off, its code label is misspelled, or its code is not
+ * grouped 4-4-4-4.
+ *
+ * @param definition  {Object}      Definition of the gift card from the catalogue.
+ * @param random      {Random}      Random number generator for the code and value.
+ * @param counterfeit {Counterfeit} Optional flaw of a counterfeit gift card.
+ *
+ * @returns {GiftCardState}
+ */
+const GiftCardState = (definition, random, counterfeit) => {
+    let code = "";
+    let value = 0;
+    let label = "Redeem Code";
+
+    /**
+     * @brief Returns the type of the gift card.
+     *
+     * @return {String}
+     */
+    const getType = () => {
+        return definition.type;
+    };
+
+    /**
+     * @brief Returns the definition of the gift card from the catalogue.
+     *
+     * @return {Object}
+     */
+    const getDefinition = () => {
+        return definition;
+    };
+
+    /**
+     * @brief Returns if the gift card is the specified type.
+     *
+     * @param refType {String} Type to check against.
+     */
+    const is = (refType) => {
+        return definition.type === refType;
+    };
+
+    /**
+     * @brief Returns `true` if the gift card may be redeemed.
+     *
+     * @return {Boolean}
+     */
+    const isRedeemable = () => {
+        return definition.redeemable;
+    };
+
+    /**
+     * @brief Returns the flaw of a counterfeit gift card.
+     *
+     * @return {Counterfeit} The flaw, or `null` if the gift card is genuine.
+     */
+    const getCounterfeit = () => {
+        return counterfeit || null;
+    };
+
+    /**
+     * @brief Returns the label shown above the redemption code.
+     *
+     * @return {String}
+     */
+    const getLabel = () => {
+        return label;
+    };
+
+    /**
+     * @brief Returns the unique ID (redemption code) of this gift card.
+     *
+     * @return {String}
+     */
+    const getId = () => {
+        return code;
+    };
+
+    /**
+     * @brief Returns the value of the gift card.
+     *
+     * @return {Integer}
+     */
+    const getValue = () => {
+        return value;
+    };
+
+    return (() => {
+        // Generate a random redemption code.
+        let groups = CODE_GROUPS[0];
+        if (counterfeit == Counterfeit.CODE) {
+            groups = random.pick(CODE_GROUPS.slice(1));
+        }
+
+        groups.forEach((length, i) => {
+            if (i > 0) {
+                code += "-";
+            }
+            for (let j = 0; j < length; j++) {
+                const digit = random.int(0, 9);
+                code += digit.toString();
+            }
+        });
+
+        // Generate a random dollar amount.
+        value = random.pick(definition.values);
+
+        if (counterfeit == Counterfeit.LABEL) {
+            label = random.pick(COUNTERFEIT_LABELS);
+        }
+
+        const self = {};
+        self.getType = getType;
+        self.getDefinition = getDefinition;
+        self.is = is;
+        self.isRedeemable = isRedeemable;
+        self.getCounterfeit = getCounterfeit;
+        self.getLabel = getLabel;
+        self.getId = getId;
+        self.getValue = getValue;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief Number of lanes on the conveyor.
+ */
+const CONVEYOR_LANES = 2;
+
+/**
+ * @brief Progress across the conveyor a gift card must make before another
+ * enters its lane, unless gift cards may overlap.
+ */
+const CONVEYOR_SPACING = 0.45;
+
+/**
+ * @brief Progress across the conveyor over which a gift card switches lanes.
+ */
+const LANE_SWITCH_SPAN = 0.15;
+
+/**
+ * @brief Number of gift card durations (see `getGiftCardDuration()`) a gift
+ * card takes to cross the conveyor at an average speed.
+ */
+const CONVEYOR_CROSSING = 4;
+
+
+/**
+ * @brief State of the Do Not Redeem game.
+ *
+ * @details Holds the redeemed total, the countdown and the current gift card.
+ * The model never touches the DOM or schedules timers; the captcha calls
+ * `tick()` once a second while the countdown is running. Gift cards are drawn
+ * from `GIFT_CARD_CATALOGUE` by their weights.
+ *
+ * An attempt is played over `numRounds` rounds, each with its own total and
+ * countdown. The first round always uses the Google Play rule; every later
+ * round picks a different rule from `rules` (see `REDEEM_RULES`). The target
+ * value of a round is scaled by its rule.
+ *
+ * With a `counterfeitChance`, a redeemable gift card is sometimes drawn as a
+ * counterfeit with one of the `counterfeits` flaws. Counterfeit gift cards
+ * may never be redeemed, whatever the rule.
+ *
+ * In `conveyor` mode, there is no current gift card. Instead, up to
+ * `numCards` gift cards cross the conveyor from right to left at different
+ * speeds, and the captcha calls `stepConveyor()` every frame. Gift cards in
+ * the same lane keep apart unless they may `overlap`, and with a
+ * `laneSwitchChance` a gift card sometimes moves to the other lane while
+ * crossing.
+ *
+ * @param settings {Object} Dictionary of `targetValue`, `timerSeconds`,
+ *                          `maxDuration`, `minDuration`, `expire`,
+ *                          `numRounds`, `rules`, `counterfeitChance`,
+ *                          `counterfeits`, `conveyor`, `numCards`,
+ *                          `overlap` and `laneSwitchChance`.
+ * @param random   {Random} Random number generator for the gift cards and
+ *                          rules.
+ *
+ * @returns {DnrModel}
+ */
+const DnrModel = (settings, random) => {
+    const catalogue = GIFT_CARD_CATALOGUE;
+    const weights = catalogue.map((definition) => definition.weight);
+
+    let targetValue = settings.targetValue;
+    let timerSeconds = settings.timerSeconds;
+    let maxGiftCardDurationSeconds = settings.maxDuration;
+    let minGiftCardDurationSeconds = settings.minDuration;
+    const expire = settings.expire;
+    let numRounds = settings.numRounds || 1;
+    let rules = settings.rules || Object.values(RedeemRule);
+    let counterfeitChance = Math.max(0, Math.min(1, settings.counterfeitChance || 0));
+    let counterfeits = settings.counterfeits || Object.values(Counterfeit);
+    const conveyor = !!settings.conveyor;
+    let numCards = settings.numCards || 3;
+    let overlap = !!settings.overlap;
+    let laneSwitchChance = Math.max(0, Math.min(1, settings.laneSwitchChance || 0));
+
+    let rule = REDEEM_RULES[RedeemRule.GOOGLE_PLAY];
+    let round = 1;
+    let giftCard = null;
+    let conveyorCards = [];
+    let spawnDelay = 0;
+    let totalValue = 0;
+    let timerCount = 0;
+    let done = false;
+    let failed = false;
+
+    /**
+     * @brief Returns the duration, in milliseconds, to show a gift card for
+     * before hiding in.
+     *
+     * @returns {Integer}
+     */
+    const getGiftCardDuration = () => {
+        // Reduce duration based on how close the user is to the target
+        // amount.
+        const initialDuration = maxGiftCardDurationSeconds * 1000;
+        const thresholds = [0.25, 0.5, 0.75];
+        let duration = initialDuration;
+        const roundTarget = getTargetValue();
+        thresholds.forEach((threshold) => {
+            if (totalValue >= (roundTarget * threshold)) {
+                const multiplier = 1.0 - threshold;
+                duration = initialDuration * multiplier;
+            }
+        });
+
+        const minDuration = minGiftCardDurationSeconds * 1000;
+        return Math.max(minDuration, duration);
+    };
+
+    /**
+     * @brief Starts a new attempt from the first round.
+     */
+    const start = () => {
+        round = 1;
+        rule = REDEEM_RULES[RedeemRule.GOOGLE_PLAY];
+        startRound();
+    };
+
+    /**
+     * @brief Starts the current round, resetting its total and countdown.
+     */
+    const startRound = () => {
+        totalValue = 0;
+        giftCard = null;
+        conveyorCards = [];
+        spawnDelay = 0;
+        timerCount = timerSeconds;
+    };
+
+    /**
+     * @brief Completes the current round and, unless it was the last,
+     * advances to the next round with a new rule.
+     *
+     * @details The next round is not started until `startRound()` is called,
+     * so that its rule can be announced first.
+     *
+     * @return {Boolean} `true` if the last round was completed.
+     */
+    const completeRound = () => {
+        if (round >= numRounds) {
+            return true;
+        }
+
+        let candidates = rules.filter((id) => (id != rule.id));
+        if (!candidates.length) {
+            candidates = rules;
+        }
+
+        round += 1;
+        rule = REDEEM_RULES[random.pick(candidates)];
+        return false;
+    };
+
+    /**
+     * @brief Clears a failed attempt so that a new one can be started.
+     */
+    const retry = () => {
+        failed = false;
+    };
+
+    /**
+     * @brief Counts the timer down by one second.
+     *
+     * @return {Boolean} `true` if the timer has expired.
+     */
+    const tick = () => {
+        timerCount -= 1;
+        return (timerCount == 0);
+    };
+
+    /**
+     * @brief Adds seconds to (or, if negative, removes seconds from) the
+     * timer.
+     *
+     * @param seconds {Integer} Number of seconds to add.
+     */
+    const addTime = (seconds) => {
+        timerCount = Math.max(1, timerCount + Math.floor(seconds));
+    };
+
+    /**
+     * @brief Generates a new gift card, replacing the current one.
+     *
+     * @return {GiftCardState}
+     */
+    const nextGiftCard = () => {
+        giftCard = drawGiftCard();
+        return giftCard;
+    };
+
+    /**
+     * @brief Draws a gift card from the catalogue.
+     *
+     * @details Without a `counterfeitChance`, no random number is drawn for
+     * counterfeits, so that seeded games are unchanged.
+     *
+     * @return {GiftCardState}
+     */
+    const drawGiftCard = () => {
+        const definition = random.pickWeighted(catalogue, weights);
+
+        let counterfeit = null;
+        if (definition.redeemable && (counterfeitChance > 0) && counterfeits.length &&
+            (random.next() < counterfeitChance)) {
+            counterfeit = random.pick(counterfeits);
+        }
+
+        return GiftCardState(definition, random, counterfeit);
+    };
+
+    /**
+     * @brief Removes the current gift card and every gift card on the
+     * conveyor.
+     */
+    const clearGiftCard = () => {
+        giftCard = null;
+        conveyorCards = [];
+    };
+
+    /**
+     * @brief Returns the lane a gift card on the conveyor is in.
+     *
+     * @details Halfway through switching lanes, the gift card counts as being
+     * in the lane it is moving to.
+     *
+     * @param item {Object} The gift card on the conveyor.
+     *
+     * @return {Integer}
+     */
+    const getLane = (item) => {
+        return Math.round(item.laneY);
+    };
+
+    /**
+     * @brief Puts a new gift card on the conveyor, if there is room for it.
+     *
+     * @details A gift card is given a random speed around the average and,
+     * with a `laneSwitchChance`, a point at which it switches lanes.
+     */
+    const spawnConveyorCard = () => {
+        const lanes = [];
+        for (let lane = 0; lane < CONVEYOR_LANES; lane++) {
+            const blocked = conveyorCards.some((item) => {
+                return (getLane(item) == lane) && (item.progress < CONVEYOR_SPACING);
+            });
+            if (overlap || !blocked) {
+                lanes.push(lane);
+            }
+        }
+
+        if (!lanes.length) {
+            return;
+        }
+
+        const crossingMs = getGiftCardDuration() * CONVEYOR_CROSSING;
+        const lane = random.pick(lanes);
+        const item = {
+            "card": drawGiftCard(),
+            "lane": lane,
+            "toLane": lane,
+            "switchAt": null,
+            "laneY": lane,
+            "progress": 0,
+            "speed": 1 / (crossingMs * (0.7 + (random.next() * 0.6)))
+        };
+
+        if ((laneSwitchChance > 0) && (random.next() < laneSwitchChance)) {
+            item.toLane = (lane + 1) % CONVEYOR_LANES;
+            item.switchAt = 0.2 + (random.next() * 0.4);
+        }
+
+        conveyorCards.push(item);
+        spawnDelay = crossingMs / numCards;
+    };
+
+    /**
+     * @brief Moves the gift cards on the conveyor by the time elapsed.
+     *
+     * @details Gift cards that have crossed the conveyor are taken off it, and
+     * new gift cards are put on it while there are fewer than `numCards`.
+     * Unless gift cards may overlap, a gift card is held back (but never
+     * moved back) so that it keeps its distance from those ahead of it in the
+     * same lane.
+     *
+     * @param ms {Float} Milliseconds elapsed since the previous step.
+     *
+     * @return {Array} List of the `GiftCardState` that crossed the conveyor.
+     */
+    const stepConveyor = (ms) => {
+        // Move the gift cards furthest along first, so that the ones behind
+        // them can be held back.
+        conveyorCards.sort((a, b) => (b.progress - a.progress));
+        conveyorCards.forEach((item, i) => {
+            let progress = item.progress + (item.speed * ms);
+            if (!overlap) {
+                conveyorCards.slice(0, i).forEach((ahead) => {
+                    if (getLane(ahead) == getLane(item)) {
+                        progress = Math.min(progress, Math.max(item.progress, ahead.progress - CONVEYOR_SPACING));
+                    }
+                });
+            }
+
+            item.progress = progress;
+            if (item.switchAt !== null) {
+                const t = Math.max(0, Math.min(1, (item.progress - item.switchAt) / LANE_SWITCH_SPAN));
+                item.laneY = item.lane + ((item.toLane - item.lane) * t);
+            }
+        });
+
+        const crossed = conveyorCards.filter((item) => (item.progress >= 1));
+        conveyorCards = conveyorCards.filter((item) => (item.progress < 1));
+
+        spawnDelay -= ms;
+        if ((spawnDelay <= 0) && (conveyorCards.length < numCards)) {
+            spawnConveyorCard();
+        }
+
+        return crossed.map((item) => item.card);
+    };
+
+    /**
+     * @brief Takes a gift card off the conveyor, e.g. once it is redeemed.
+     *
+     * @param card {GiftCardState} The gift card.
+     */
+    const removeConveyorCard = (card) => {
+        conveyorCards = conveyorCards.filter((item) => (item.card !== card));
+    };
+
+    /**
+     * @brief Returns the gift cards on the conveyor.
+     *
+     * @details Each is a dictionary of the `card` (`GiftCardState`), its
+     * `progress` across the conveyor from 0 (entering on the right) to 1
+     * (gone on the left), and its `laneY`, the lane it is in, which is
+     * fractional while it switches lanes.
+     *
+     * @return {Array}
+     */
+    const getConveyor = () => {
+        return conveyorCards.map((item) => {
+            return { "card": item.card, "progress": item.progress, "laneY": item.laneY };
+        });
+    };
+
+    /**
+     * @brief Returns `true` if a gift card is genuine and may be redeemed
+     * under the rule of the current round.
+     *
+     * @param card {GiftCardState} The gift card.
+     *
+     * @return {Boolean}
+     */
+    const isValid = (card) => {
+        return (card.getCounterfeit() === null) && looksValid(card);
+    };
+
+    /**
+     * @brief Returns `true` if a gift card appears to be redeemable under the
+     * rule of the current round, without checking that it is genuine.
+     *
+     * @param card {GiftCardState} The gift card.
+     *
+     * @return {Boolean}
+     */
+    const looksValid = (card) => {
+        return rule.isValid(card);
+    };
+
+    /**
+     * @brief Adds the value of a redeemed gift card to the total.
+     *
+     * @param value {Integer} Value of the redeemed gift card.
+     *
+     * @return {Boolean} `true` if the captcha is solved by the redemption.
+     */
+    const redeem = (value) => {
+        totalValue += value;
+        return (!expire && isTargetReached());
+    };
+
+    /**
+     * @brief Returns `true` if at least the target value has been redeemed.
+     *
+     * @return {Boolean}
+     */
+    const isTargetReached = () => {
+        return (totalValue >= getTargetValue());
+    };
+
+    /**
+     * @brief Returns the target value of the current round.
+     *
+     * @details The target value of the settings is scaled by the rule of the
+     * round, and rounded up to whole dollars.
+     *
+     * @return {Integer}
+     */
+    const getTargetValue = () => {
+        return Math.ceil(targetValue * rule.targetScale);
+    };
+
+    /**
+     * @brief Marks the captcha as solved.
+     *
+     * @return {Boolean} `false` if the captcha was already solved.
+     */
+    const succeed = () => {
+        if (done) {
+            return false;
+        }
+
+        done = true;
+        return true;
+    };
+
+    /**
+     * @brief Fails the current attempt.
+     */
+    const fail = () => {
+        failed = true;
+    };
+
+    /**
+     * @brief Changes the settings of the game.
+     *
+     * @details A new `timer` takes effect from the next round, and new
+     * `numRounds` from the next attempt.
+     *
+     * @param newSettings {Object} Dictionary of the settings to change.
+     */
+    const configure = (newSettings) => {
+        if (newSettings.timer > 0) {
+            timerSeconds = Math.floor(newSettings.timer);
+        }
+
+        if (newSettings.amount > 0) {
+            targetValue = newSettings.amount;
+        }
+
+        if (newSettings.maxDuration > 0) {
+            maxGiftCardDurationSeconds = newSettings.maxDuration;
+        }
+
+        if (newSettings.minDuration > 0) {
+            minGiftCardDurationSeconds = newSettings.minDuration;
+        }
+
+        if (newSettings.numRounds > 0) {
+            numRounds = Math.floor(newSettings.numRounds);
+        }
+
+        if ((newSettings.counterfeitChance >= 0) && (newSettings.counterfeitChance <= 1)) {
+            counterfeitChance = newSettings.counterfeitChance;
+        }
+
+        if (Array.isArray(newSettings.counterfeits)) {
+            counterfeits = newSettings.counterfeits.filter((flaw) => Object.values(Counterfeit).includes(flaw));
+        }
+
+        if (newSettings.numCards > 0) {
+            numCards = Math.floor(newSettings.numCards);
+        }
+
+        if (typeof newSettings.overlap === "boolean") {
+            overlap = newSettings.overlap;
+        }
+
+        if ((newSettings.laneSwitchChance >= 0) && (newSettings.laneSwitchChance <= 1)) {
+            laneSwitchChance = newSettings.laneSwitchChance;
+        }
+
+        if (Array.isArray(newSettings.rules)) {
+            const known = newSettings.rules.filter((id) => REDEEM_RULES[id]);
+            if (known.length) {
+                rules = known;
+            }
+        }
+    };
+
+    /**
+     * @brief Returns the current settings.
+     *
+     * @return {Object} Dictionary of `targetValue`, `timerSeconds`,
+     * `maxDuration`, `minDuration`, `expire`, `numRounds`, `rules`,
+     * `counterfeitChance`, `counterfeits`, `conveyor`, `numCards`, `overlap`
+     * and `laneSwitchChance`.
+     */
+    const getSettings = () => {
+        return {
+            "targetValue": targetValue,
+            "timerSeconds": timerSeconds,
+            "maxDuration": maxGiftCardDurationSeconds,
+            "minDuration": minGiftCardDurationSeconds,
+            "expire": expire,
+            "numRounds": numRounds,
+            "rules": rules.slice(),
+            "counterfeitChance": counterfeitChance,
+            "counterfeits": counterfeits.slice(),
+            "conveyor": conveyor,
+            "numCards": numCards,
+            "overlap": overlap,
+            "laneSwitchChance": laneSwitchChance
+        };
+    };
+
+    /**
+     * @brief Returns the rule of the current round.
+     *
+     * @return {Object} The rule (see `REDEEM_RULES`).
+     */
+    const getRule = () => {
+        return rule;
+    };
+
+    /**
+     * @brief Returns the current round, starting from 1.
+     *
+     * @return {Integer}
+     */
+    const getRound = () => {
+        return round;
+    };
+
+    /**
+     * @brief Returns the current gift card.
+     *
+     * @return {GiftCardState} The gift card, or `null`.
+     */
+    const getGiftCard = () => {
+        return giftCard;
+    };
+
+    /**
+     * @brief Returns the total value redeemed in the current attempt.
+     *
+     * @return {Integer}
+     */
+    const getTotalValue = () => {
+        return totalValue;
+    };
+
+    /**
+     * @brief Returns the number of seconds left on the timer.
+     *
+     * @return {Integer}
+     */
+    const getTimerCount = () => {
+        return timerCount;
+    };
+
+    /**
+     * @brief Returns `true` if the captcha has been solved.
+     *
+     * @return {Boolean}
+     */
+    const isDone = () => {
+        return done;
+    };
+
+    /**
+     * @brief Returns `true` if the current attempt has failed.
+     *
+     * @return {Boolean}
+     */
+    const isFailed = () => {
+        return failed;
+    };
+
+    return (() => {
+        const self = {};
+        self.getGiftCardDuration = getGiftCardDuration;
+        self.start = start;
+        self.startRound = startRound;
+        self.completeRound = completeRound;
+        self.retry = retry;
+        self.tick = tick;
+        self.addTime = addTime;
+        self.nextGiftCard = nextGiftCard;
+        self.clearGiftCard = clearGiftCard;
+        self.stepConveyor = stepConveyor;
+        self.removeConveyorCard = removeConveyorCard;
+        self.getConveyor = getConveyor;
+        self.isValid = isValid;
+        self.looksValid = looksValid;
+        self.redeem = redeem;
+        self.isTargetReached = isTargetReached;
+        self.getTargetValue = getTargetValue;
+        self.succeed = succeed;
+        self.fail = fail;
+        self.configure = configure;
+        self.getSettings = getSettings;
+        self.getRule = getRule;
+        self.getRound = getRound;
+        self.getGiftCard = getGiftCard;
+        self.getTotalValue = getTotalValue;
+        self.getTimerCount = getTimerCount;
+        self.isDone = isDone;
+        self.isFailed = isFailed;
+        return self;
+    })();
+};
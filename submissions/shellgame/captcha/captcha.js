@@ -1,188 +1,16 @@
 /**
- * @brief 2-dimensional point.
- */
-class Point {
-    /**
-     * @brief Point constructor.
-     *
-     * @param x {Float} X coordinate of the point.
-     * @param y {Float} Y coordinate of the piont.
-     */
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-    }
-};
-
-
-/**
- * @brief Arc from point to point.
- */
-class Arc {
-    /**
-     * @brief Arc
-     *
-     * @param start      {Point}    Starting point of the arc.
-     * @param end        {Point}    Ending point of the arc.
-     * @param numPoints  {Integer}  Number of points to generate along the arc.
-     * @param trajectory {Boolean}  `true` if ARC is above the X axis.
-     */
-    constructor(start, end, numPoints, trajectory) {
-        // Generate the points along the arc.
-        // Diameter of circle is distance between the two points along the X
-        // axis, so radius is half that.
-        const z = (end.x - start.x);
-        const r = Math.abs(z) / 2;
-
-        const cx = start.x + (z / 2);
-        const cy = start.y;
-
-        const startAngle = (z > 0 ? Math.PI : 0);
-        const angleDelta = trajectory ? -Math.PI : Math.PI;
-        const endAngle = startAngle + angleDelta;
-
-        this.points = Array.from({ length: numPoints }, (_, idx) => {
-            const t = idx / numPoints;
-            const deg = startAngle + (endAngle - startAngle) * t;
-            return new Point(cx + r * Math.cos(deg), cy + r * Math.sin(deg));
-        });
-
-        this.points.push(end);
-    }
-
-    /**
-     * @brief Returns the next point along the arc.
-     *
-     * @return {Point}
-     */
-    getNextPoint() {
-        if (!this.points.length) {
-            return null;
-        }
-
-        const point = this.points.shift();
-        return point;
-    }
-};
-
-
-/**
- * @brief Captcha overlay.
- *
- * @details Used to display text over top of the captcha.
- *
- * @param container {Element} Containing DOM element node.
- */
-const CaptchaOverlay = (container) => {
-    const icon = document.createElement("div");
-    const titleEl = document.createElement("h2");
-    const subtitleEl = document.createElement("span");
-    const display = container.style.display;
-
-    /**
-     * @brief Renders the overlay.
-     */
-    const render = () => {
-        icon.style.display = "none";
-        icon.className = "captcha-icon";
-        container.appendChild(icon);
-        container.appendChild(titleEl);
-        container.appendChild(subtitleEl);
-        return this;
-    }
-
-    /**
-     * @brief Hides the overlay.
-     */
-    const hide = () => {
-        container.style.display = "none";
-        return this;
-    }
-
-    /**
-     * @brief Shows the overlay.
-     */
-    const show = () => {
-        container.style.display = display;
-        return this;
-    }
-
-    /**
-     * @brief Sets the overlay text.
-     *
-     * @param title    {String}  Title string for the overlay.
-     * @param subtitle {String}  Subtitle string for the overlay.
-     * @param style    {String}  Optional overlay styling.
-     */
-    const set = (title, subtitle, style) => {
-        titleEl.innerText = title;
-        subtitleEl.innerText = subtitle;
-
-        switch (style) {
-            case "success":
-                icon.innerHTML = "&#10003";
-                icon.style.display = "flex";
-                container.className = "captcha-overlay captcha-success";
-                break;
-
-            case "failed":
-                icon.innerHTML = "&#10005";
-                icon.style.display = "flex";
-                container.className = "captcha-overlay captcha-failed";
-                break;
-
-            case "pass":
-                icon.innerHTML = "&#10003";
-                icon.style.display = "flex";
-                container.className = "captcha-overlay captcha-pass";
-                break;
-
-            default:
-                icon.style.display = "none";
-                container.className = "captcha-overlay";
-                break;
-        }
-
-        show();
-    };
-
-    return (() => {
-        render();
-
-        const self = CaptchaOverlay;
-        self.set = set;
-        self.hide = hide;
-        self.show = show;
-        return self;
-    })();
-};
-
-
-/**
- * @brief Represents a can within the captcha.
+ * @brief Renders a can within the captcha.
  *
  * @param document  {Document} DOM object.
  * @param container {Element}  Containing DOM element.
- * @param beans     {Boolean}  Boolean indicating if the Can contains beans or not.
+ * @param state     {CanState} State of the can.
  *
  * @returns {Can}
  */
-const Can = (document, container, beans) => {
+const Can = (document, container, state) => {
     const el = document.createElement("div");
     const contents = document.createElement("div");
-
-    let canPos = null;
-    let contentPos = null;
-    let pos = null;
-
-    /**
-     * @brief Returns the (x, y) coordinates of the top left corner of the can.
-     *
-     * @return {Point}
-     */
-    const getPos = () => {
-        return pos;
-    };
+    const contentsImg = document.createElement("img");
 
     /**
      * @brief Returns the width of the underlying DOM element.
@@ -207,31 +35,37 @@ const Can = (document, container, beans) => {
     };
 
     /**
-     * @brief Returns `true` if the can contains beans.
-     *
-     * @return {Boolean}
+     * @brief Shows what the can currently contains.
      */
-    const containsBeans = () => {
-        return beans;
+    const renderContents = () => {
+        const className = `captcha-can-contents captcha-can-${state.getContents()}`;
+        if (contents.className == className) {
+            return;
+        }
+
+        // Decoys look like beans, but are a little duller.
+        if (state.is(CanContents.EMPTY)) {
+            contentsImg.src = "./jebaited.png";
+        } else {
+            contentsImg.src = "./bean.png";
+        }
+        contents.className = className;
     };
 
     /**
      * @brief Renders the element and adds it to the DOM.
      */
     const render = () => {
-        let img = document.createElement("img");
+        const img = document.createElement("img");
         img.src = "./can.png";
+        img.alt = "";
         el.appendChild(img);
 
-        img = document.createElement("img");
-        if (beans) {
-            img.src = "./bean.png";
-        } else {
-            img.src = "./jebaited.png";
-        }
-        contents.className = "captcha-can-contents";
+        renderContents();
         contents.style.visibility = "hidden";
-        contents.appendChild(img);
+        contents.setAttribute("aria-hidden", "true");
+        contentsImg.alt = "";
+        contents.appendChild(contentsImg);
         container.appendChild(contents);
 
         // Hide all children.
@@ -240,6 +74,8 @@ const Can = (document, container, beans) => {
         });
 
         el.className = "captcha-can";
+        el.tabIndex = 0;
+        el.setAttribute("role", "button");
         el.style.visibility = "hidden";
         el.style.top = "0px";
         el.style.left = "0px";
@@ -248,28 +84,38 @@ const Can = (document, container, beans) => {
     };
 
     /**
-     * @brief Sets the absolute position of the can element in the DOM.
+     * @brief Sets the absolute position of the can element in the DOM from
+     * the state of the can.
      *
-     * @param x       {Float}    New X coordinate.
-     * @param y       {Float}    New Y coordinate.
-     * @param entire  {Boolean}  Move entire can (`true`).
+     * @param scale {Float} Scale of the can.
      */
-    const move = (x, y, entire) => {
-        pos = new Point(x, y);
+    const update = (scale) => {
+        const pos = state.getPos();
+        if (!pos) {
+            return;
+        }
 
-        let yOffset = (getHeight() + container.offsetTop) / 2;
-        canPos = new Point(x, y - yOffset);
-        el.style.top = `${canPos.y}px`;
-        el.style.left = `${canPos.x}px`;
+        // Scaling does not change the size used for layout, so the offsets
+        // are scaled to match.
+        const transform = (scale == 1) ? "" : `scale(${scale})`;
+        el.style.transform = transform;
+        el.style.transformOrigin = "top left";
+        contents.style.transform = transform;
+        contents.style.transformOrigin = "top left";
+
+        let yOffset = ((getHeight() * scale) + container.offsetTop) / 2;
+        el.style.top = `${pos.y - yOffset}px`;
+        el.style.left = `${pos.x}px`;
         el.style.visibility = "visible";
 
-        if (entire) {
-            const xOffset = (getWidth() - contents.offsetWidth) / 2;
-            yOffset = (contents.offsetHeight + container.offsetTop) / 2;
-            contentPos = new Point(x + xOffset, y - yOffset);
+        const contentsPos = state.getContentsPos();
+        if (contentsPos) {
+            renderContents();
+            const xOffset = ((getWidth() - contents.offsetWidth) * scale) / 2;
+            yOffset = ((contents.offsetHeight * scale) + container.offsetTop) / 2;
             contents.style.visibility = "visible";
-            contents.style.top = `${contentPos.y}px`;
-            contents.style.left = `${contentPos.x}px`;
+            contents.style.top = `${contentsPos.y - yOffset}px`;
+            contents.style.left = `${contentsPos.x + xOffset}px`;
         }
 
         // Show all children.
@@ -287,16 +133,42 @@ const Can = (document, container, beans) => {
         return el.getBoundingClientRect();
     };
 
+    /**
+     * @brief Sets the label read out by screen readers for the can.
+     *
+     * @param label {String} The label.
+     */
+    const setLabel = (label) => {
+        el.setAttribute("aria-label", label);
+    };
+
+    /**
+     * @brief Gives the can keyboard focus.
+     */
+    const focus = () => {
+        el.focus();
+    };
+
+    /**
+     * @brief Returns `true` if the can has keyboard focus.
+     *
+     * @return {Boolean}
+     */
+    const hasFocus = () => {
+        return (document.activeElement === el);
+    };
+
     return (() => {
         render();
 
         const self = {};
         self.getBounds = getBounds;
-        self.move = move;
+        self.update = update;
+        self.setLabel = setLabel;
+        self.focus = focus;
+        self.hasFocus = hasFocus;
         self.getHeight = getHeight;
         self.getWidth = getWidth;
-        self.getPos = getPos;
-        self.containsBeans = containsBeans;
 
         return self;
     })();
@@ -304,191 +176,476 @@ const Can = (document, container, beans) => {
 
 
 /**
- * @brief Captcha application.
+ * @brief Renders the distraction shown during a shuffle.
  *
- * @param window   {Window}   Window object.
- * @param document {Document} DOM element.
+ * @param document  {Document} DOM object.
+ * @param container {Element}  Containing DOM element.
+ *
+ * @returns {DistractionLayer}
  */
-const Captcha = (window, document) => {
-    // Amount of can to reveal on each tick.
-    const REVEAL_TICK = 2;
+const DistractionLayer = (document, container) => {
+    const el = document.createElement("div");
 
-    // Number of milliseconds between updates to the DOM in milliseconds.
-    const EVENT_LOOP_TICK = 10;
+    /**
+     * @brief Renders the element and adds it to the DOM.
+     */
+    const render = () => {
+        el.setAttribute("aria-hidden", "true");
+        el.style.display = "none";
+        container.appendChild(el);
+    };
 
-    const DEFAULT_NUM_CANS = 3;
-    const DEFAULT_NUM_ROUNDS = 3;
-    const DEFAULT_NUM_SHUFFLES = 5;
-    const DEFAULT_SHUFFLE_SPEED = 80;
+    /**
+     * @brief Shows the distraction at its progress, or hides the element if
+     * there is none.
+     *
+     * @param distraction {Object} Dictionary of the `type` and `progress` of
+     *                             the distraction, or `null`.
+     */
+    const update = (distraction) => {
+        el.removeAttribute("style");
+        if (!distraction) {
+            el.style.display = "none";
+            return;
+        }
 
-    // Number of cans, number of rounds, number of shuffles per round (round number *)
-    // shuffle speed in increments of 10ms (/ round number)
-    const searchParams = new URLSearchParams(window.location.search);
-    const numCans = searchParams.get("numCans") || DEFAULT_NUM_CANS;
-    const numRounds = searchParams.get("numRounds") || DEFAULT_NUM_ROUNDS;
-    const numShuffles = searchParams.get("numShuffles") || DEFAULT_NUM_SHUFFLES;
-    const shuffleSpeed = searchParams.get("shuffleSpeed") || DEFAULT_SHUFFLE_SPEED;
+        const progress = distraction.progress;
+        el.className = `captcha-distraction captcha-distraction-${distraction.type}`;
+        el.innerText = (distraction.type == Distraction.PAW) ? "\u{1F43E}" : "";
+
+        switch (distraction.type) {
+            case Distraction.CLOTH:
+                // Drops over the cans, then is pulled away again.
+                el.style.height = `${Math.sin(Math.PI * progress) * 100}%`;
+                break;
+            case Distraction.FLICKER:
+                // Dark for every other eighth of the shuffle.
+                el.style.opacity = (Math.floor(progress * 8) % 2) ? "0" : "0.95";
+                break;
+            default:
+                // Sweeps from off the left edge to off the right edge.
+                el.style.left = `${(progress * (container.offsetWidth + el.offsetWidth)) - el.offsetWidth}px`;
+                break;
+        }
+    };
+
+    return (() => {
+        render();
 
-    const title = document.createElement("h3");
+        const self = {};
+        self.update = update;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief Renders the shell game into the DOM.
+ *
+ * @param document {Document}       DOM object.
+ * @param model    {ShellgameModel} State of the game to render.
+ *
+ * @returns {ShellgameRenderer}
+ */
+const ShellgameRenderer = (document, model) => {
     const container = document.getElementById("captcha-app");
-    const overlay = CaptchaOverlay(document.getElementById("captcha-overlay"));
-    const cans = Array.from({ length: numCans }, (_, idx) => {
-        return Can(document, container, (idx == Math.floor(numCans / 2)));
+    const status = document.createElement("div");
+    const cans = model.getCans().map((state) => {
+        return Can(document, container, state);
     });
+    const distraction = DistractionLayer(document, container);
+    const cheater = document.createElement("button");
+
+    // Place of each can in reading order, as of when the cans last stopped.
+    const places = cans.map((can, idx) => idx + 1);
 
-    // Current round.
-    let round = 0;
+    /**
+     * @brief Returns the sizes the model needs to position the cans.
+     *
+     * @return {Object} Layout for `ShellgameModel.setLayout()`.
+     */
+    const measure = () => {
+        return {
+            "width": container.offsetWidth,
+            "height": container.offsetHeight,
+            "offsetTop": container.offsetTop,
+            "canWidth": cans[0].getWidth(),
+            "canHeight": cans[0].getHeight()
+        };
+    };
 
-    // Captcha successfully solved.
-    let done = false;
+    /**
+     * @brief Moves the can elements to the positions held by the model, and
+     * shows the distraction of the current shuffle.
+     */
+    const update = () => {
+        const scale = model.getScale();
+        cans.forEach((can) => {
+            can.update(scale);
+        });
+        distraction.update(model.getDistraction());
+    };
 
-    // Captcha failed.
-    let failed = false;
+    /**
+     * @brief Returns `true` if a point is within the captcha.
+     *
+     * @param pos {Point} The point.
+     *
+     * @return {Boolean}
+     */
+    const contains = (pos) => {
+        return isWithin(pos, container.getBoundingClientRect());
+    };
 
-    // Indicates if a round is starting.
-    let started = false;
+    /**
+     * @brief Returns the indices of the cans at a point.
+     *
+     * @param pos {Point} The point.
+     *
+     * @return {Array}
+     */
+    const getCansAt = (pos) => {
+        const indices = [];
+        cans.forEach((can, idx) => {
+            if (isWithin(pos, can.getBounds())) {
+                indices.push(idx);
+            }
+        });
+        return indices;
+    };
 
-    // Can currently being revealed.
-    let revealing = null;
+    /**
+     * @brief Returns the indices of the cans in reading order, from the top
+     * row to the bottom and left to right within a row.
+     *
+     * @return {Array}
+     */
+    const getOrder = () => {
+        const states = model.getCans();
+        return states.map((state, idx) => idx).filter((idx) => {
+            return states[idx].getPos();
+        }).sort((a, b) => {
+            const posA = states[a].getPos();
+            const posB = states[b].getPos();
+            return (posA.y - posB.y) || (posA.x - posB.x);
+        });
+    };
 
-    // Array of can animations.
-    let animations = [];
+    /**
+     * @brief Labels the cans by their place in reading order.
+     */
+    const updateLabels = () => {
+        const order = getOrder();
+        order.forEach((idx, place) => {
+            places[idx] = place + 1;
+            cans[idx].setLabel(`Can ${place + 1} of ${order.length}`);
+        });
+    };
 
     /**
-     * @brief Starts the next round.
+     * @brief Returns the place of a can in reading order, as labelled.
+     *
+     * @param idx {Integer} Index of the can.
+     *
+     * @return {Integer} The place, starting from 1.
      */
-    const startRound = () => {
-        round += 1;
-        started = true;
-        overlay.hide();
-        generateReveal(null, (round == 1), true);
-        generateAnimations();
+    const getPlace = (idx) => {
+        return places[idx];
     };
 
     /**
-     * @brief Generates the reveal animation.
+     * @brief Returns the index of the can with keyboard focus.
      *
-     * @param canIdx {Integer} Optional index of the can to reveal (defaults to bean can).
-     * @param show   {Boolean} Boolean indicating if the can should be shown.
-     * @param hide   {Boolean} Boolean indicating if the can should be hidden.
+     * @return {Integer} The index, or `null` if no can has focus.
      */
-    const generateReveal = (canIdx, show, hide) => {
-        let newAnimations = [];
+    const getFocused = () => {
+        const idx = cans.findIndex((can) => can.hasFocus());
+        return (idx < 0) ? null : idx;
+    };
 
-        // If the current round is round zero, we first need to show the can
-        // of beans, and then hide it. Otherwise, we just hide the can of
-        // beans.
-        let numRevealAnimations = 100 / REVEAL_TICK;
-        let hidden = show;
-        if (show && hide) {
-            numRevealAnimations *= 2;
+    /**
+     * @brief Moves keyboard focus to the nearest can in a direction.
+     *
+     * @details Cans further off to the side of the direction count as further
+     * away, so that focus stays within a row or column where it can. If no
+     * can has focus, the first can in reading order is focused instead.
+     *
+     * @param dx {Integer} Horizontal direction (-1, 0 or 1).
+     * @param dy {Integer} Vertical direction (-1, 0 or 1).
+     */
+    const moveFocus = (dx, dy) => {
+        const states = model.getCans();
+        const from = getFocused();
+        if ((from === null) || !states[from].getPos()) {
+            const order = getOrder();
+            if (order.length) {
+                cans[order[0]].focus();
+            }
+            return;
         }
 
-        for (let i = 0; i < numRevealAnimations; i++) {
-            let arcs = [];
-            cans.forEach((can, idx) => {
-                let animate = false;
-                if ((canIdx !== undefined) && (canIdx !== null)) {
-                    animate = (canIdx == idx);
-                } else {
-                    animate = can.containsBeans();
-                }
+        const start = states[from].getPos();
+        let next = from;
+        let best = Infinity;
+        states.forEach((state, idx) => {
+            const pos = state.getPos();
+            if ((idx == from) || !pos) {
+                return;
+            }
 
-                if (!animate) {
-                    arcs.push(can.getPos());
-                    return;
-                }
+            const along = ((pos.x - start.x) * dx) + ((pos.y - start.y) * dy);
+            const across = Math.abs((pos.x - start.x) * dy) + Math.abs((pos.y - start.y) * dx);
+            const distance = along + (2 * across);
+            if ((along > 0) && (distance < best)) {
+                best = distance;
+                next = idx;
+            }
+        });
+        cans[next].focus();
+    };
 
-                const pos = !show ? can.origPos : can.getPos();
-                const top = Math.min(pos.y - container.offsetTop - (can.getHeight() / 2), can.getHeight() * 1.5);
-                const percent = (REVEAL_TICK * ((i % (100 / REVEAL_TICK)) + 1));
-                let yOffset = 0;
+    /**
+     * @brief Shows or hides the button for calling out a cheat.
+     *
+     * @param visible {Boolean} `true` to show the button.
+     */
+    const showCheater = (visible) => {
+        cheater.style.display = visible ? "block" : "none";
+    };
 
-                if (hidden) {
-                    yOffset = top * percent / 100;
-                    hidden = (percent < 100);
-                } else {
-                    yOffset = top - (top * percent / 100);
-                }
-                arcs.push(new Point(pos.x, pos.y - yOffset));
-            });
-            newAnimations.push(arcs);
-        }
+    /**
+     * @brief Returns `true` if a point is on the button for calling out a
+     * cheat while it is shown.
+     *
+     * @param pos {Point} The point.
+     *
+     * @return {Boolean}
+     */
+    const isOnCheater = (pos) => {
+        return (cheater.style.display != "none") && isWithin(pos, cheater.getBoundingClientRect());
+    };
 
-        // Keep track of the position prior to the animation.
-        cans.forEach((can) => {
-            can.origPos = can.getPos();
-        });
+    /**
+     * @brief Returns `true` if the button for calling out a cheat has
+     * keyboard focus.
+     *
+     * @return {Boolean}
+     */
+    const hasCheaterFocus = () => {
+        return (document.activeElement === cheater);
+    };
 
-        revealing = canIdx;
-        newAnimations.forEach((a) => {
-            animations.push(a);
-        });
+    /**
+     * @brief Announces a message to screen readers.
+     *
+     * @param text {String} The message.
+     */
+    const announce = (text) => {
+        status.innerText = text;
     };
 
     /**
-     * @brief Generates all animations for the cans.
+     * @brief Renders the container.
+     *
+     * @details The table is only shown under a single row of cans. Messages
+     * for screen readers are kept in a live region that is not shown.
      */
-    const generateAnimations = () => {
-        let newAnimations = [];
+    const render = () => {
+        status.className = "captcha-sr-only";
+        status.setAttribute("aria-live", "polite");
+        container.appendChild(status);
 
-        // Get the current position of each can.
-        let prevPositions = cans.map((c) => {
-            const pos = c.getPos();
-            const yPos = container.offsetHeight / 2;
-            return new Point(pos.x, yPos);
-        });
+        cheater.type = "button";
+        cheater.className = "captcha-cheater";
+        cheater.innerText = "Cheater!";
+        cheater.style.display = "none";
+        container.appendChild(cheater);
 
-        // Generate all arcs.
-        for (let j = 0; j < (numShuffles * (round + 1)); j++) {
-            // Generate the new positions to move to. We keep track of the
-            // previous and new positions in order to ensure we move each can
-            // from its current position to the new one.
-            const newPositions = prevPositions
-                .map(value => ({ value, sort: Math.random() }))
-                .sort((a, b) => a.sort - b.sort)
-                .map(({ value }) => value);
-
-            let arcs = [];
-            cans.forEach((can, idx) => {
-                // Randomize whether the arc is above or below the X axis.
-                const trajectory = (Math.random() < 0.5 ? true : false);
-                arcs.push(new Arc(prevPositions[idx], newPositions[idx], shuffleSpeed / (round + 1), trajectory));
-            });
+        const yPos = container.offsetHeight / 2;
+        const offset = yPos + container.offsetTop;
+        const table = document.getElementById("captcha-table");
+        table.style.top = `${offset}px`;
+        if (model.getSettings().layout == ShellgameLayout.GRID) {
+            table.style.display = "none";
+        }
+    };
+
+    return (() => {
+        render();
+
+        const self = {};
+        self.measure = measure;
+        self.update = update;
+        self.contains = contains;
+        self.getCansAt = getCansAt;
+        self.updateLabels = updateLabels;
+        self.getPlace = getPlace;
+        self.getFocused = getFocused;
+        self.moveFocus = moveFocus;
+        self.showCheater = showCheater;
+        self.isOnCheater = isOnCheater;
+        self.hasCheaterFocus = hasCheaterFocus;
+        self.announce = announce;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief Captcha application.
+ *
+ * @param window   {Window}   Window object.
+ * @param document {Document} DOM element.
+ */
+const Captcha = (window, document) => {
+    // Longest time, in milliseconds, to advance the animations by in one
+    // frame, so that they pause rather than skip ahead while the page is in
+    // the background.
+    const MAX_FRAME_MS = 100;
+
+    // Direction to move keyboard focus in for each arrow key.
+    const ARROW_KEYS = {
+        "ArrowLeft": { "x": -1, "y": 0 },
+        "ArrowRight": { "x": 1, "y": 0 },
+        "ArrowUp": { "x": 0, "y": -1 },
+        "ArrowDown": { "x": 0, "y": 1 }
+    };
+
+    // Keys that pick the can with keyboard focus.
+    const PICK_KEYS = Object.freeze(["Enter", " "]);
+
+    // Milliseconds the player has to call out a cheat after a wrong can is
+    // revealed.
+    const CHEAT_CATCH_MS = 1500;
+
+    // Title of the overlay and reason sent upstream for each way to fail.
+    const FAILURES = {
+        [PickResult.WRONG]: { "title": "Try Again", "reason": "wrong can" },
+        [PickResult.DECOY]: { "title": "Jebaited", "reason": "decoy" },
+        [PickResult.CHEATED]: { "title": "Cheated", "reason": "cheated" },
+        "accused": { "title": "No Cheating Here", "reason": "false accusation" }
+    };
 
-            // Add the generated arcs to the animation list.
-            newAnimations.push(arcs);
+    // Number of cans, number of rounds, number of shuffles per round (round number *)
+    // shuffle speed in increments of 10ms (/ round number)
+    const SCHEMA = {
+        "difficulty": DIFFICULTY_CONFIG,
+        "numCans": { "type": ConfigType.INT, "min": 2, "max": 12, "default": 3 },
+        "layout": { "type": ConfigType.STRING, "values": Object.values(ShellgameLayout) },
+        "numRounds": { "type": ConfigType.INT, "min": 1, "max": 10, "default": 3 },
+        "numShuffles": { "type": ConfigType.INT, "min": 1, "max": 50 },
+        "shuffleSpeed": { "type": ConfigType.INT, "min": 5, "max": 500 },
+        "paths": { "type": ConfigType.LIST, "values": Object.values(ShufflePath) },
+        "numBeans": { "type": ConfigType.INT, "min": 1, "max": 5, "default": 1 },
+        "numDecoys": { "type": ConfigType.INT, "min": 0, "max": 5, "default": 0 },
+        "goal": { "type": ConfigType.STRING, "values": Object.values(ShellgameGoal), "default": ShellgameGoal.BEAN },
+        "numCheckpoints": { "type": ConfigType.INT, "min": 0, "max": 5, "default": 0 },
+        "distractions": { "type": ConfigType.LIST, "values": Object.values(Distraction) },
+        "numDistractions": { "type": ConfigType.INT, "min": 0, "max": 10 },
+        "cheatChance": { "type": ConfigType.FLOAT, "min": 0, "max": 1, "default": 0 }
+    };
 
-            // Update our previous positions.
-            prevPositions = newPositions;
+    // Shuffles, shuffle speed, shapes of the shuffle paths and distractions
+    // for each difficulty.
+    const PRESETS = {
+        [Difficulty.EASY]: {
+            "numShuffles": 3,
+            "shuffleSpeed": 100,
+            "paths": [ShufflePath.ARC],
+            "numDistractions": 0
+        },
+        [Difficulty.NORMAL]: {
+            "numShuffles": 5,
+            "shuffleSpeed": 80,
+            "paths": [ShufflePath.ARC],
+            "numDistractions": 0
+        },
+        [Difficulty.HARD]: {
+            "numShuffles": 7,
+            "shuffleSpeed": 60,
+            "paths": [ShufflePath.ARC, ShufflePath.CROSS, ShufflePath.BEZIER],
+            "distractions": [Distraction.FLICKER, Distraction.PAW],
+            "numDistractions": 1
+        },
+        [Difficulty.EVIL]: {
+            "numShuffles": 10,
+            "shuffleSpeed": 40,
+            "paths": Object.values(ShufflePath),
+            "distractions": Object.values(Distraction),
+            "numDistractions": 2
         }
+    };
 
-        newAnimations.forEach((a) => {
-            animations.push(a);
-        });
+    // Solving within this many milliseconds raises an adaptive difficulty.
+    const QUICK_SOLVE_MS = 35000;
+
+    const overlay = CaptchaOverlay(document.getElementById("captcha-overlay"));
+    const protocol = CaptchaProtocol(window, "shellgame");
+    const random = createRandom(window);
+    const recorder = CaptchaRecorder(window, document, "shellgame", protocol, random);
+    const adaptive = AdaptiveDifficulty(window, "shellgame", protocol, SCHEMA, PRESETS, QUICK_SOLVE_MS);
+    const stats = CaptchaStats(window, "shellgame", protocol);
+    const settings = getSettings(window, SCHEMA, PRESETS, adaptive.getLevel());
+    warnInvalidConfig(window, document, SCHEMA);
+    const model = ShellgameModel(settings, random);
+    const renderer = ShellgameRenderer(document, model);
+    let animating = false;
+
+    // Index of the can the player last picked.
+    let lastPick = null;
+
+    // Timer ending the chance to call out a cheat, while there is one.
+    let catchTimer = null;
+
+    /**
+     * @brief Returns the instructions for the player.
+     *
+     * @return {String}
+     */
+    const getInstructions = () => {
+        const settings = model.getSettings();
+        let text = "";
+        switch (model.getTarget()) {
+            case CanContents.GOLDEN_BEAN:
+                text = `Correctly identify the golden bean ${settings.numRounds} times.`;
+                break;
+            case CanContents.BEAN:
+                text = `Correctly identify the right can ${settings.numRounds} times.`;
+                break;
+            default:
+                text = `Find every can of beans ${settings.numRounds} times.`;
+                break;
+        }
+
+        if (settings.numCheckpoints > 0) {
+            text += "\nWhen the cans stop, pick the right one to keep going.";
+        }
+        return text;
+    };
+
+    /**
+     * @brief Starts the next round.
+     */
+    const startRound = () => {
+        model.setLayout(renderer.measure());
+        model.startRound();
+        overlay.hide();
+        if (model.getRound() == 1) {
+            protocol.started({ "rounds": model.getSettings().numRounds });
+        }
     };
 
     /**
      * @brief Resets the captcha state to the initial state.
      */
     const reset = () => {
-        round = 0;
-        done = false;
-        failed = false;
-        started = false;
-        animations = [];
-        overlay.set("Click Anywhere to Start", `Correctly identify the right can ${numRounds} times.`);
-
-        // Render each can in their starting positions.
-        let xOffset = container.offsetWidth;
-        xOffset -= (cans[0].getWidth() * cans.length);
-        xOffset /= (cans.length + 1);
-
-        let xPos = xOffset;
-        const yPos = container.offsetHeight / 2;
-        cans.forEach((can, i) => {
-            can.move(xPos, yPos, true);
-            xPos += (xOffset + can.getWidth());
+        model.setLayout(renderer.measure());
+        model.reset();
+        renderer.update();
+        renderer.updateLabels();
+        overlay.set({
+            "title": "Click Anywhere to Start",
+            "text": getInstructions()
         });
     };
 
@@ -499,219 +656,300 @@ const Captcha = (window, document) => {
      * communicated upstream.
      */
     const onSuccess = () => {
-        if (round >= numRounds) {
-            done = true;
-            overlay.set("Success", "", "success");
-            window.top.postMessage("success", "*");
+        const round = model.getRound();
+        const numRounds = model.getSettings().numRounds;
+        if (model.completeRound()) {
+            overlay.set({
+                "title": "Success",
+                "status": "success"
+            });
+            protocol.success({ "round": round, "rounds": numRounds });
         } else {
-            started = false;
-            overlay.set("Round Complete", `${numRounds - round} more remaining.`, "pass");
+            overlay.set({
+                "title": "Round Complete",
+                "text": `${numRounds - round} more remaining.`,
+                "status": "pass"
+            });
+            protocol.roundComplete({ "round": round, "rounds": numRounds });
         }
     };
 
     /**
-     * @brief Invoked when the captcha fails.
+     * @brief Returns the player's statistics for the failure overlay.
+     *
+     * @return {String}
      */
-    const onFailed = () => {
-        failed = true;
-        started = false;
-        overlay.set("Try Again", `Correctly identify the right can ${numRounds} times.`, "failed");
+    const getStatsText = () => {
+        const current = stats.get();
+        const lines = [
+            `Attempt ${current.attempts}. Losing streak: ${current.losingStreak} (longest: ${current.longestLosingStreak}).`
+        ];
+
+        if (current.lastPick) {
+            const most = stats.getMostWrongPick();
+            const often = (most == current.lastPick) ? "" : ` Most often wrong: can ${most}.`;
+            lines.push(`You picked can ${current.lastPick}.${often}`);
+        }
+
+        if (current.fastestWin !== null) {
+            lines.push(`Fastest win: ${(current.fastestWin / 1000).toFixed(1)}s.`);
+        }
+        return lines.join("\n");
     };
 
     /**
-     * @brief Event handler for a touch or mouse event.
+     * @brief Invoked when the captcha fails.
      *
-     * @details This method is used to check for click on a can.
+     * @details A cheated pick was the right can, so it is not reported as the
+     * player's `pick` and does not count as a wrong pick.
      *
-     * @param ev {Event} the mouse down or touch down event.
+     * @param failure {Object} How the player failed (see `FAILURES`).
      */
-    const onClick = (ev) => {
-        ev.stopPropagation();
+    const onFailed = (failure) => {
+        const numRounds = model.getSettings().numRounds;
+        const jebaited = (failure !== FAILURES[PickResult.WRONG]);
+        const payload = { "round": model.getRound(), "rounds": numRounds, "reason": failure.reason };
+        if (failure !== FAILURES[PickResult.CHEATED]) {
+            payload.pick = `${renderer.getPlace(lastPick)} of ${model.getCans().length}`;
+        }
+        model.fail();
+        protocol.failed(payload);
+        overlay.set({
+            "title": failure.title,
+            "text": `${getInstructions()}\n\n${getStatsText()}`,
+            "image": jebaited ? "./jebaited.png" : null,
+            "status": "failed"
+        });
+    };
 
-        if (done || animations.length) {
+    /**
+     * @brief Handles the result of a pick.
+     *
+     * @details The round carries on if there is more to find this round;
+     * otherwise the round is passed or failed after a short pause.
+     *
+     * @param result  {PickResult} Result of the pick.
+     * @param failure {Object}     How the player failed, if they did.
+     */
+    const onPicked = (result, failure) => {
+        if (result == PickResult.FOUND) {
+            renderer.announce("Found one. Pick another can.");
+            return;
+        } else if (result == PickResult.CHECKPOINT) {
+            renderer.announce("Correct. Keep watching.");
             return;
         }
 
-        const pos = getCoordinates(ev);
-        const boundaries = container.getBoundingClientRect();
-        if (isWithin(pos, boundaries)) {
-            if (failed) {
-                reset();
-                return;
+        setTimeout(() => {
+            if (result == PickResult.ROUND) {
+                onSuccess();
+            } else {
+                onFailed(failure);
             }
+        }, 250);
+    };
 
-            if (!started) {
-                startRound();
-                return;
-            }
+    /**
+     * @brief Gives the player a chance to call out a cheat after a wrong can
+     * is revealed.
+     *
+     * @details Offered after every wrong pick, cheated or not, so the button
+     * does not give the cheat away. The pick fails once the time is up.
+     *
+     * @param result {PickResult} Result of the pick.
+     */
+    const offerCatch = (result) => {
+        renderer.showCheater(true);
+        renderer.announce("Was that a cheat? Press Cheater! to call it out.");
+        catchTimer = setTimeout(() => {
+            catchTimer = null;
+            renderer.showCheater(false);
+            onFailed(FAILURES[result]);
+        }, CHEAT_CATCH_MS);
+    };
 
-            cans.forEach((can, idx) => {
-                if (isWithin(pos, can.getBounds())) {
-                    // Reveal the specific can. Validation will be done in the
-                    // event handler to determine if it was the winning one.
-                    generateReveal(idx, true, false);
-                }
-            });
+    /**
+     * @brief Calls out a cheat on the last pick.
+     */
+    const accuse = () => {
+        if (catchTimer === null) {
+            return;
         }
+
+        clearTimeout(catchTimer);
+        catchTimer = null;
+        renderer.showCheater(false);
+        onPicked(model.catchCheat(), FAILURES.accused);
     };
 
     /**
-     * @brief Callback invoked after the cans have been moved to invoke the
-     * next move. Once all moves have been finished,
+     * @brief Selects cans with a click, touch or key press.
+     *
+     * @details Starts the round, or resets after a failure, if neither is in
+     * progress. Otherwise, the cans are revealed.
+     *
+     * @param indices {Array} Indices of the selected cans.
      */
-    const onNextFrame = () => {
-        if (animations.length == 0) {
+    const select = (indices) => {
+        if (model.isDone() || model.isAnimating() || (catchTimer !== null)) {
             return;
         }
 
-        let arcs = animations[0];
-        cans.forEach((can, idx) => {
-            if (!arcs) {
-                return;
-            }
+        if (model.isFailed()) {
+            reset();
+            return;
+        }
 
-            let arc = arcs[idx];
-            let point = null;
-            let entire = true;
-            if (arc.getNextPoint) {
-                point = arc.getNextPoint();
-                if (point == null) {
-                    // This ARC has run out, so shift to the next animation.
-                    animations.shift();
-                    if (!animations.length) {
-                        return;
-                    }
-
-                    arcs = animations[0];
-                    point = arcs[idx].getNextPoint();
-                }
-            } else {
-                point = arcs[idx];
-                entire = false;
-                if (idx == (cans.length - 1)) {
-                    animations.shift();
-                }
-            }
+        if (!model.isStarted()) {
+            startRound();
+            return;
+        }
 
-            can.move(point.x, point.y, entire);
+        model.setLayout(renderer.measure());
+        indices.forEach((idx) => {
+            // Reveal the specific can. Validation will be done in the
+            // event handler to determine if it was the winning one.
+            lastPick = idx;
+            model.reveal(idx);
         });
     };
 
     /**
-     * @brief Callback invoked on each state update tick.
+     * @brief Event handler for a touch or mouse event.
+     *
+     * @details This method is used to check for click on a can.
+     *
+     * @param ev {Event} the mouse down or touch down event.
+     */
+    const onClick = (ev) => {
+        ev.stopPropagation();
+
+        const pos = getCoordinates(ev);
+        if (renderer.isOnCheater(pos)) {
+            accuse();
+        } else if (renderer.contains(pos)) {
+            select(renderer.getCansAt(pos));
+        }
+    };
+
+    /**
+     * @brief Event handler for a key press.
+     *
+     * @details The arrow keys move keyboard focus between the cans, and
+     * Enter or Space picks the focused can, or presses the focused button
+     * for calling out a cheat. When neither has focus, Enter or Space starts
+     * the round as a click would.
+     *
+     * @param ev {KeyboardEvent} The key down event.
+     */
+    const onKeyDown = (ev) => {
+        const direction = ARROW_KEYS[ev.key];
+        if (direction) {
+            ev.preventDefault();
+            renderer.moveFocus(direction.x, direction.y);
+        } else if (PICK_KEYS.includes(ev.key) && renderer.hasCheaterFocus()) {
+            ev.preventDefault();
+            accuse();
+        } else if (PICK_KEYS.includes(ev.key)) {
+            ev.preventDefault();
+            const idx = renderer.getFocused();
+            select((idx === null) ? [] : [idx]);
+        }
+    };
+
+    /**
+     * @brief Callback invoked on each animation frame.
      *
      * @details This API is responsible for animating the movement of the cans
      * as well as revealing of can. After reveal, it handles success or failure
      * callbacks.
+     *
+     * @param ms {Float} Milliseconds elapsed since the previous frame.
      */
-    const onTick = () => {
-        if (!animations.length) {
-            if ((revealing !== undefined) && (revealing !== null)) {
-                const can = cans[revealing];
-                revealing = null;
-                setTimeout(() => {
-                    if (can.containsBeans()) {
-                        onSuccess();
-                    } else {
-                        onFailed();
-                    }
-                }, 250);
+    const onTick = (ms) => {
+        if (!model.isAnimating()) {
+            const can = model.takeRevealed();
+            if (can) {
+                animating = false;
+                const result = model.pick(can);
+                if (FAILURES[result] && (model.getSettings().cheatChance > 0)) {
+                    offerCatch(result);
+                } else {
+                    onPicked(result, FAILURES[result]);
+                }
+            } else if (animating) {
+                // The cans have stopped for the player to pick.
+                animating = false;
+                renderer.updateLabels();
+                if (model.isStarted()) {
+                    renderer.announce("The cans have stopped. Pick a can.");
+                }
             }
         } else {
-            // Show the next animation frame.
-            requestAnimationFrame(() => {
-                onNextFrame();
-            });
+            // Move the cans by the time elapsed since the previous frame.
+            animating = true;
+            model.step(ms);
+            renderer.update();
         }
     };
 
+    /**
+     * @brief Requests the next animation frame.
+     *
+     * @param last {Float} Time of the previous frame, or `null`.
+     */
+    const nextFrame = (last) => {
+        requestAnimationFrame((now) => {
+            const ms = (last === null) ? 0 : Math.min(MAX_FRAME_MS, now - last);
+            onTick(ms);
+            nextFrame(now);
+        });
+    };
+
+    /**
+     * @brief Returns the settings that can be changed by the operator.
+     *
+     * @return {Array} List of `{ name, label, value }` dictionaries.
+     */
+    const getControls = () => {
+        const settings = model.getSettings();
+        return [
+            { "name": "numRounds", "label": "Rounds", "value": settings.numRounds },
+            { "name": "numShuffles", "label": "Shuffles per round", "value": settings.numShuffles },
+            { "name": "shuffleSpeed", "label": "Shuffle speed (10ms)", "value": settings.shuffleSpeed }
+        ];
+    };
+
     /**
      * @brief Binds the event listeners.
      *
      * @returns {Captcha}
      */
     const bind = () => {
-        ["touchend", "mouseup"].forEach((eventName) => {
+        TOUCH_EVENTS.forEach((eventName) => {
             document.addEventListener(eventName, onClick);
         });
-    };
+        document.addEventListener("keydown", onKeyDown);
 
-    /**
-     * @brief Renders the container.
-     */
-    const render = () => {
-        const yPos = container.offsetHeight / 2;
-        const canHeight = cans[0].getHeight();
-        const offset = yPos + container.offsetTop;
-        const table = document.getElementById("captcha-table");
-        table.style.top = `${offset}px`;
+        protocol.listen(ShellMessageType.CONFIGURE, model.configure);
+        adaptive.listen(model.configure);
     };
 
     bind();
-    render();
     reset();
+    protocol.ready({ "rounds": model.getSettings().numRounds, "difficulty": adaptive.getLevel(), "seed": random.getSeed(), "controls": getControls() });
 
-    setInterval(() => {
-        onTick();
-    }, EVENT_LOOP_TICK);
+    nextFrame(null);
 
-    return this;
-};
-
-
-/**
- * @brief Returns the coordinates of a touch or mouse down event.
- *
- * @param ev {Event} The UI event.
- *
- * @return {Point} A coordinate on success, otherwise `null`.
- */
-const getCoordinates = (ev) => {
-    if (!ev.touches) {
-        return new Point(ev.clientX, ev.clientY);
-    } else if (ev.touches.length == 1) {
-        return new Point(ev.touches[0].clientX, ev.touches[0].clientY);
-    }
-
-    // Multi-finger touch not supported.
-    return null;
-};
-
-
-/**
- * @brief Returns if a point falls within a rectangle.
- *
- * @param p    {Point}     The point to check for capture.
- * @param rect {Rectangle} The bounding client rectangle.
- *
- * @return {Boolean} `true` if point is contained, otherwise `false`.
- */
-const isWithin = (p, rect) => {
-    if (!p || !rect) {
-        return false;
-    }
-    return ((p.x >= rect.left) &&
-            (p.x <= rect.right) &&
-            (p.y >= rect.top) &&
-            (p.y <= rect.bottom));
-};
-
-
-/**
- * @brief Callback invoked when DOM is ready. Loads the application.
- */
-const onReady = () => {
-    if (onReady.app) {
-        // Function already invoked, so return.
-        return;
-    }
-
-    onReady.app = Captcha(window, document);
+    return (() => {
+        const self = {};
+        self.model = model;
+        self.renderer = renderer;
+        self.adaptive = adaptive;
+        return self;
+    })();
 };
 
 
-// Bind the listener to the `onReady` handler.
-window.onload = onReady;
-
-// Backwards fallback for `onload` failing.
-document.addEventListener("DOMContentLoaded", onReady);
+// Load the captcha once the DOM is ready.
+bootstrap(Captcha);
@@ -0,0 +1,1250 @@
+/**
+ * @brief Shapes of the paths cans can follow while shuffling.
+ */
+const ShufflePath = Object.freeze({
+    // Semicircle above or below the line between the two points.
+    ARC: "arc",
+    // Straight line, so cans swapping places cross through each other.
+    CROSS: "cross",
+    // Loops around the middle of the line before reaching the end.
+    FIGURE_EIGHT: "figure8",
+    // Random curve.
+    BEZIER: "bezier",
+    // Heads towards the end, then turns back halfway.
+    FAKE_OUT: "fakeout"
+});
+
+
+/**
+ * @brief Easing curves, mapping the fraction of an animation's time that has
+ * passed to the fraction of its path.
+ */
+const Easing = Object.freeze({
+    LINEAR: (t) => t,
+    EASE_IN: (t) => t * t * t,
+    EASE_OUT: (t) => 1 - Math.pow(1 - t, 3),
+    EASE_IN_OUT: (t) => ((t < 0.5) ? (4 * t * t * t) : (1 - Math.pow(-2 * t + 2, 3) / 2))
+});
+
+
+/**
+ * @brief Path from point to point.
+ *
+ * @details Subclasses change the shape of the path by overriding
+ * `pointAt()`; the path itself is a straight line.
+ */
+class Path {
+    /**
+     * @brief Path
+     *
+     * @param start {Point} Starting point of the path.
+     * @param end   {Point} Ending point of the path.
+     */
+    constructor(start, end) {
+        this.start = start;
+        this.end = end;
+    }
+
+    /**
+     * @brief Returns the point a fraction of the way along the path.
+     *
+     * @param t {Float} Fraction of the path, from 0 to 1.
+     *
+     * @return {Point}
+     */
+    pointAt(t) {
+        return new Point(
+            this.start.x + (this.end.x - this.start.x) * t,
+            this.start.y + (this.end.y - this.start.y) * t
+        );
+    }
+};
+
+
+/**
+ * @brief Arc from point to point.
+ */
+class Arc extends Path {
+    /**
+     * @brief Arc
+     *
+     * @param start      {Point}    Starting point of the arc.
+     * @param end        {Point}    Ending point of the arc.
+     * @param trajectory {Boolean}  `true` if ARC is above the X axis.
+     */
+    constructor(start, end, trajectory) {
+        super(start, end);
+
+        // Diameter of circle is the distance between the two points, so the
+        // centre is halfway between them.
+        this.center = new Point((start.x + end.x) / 2, (start.y + end.y) / 2);
+        this.angle = trajectory ? -Math.PI : Math.PI;
+    }
+
+    /**
+     * @brief Returns the point a fraction of the way along the arc.
+     *
+     * @details The starting point is rotated around the centre.
+     *
+     * @param t {Float} Fraction of the arc, from 0 to 1.
+     *
+     * @return {Point}
+     */
+    pointAt(t) {
+        const deg = this.angle * t;
+        const dx = this.start.x - this.center.x;
+        const dy = this.start.y - this.center.y;
+        return new Point(
+            this.center.x + dx * Math.cos(deg) - dy * Math.sin(deg),
+            this.center.y + dx * Math.sin(deg) + dy * Math.cos(deg)
+        );
+    }
+};
+
+
+/**
+ * @brief Figure-eight from point to point.
+ */
+class FigureEight extends Path {
+    /**
+     * @brief FigureEight
+     *
+     * @param start      {Point}    Starting point of the path.
+     * @param end        {Point}    Ending point of the path.
+     * @param trajectory {Boolean}  `true` if the first loop is above the line.
+     */
+    constructor(start, end, trajectory) {
+        super(start, end);
+        this.sign = trajectory ? -1 : 1;
+    }
+
+    /**
+     * @brief Returns the point a fraction of the way along the path.
+     *
+     * @details Follows one and a half turns of a lemniscate of Gerono whose
+     * ends are the two points, so the path crosses the middle three times.
+     *
+     * @param t {Float} Fraction of the path, from 0 to 1.
+     *
+     * @return {Point}
+     */
+    pointAt(t) {
+        const phi = Math.PI - (3 * Math.PI * t);
+        const cx = (this.start.x + this.end.x) / 2;
+        const cy = (this.start.y + this.end.y) / 2;
+
+        // Half of the line between the points, and the line perpendicular
+        // to it.
+        const ux = (this.end.x - this.start.x) / 2;
+        const uy = (this.end.y - this.start.y) / 2;
+        const along = Math.cos(phi);
+        const across = this.sign * Math.sin(phi) * Math.cos(phi);
+        return new Point(cx + ux * along - uy * across, cy + uy * along + ux * across);
+    }
+};
+
+
+/**
+ * @brief Cubic Bézier curve from point to point.
+ */
+class Bezier extends Path {
+    /**
+     * @brief Bezier
+     *
+     * @param start     {Point}   Starting point of the curve.
+     * @param end       {Point}   Ending point of the curve.
+     * @param bend1     {Float}   How far the first control point is off the
+     *                            line, as a fraction of its length.
+     * @param bend2     {Float}   How far the second control point is off the
+     *                            line, as a fraction of its length.
+     */
+    constructor(start, end, bend1, bend2) {
+        super(start, end);
+
+        // Control points a third and two thirds of the way along the line,
+        // moved off it at a right angle.
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        this.ctrl1 = new Point(start.x + (dx / 3) - (dy * bend1), start.y + (dy / 3) + (dx * bend1));
+        this.ctrl2 = new Point(start.x + (dx * 2 / 3) - (dy * bend2), start.y + (dy * 2 / 3) + (dx * bend2));
+    }
+
+    /**
+     * @brief Returns the point a fraction of the way along the curve.
+     *
+     * @param t {Float} Fraction of the curve, from 0 to 1.
+     *
+     * @return {Point}
+     */
+    pointAt(t) {
+        const u = 1 - t;
+        const a = u * u * u;
+        const b = 3 * u * u * t;
+        const c = 3 * u * t * t;
+        const d = t * t * t;
+        return new Point(
+            a * this.start.x + b * this.ctrl1.x + c * this.ctrl2.x + d * this.end.x,
+            a * this.start.y + b * this.ctrl1.y + c * this.ctrl2.y + d * this.end.y
+        );
+    }
+};
+
+
+/**
+ * @brief Arc that turns back halfway, ending where it started.
+ */
+class FakeOut extends Path {
+    /**
+     * @brief FakeOut
+     *
+     * @param start      {Point}    Starting (and ending) point of the path.
+     * @param toward     {Point}    Point the path pretends to head to.
+     * @param trajectory {Boolean}  `true` if ARC is above the X axis.
+     */
+    constructor(start, toward, trajectory) {
+        super(start, start);
+        this.arc = new Arc(start, toward, trajectory);
+    }
+
+    /**
+     * @brief Returns the point a fraction of the way along the path.
+     *
+     * @param t {Float} Fraction of the path, from 0 to 1.
+     *
+     * @return {Point}
+     */
+    pointAt(t) {
+        return this.arc.pointAt((t < 0.5) ? t : (1 - t));
+    }
+};
+
+
+/**
+ * @brief Creates the path of a can for a shuffle.
+ *
+ * @param type       {ShufflePath} Shape of the path.
+ * @param start      {Point}       Starting point of the path.
+ * @param end        {Point}       Ending point of the path (or, for a fake
+ *                                 out, the point it heads towards).
+ * @param trajectory {Boolean}     `true` if the path curves above the line.
+ * @param random     {Random}      Random number generator for curves.
+ *
+ * @return {Path}
+ */
+const createPath = (type, start, end, trajectory, random) => {
+    switch (type) {
+        case ShufflePath.CROSS:
+            return new Path(start, end);
+        case ShufflePath.FIGURE_EIGHT:
+            return new FigureEight(start, end, trajectory);
+        case ShufflePath.BEZIER:
+            return new Bezier(start, end, random.next() - 0.5, random.next() - 0.5);
+        case ShufflePath.FAKE_OUT:
+            return new FakeOut(start, end, trajectory);
+        default:
+            return new Arc(start, end, trajectory);
+    }
+};
+
+
+/**
+ * @brief Ways of laying out the cans.
+ */
+const ShellgameLayout = Object.freeze({
+    // A single row across the table.
+    ROW: "row",
+    // Rows and columns, with the cans scaled down to fit.
+    GRID: "grid"
+});
+
+
+/**
+ * @brief Distractions that can be shown during a shuffle.
+ */
+const Distraction = Object.freeze({
+    // A cloth drops over the cans and is pulled away again.
+    CLOTH: "cloth",
+    // The table flickers, going dark for moments at a time.
+    FLICKER: "flicker",
+    // A cat paw sweeps across the table in front of the cans.
+    PAW: "paw"
+});
+
+
+/**
+ * @brief Contents of a can.
+ */
+const CanContents = Object.freeze({
+    EMPTY: "empty",
+    BEAN: "bean",
+    GOLDEN_BEAN: "golden",
+    DECOY: "decoy"
+});
+
+
+/**
+ * @brief What the player has to find each round.
+ */
+const ShellgameGoal = Object.freeze({
+    // The golden bean, or the only bean if there is just one.
+    BEAN: "bean",
+    // Every can of beans.
+    ALL: "all"
+});
+
+
+/**
+ * @brief Result of picking a can.
+ */
+const PickResult = Object.freeze({
+    WRONG: "wrong",
+    DECOY: "decoy",
+    FOUND: "found",
+    CHECKPOINT: "checkpoint",
+    ROUND: "round",
+    // The right can was swapped for another before it was revealed.
+    CHEATED: "cheated"
+});
+
+
+/**
+ * @brief State of a can within the captcha.
+ *
+ * @param contents {CanContents} What the can initially contains.
+ *
+ * @returns {CanState}
+ */
+const CanState = (contents) => {
+    // Position of the can, or `null` if it has not been placed yet.
+    let pos = null;
+
+    // Position of the can's contents. The contents only follow the can when
+    // the entire can is moved, so they stay behind when the can is lifted.
+    let contentsPos = null;
+
+    // Position of the can prior to the current reveal animation.
+    let origPos = null;
+
+    /**
+     * @brief Returns the (x, y) coordinates of the top left corner of the can.
+     *
+     * @return {Point}
+     */
+    const getPos = () => {
+        return pos;
+    };
+
+    /**
+     * @brief Returns the (x, y) coordinates of the can's contents.
+     *
+     * @return {Point}
+     */
+    const getContentsPos = () => {
+        return contentsPos;
+    };
+
+    /**
+     * @brief Returns the position of the can prior to the current reveal
+     * animation.
+     *
+     * @return {Point}
+     */
+    const getOrigPos = () => {
+        return origPos;
+    };
+
+    /**
+     * @brief Stores the position of the can prior to a reveal animation.
+     *
+     * @param restPos {Point} Position the can is revealed from.
+     */
+    const saveOrigPos = (restPos) => {
+        origPos = restPos;
+    };
+
+    /**
+     * @brief Returns what the can contains.
+     *
+     * @return {CanContents}
+     */
+    const getContents = () => {
+        return contents;
+    };
+
+    /**
+     * @brief Changes what the can contains.
+     *
+     * @param newContents {CanContents} The new contents.
+     */
+    const setContents = (newContents) => {
+        contents = newContents;
+    };
+
+    /**
+     * @brief Returns if the can has the specified contents.
+     *
+     * @param refContents {CanContents} Contents to check against.
+     *
+     * @return {Boolean}
+     */
+    const is = (refContents) => {
+        return contents === refContents;
+    };
+
+    /**
+     * @brief Returns `true` if the can contains beans.
+     *
+     * @return {Boolean}
+     */
+    const containsBeans = () => {
+        return (is(CanContents.BEAN) || is(CanContents.GOLDEN_BEAN));
+    };
+
+    /**
+     * @brief Moves the can.
+     *
+     * @param x       {Float}    New X coordinate.
+     * @param y       {Float}    New Y coordinate.
+     * @param entire  {Boolean}  Move entire can (`true`).
+     */
+    const move = (x, y, entire) => {
+        pos = new Point(x, y);
+        if (entire) {
+            contentsPos = pos;
+        }
+    };
+
+    return (() => {
+        const self = {};
+        self.getPos = getPos;
+        self.getContentsPos = getContentsPos;
+        self.getOrigPos = getOrigPos;
+        self.saveOrigPos = saveOrigPos;
+        self.getContents = getContents;
+        self.setContents = setContents;
+        self.is = is;
+        self.containsBeans = containsBeans;
+        self.move = move;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief State of the shell game.
+ *
+ * @details Holds the cans, the round and the queue of animations, and
+ * generates the reveal and shuffle animations. The model never touches the
+ * DOM; the sizes it needs are provided through `setLayout()`, and a renderer
+ * draws the cans at the positions held by the model.
+ *
+ * Some cans may hold beans or decoys that look like beans. At the start of
+ * every round the contents are placed under random cans, and the cans with
+ * contents are revealed; depending on the `goal`, the player then has to find
+ * the golden bean or every bean.
+ *
+ * With `numCheckpoints`, the shuffling stops that many times during a round
+ * and only carries on, faster, once the player has picked the right can.
+ *
+ * With `numDistractions`, that many shuffles of each round show one of the
+ * `distractions` while they play out.
+ *
+ * With a `cheatChance`, a right pick is sometimes cheated: the reveal is
+ * delayed while the picked can is quickly swapped with a wrong one, which is
+ * revealed in its place. The player passes if they call it out (see
+ * `catchCheat()`).
+ *
+ * @param settings {Object} Dictionary of `numCans`, `numRounds`,
+ *                          `numShuffles`, `shuffleSpeed` and, optionally,
+ *                          `paths`, `numBeans`, `numDecoys`, `goal`,
+ *                          `numCheckpoints`, `layout`, `distractions`,
+ *                          `numDistractions` and `cheatChance`.
+ * @param random   {Random} Random number generator used for placing the
+ *                          contents and shuffling.
+ *
+ * @returns {ShellgameModel}
+ */
+const ShellgameModel = (settings, random) => {
+    // Milliseconds taken to lift or lower a can when revealing it.
+    const REVEAL_MS = 500;
+
+    // Milliseconds per unit of `shuffleSpeed`.
+    const SHUFFLE_SPEED_MS = 10;
+
+    // Most cans that fit in a single row.
+    const MAX_ROW_CANS = 5;
+
+    // Size of a grid cell relative to the size of a can.
+    const GRID_SPACING = 1.5;
+
+    // Duration of the shuffles after each checkpoint, relative to the
+    // shuffles before it.
+    const CHECKPOINT_SPEEDUP = 0.8;
+
+    // Milliseconds the reveal is delayed by before a cheat, and taken by the
+    // swap itself.
+    const CHEAT_DELAY_MS = 300;
+    const CHEAT_SWAP_MS = 150;
+
+    const numCans = settings.numCans;
+    let numRounds = settings.numRounds;
+    let numShuffles = settings.numShuffles;
+    let shuffleSpeed = settings.shuffleSpeed;
+    let paths = settings.paths || [ShufflePath.ARC];
+    let distractions = settings.distractions || Object.values(Distraction);
+    let numDistractions = Math.max(0, settings.numDistractions || 0);
+    let cheatChance = Math.max(0, Math.min(1, settings.cheatChance || 0));
+    const layoutMode = settings.layout || ((numCans > MAX_ROW_CANS) ? ShellgameLayout.GRID : ShellgameLayout.ROW);
+
+    // At least one can holds beans, and at most every can holds something.
+    const numBeans = Math.max(1, Math.min(numCans, settings.numBeans || 1));
+    const numDecoys = Math.max(0, Math.min(numCans - numBeans, settings.numDecoys || 0));
+    const goal = settings.goal || ShellgameGoal.BEAN;
+    const numCheckpoints = Math.max(0, settings.numCheckpoints || 0);
+
+    // Contents the player has to find; with several beans, only the golden
+    // one counts unless every bean has to be found.
+    const target = ((goal == ShellgameGoal.BEAN) && (numBeans > 1)) ? CanContents.GOLDEN_BEAN : CanContents.BEAN;
+
+    // Contents of the cans, before being placed under random cans.
+    const contents = Array.from({ length: numCans }, (_, idx) => {
+        if (idx < numBeans) {
+            return ((idx == 0) ? target : CanContents.BEAN);
+        } else if (idx < (numBeans + numDecoys)) {
+            return CanContents.DECOY;
+        }
+        return CanContents.EMPTY;
+    });
+
+    const cans = contents.map((c) => {
+        return CanState(c);
+    });
+
+    // Sizes of the container and the cans.
+    let layout = {
+        "width": 0,
+        "height": 0,
+        "offsetTop": 0,
+        "canWidth": 0,
+        "canHeight": 0
+    };
+
+    // Scale of the cans, to fit them into the grid.
+    let scale = 1;
+
+    // Current round.
+    let round = 0;
+
+    // Captcha successfully solved.
+    let done = false;
+
+    // Captcha failed.
+    let failed = false;
+
+    // Indicates if a round is starting.
+    let started = false;
+
+    // Can currently being revealed.
+    let revealing = null;
+
+    // Indices of the cans picked in the current round.
+    let picked = [];
+
+    // Number of targets found in the current round.
+    let found = 0;
+
+    // Number of checkpoints passed in the current round.
+    let checkpoint = 0;
+
+    // Index of the can the player picked before it was swapped by a cheat,
+    // until the cheat is caught or the attempt fails.
+    let cheated = null;
+
+    // Queue of animations, each a dictionary of the `paths` of the cans (or
+    // `null` for a can that stays put), whether the `entire` can moves or
+    // just the can without its contents, the `duration` (in milliseconds)
+    // and `easing` of the animation and, optionally, the `distraction` shown
+    // during it.
+    let animations = [];
+
+    // Milliseconds into the first animation.
+    let animationTime = 0;
+
+    // Position of each can once the queued animations have finished.
+    let positions = [];
+
+    /**
+     * @brief Sets the sizes used to position the cans.
+     *
+     * @param newLayout {Object} Dictionary of the container's `width`,
+     *                           `height` and `offsetTop`, and the `canWidth`
+     *                           and `canHeight`.
+     */
+    const setLayout = (newLayout) => {
+        layout = newLayout;
+    };
+
+    /**
+     * @brief Starts the next round.
+     */
+    const startRound = () => {
+        round += 1;
+        started = true;
+
+        // Put the cans picked in the previous round back down; the overlay
+        // covers the cans between rounds, so they are not seen moving.
+        picked.forEach((idx) => {
+            const pos = cans[idx].getOrigPos();
+            cans[idx].move(pos.x, pos.y, true);
+        });
+        picked = [];
+        found = 0;
+        checkpoint = 0;
+        cheated = null;
+
+        placeContents();
+        generateReveal(null, true, true);
+        generateAnimations();
+    };
+
+    /**
+     * @brief Places the contents under random cans.
+     */
+    const placeContents = () => {
+        random.shuffle(contents).forEach((c, idx) => {
+            cans[idx].setContents(c);
+        });
+    };
+
+    /**
+     * @brief Generates the reveal animation.
+     *
+     * @param canIdx {Integer} Optional index, or list of indices, of the cans
+     *                         to reveal (defaults to the cans with contents).
+     * @param show   {Boolean} Boolean indicating if the can should be shown.
+     * @param hide   {Boolean} Boolean indicating if the can should be hidden.
+     */
+    const generateReveal = (canIdx, show, hide) => {
+        const animate = cans.map((can, idx) => {
+            if ((canIdx === undefined) || (canIdx === null)) {
+                return !can.is(CanContents.EMPTY);
+            } else if (Array.isArray(canIdx)) {
+                return canIdx.includes(idx);
+            }
+            return (canIdx == idx);
+        });
+
+        // Resting and lifted position of each can to animate. A can being
+        // shown is lifted from where it rests once the queued animations
+        // have finished, and a can being hidden is lowered back to where it
+        // was lifted from.
+        const lifts = cans.map((can, idx) => {
+            if (!animate[idx]) {
+                return null;
+            }
+
+            const pos = !show ? can.getOrigPos() : positions[idx];
+            // Lift the can by at least its own height, even in the top row of
+            // a grid.
+            const canHeight = layout.canHeight * scale;
+            const top = Math.max(canHeight, Math.min(pos.y - layout.offsetTop - (canHeight / 2), canHeight * 1.5));
+            return { "down": pos, "up": new Point(pos.x, pos.y - top) };
+        });
+
+        // Only the cans are lifted; their contents stay on the table.
+        if (show) {
+            animations.push({
+                "paths": lifts.map((lift) => lift && new Path(lift.down, lift.up)),
+                "entire": false,
+                "duration": REVEAL_MS,
+                "easing": Easing.EASE_OUT
+            });
+        }
+
+        if (hide) {
+            animations.push({
+                "paths": lifts.map((lift) => lift && new Path(lift.up, lift.down)),
+                "entire": false,
+                "duration": REVEAL_MS,
+                "easing": Easing.EASE_IN
+            });
+        }
+
+        // Keep track of the position prior to the animation. Cans left lifted
+        // by an earlier pick keep the position they were lifted from.
+        cans.forEach((can, idx) => {
+            if (lifts[idx]) {
+                can.saveOrigPos(lifts[idx].down);
+            }
+        });
+
+        // Only a can being picked is checked once it has been revealed.
+        revealing = (show && !hide) ? canIdx : null;
+    };
+
+    /**
+     * @brief Generates the shuffle animations up to the next checkpoint.
+     *
+     * @details Without checkpoints, this is every shuffle of the round.
+     */
+    const generateAnimations = () => {
+        // Get the resting position of each can.
+        let prevPositions = positions;
+
+        // Shuffles are split evenly between the checkpoints, and get faster
+        // after each one.
+        const numRoundShuffles = Math.ceil((numShuffles * (round + 1)) / (numCheckpoints + 1));
+        const duration = shuffleSpeed * SHUFFLE_SPEED_MS / (round + 1) * Math.pow(CHECKPOINT_SPEEDUP, checkpoint);
+
+        // Generate all paths.
+        for (let j = 0; j < numRoundShuffles; j++) {
+            // Generate the new positions to move to. We keep track of the
+            // previous and new positions in order to ensure we move each can
+            // from its current position to the new one.
+            const newPositions = random.shuffle(prevPositions);
+
+            // Pick the shape of the paths for this shuffle. With a single
+            // shape, no random number is used, so seeds shuffle the same way
+            // as before there were other shapes.
+            const type = (paths.length > 1) ? random.pick(paths) : paths[0];
+
+            // A fake out swaps two of the cans for real while the others turn
+            // back, so the shuffle still moves the cans.
+            const swapped = (type == ShufflePath.FAKE_OUT) ?
+                random.shuffle(cans.map((can, idx) => idx)).slice(0, 2) : [];
+
+            let arcs = [];
+            cans.forEach((can, idx) => {
+                // Randomize whether the arc is above or below the X axis.
+                const trajectory = (random.next() < 0.5 ? true : false);
+                if (swapped.includes(idx)) {
+                    const other = swapped[1 - swapped.indexOf(idx)];
+                    arcs.push(createPath(ShufflePath.ARC, prevPositions[idx], prevPositions[other], trajectory, random));
+                } else {
+                    arcs.push(createPath(type, prevPositions[idx], newPositions[idx], trajectory, random));
+                }
+            });
+
+            // Add the generated paths to the animation list.
+            animations.push({
+                "paths": arcs,
+                "entire": true,
+                "duration": duration,
+                "easing": Easing.EASE_IN_OUT
+            });
+
+            // Update our previous positions. After a fake out, only the two
+            // swapped cans have moved.
+            if (type == ShufflePath.FAKE_OUT) {
+                const swappedPositions = prevPositions.slice();
+                swappedPositions[swapped[0]] = prevPositions[swapped[1]];
+                swappedPositions[swapped[1]] = prevPositions[swapped[0]];
+                prevPositions = swappedPositions;
+            } else {
+                prevPositions = newPositions;
+            }
+        }
+
+        positions = prevPositions;
+        generateDistractions(animations.slice(-numRoundShuffles));
+    };
+
+    /**
+     * @brief Adds distractions to random shuffles.
+     *
+     * @details Like the shuffles, the distractions of a round are split
+     * evenly between the checkpoints. Without distractions, no random number
+     * is used, so seeds shuffle the same way as before there were any.
+     *
+     * @param shuffles {Array} Shuffle animations to add the distractions to.
+     */
+    const generateDistractions = (shuffles) => {
+        if ((numDistractions == 0) || (distractions.length == 0)) {
+            return;
+        }
+
+        const count = Math.min(shuffles.length, Math.ceil(numDistractions / (numCheckpoints + 1)));
+        random.shuffle(shuffles).slice(0, count).forEach((animation) => {
+            animation.distraction = (distractions.length > 1) ? random.pick(distractions) : distractions[0];
+        });
+    };
+
+    /**
+     * @brief Resets the game to the initial state.
+     */
+    const reset = () => {
+        round = 0;
+        done = false;
+        failed = false;
+        started = false;
+        animations = [];
+        animationTime = 0;
+        picked = [];
+        found = 0;
+        checkpoint = 0;
+        cheated = null;
+
+        // Place each can in their starting positions.
+        scale = 1;
+        positions = (layoutMode == ShellgameLayout.GRID) ? getGridPositions() : getRowPositions();
+        cans.forEach((can, idx) => {
+            can.move(positions[idx].x, positions[idx].y, true);
+        });
+    };
+
+    /**
+     * @brief Returns the starting positions of the cans in a single row.
+     *
+     * @return {Array} List of `Point`.
+     */
+    const getRowPositions = () => {
+        let xOffset = layout.width;
+        xOffset -= (layout.canWidth * cans.length);
+        xOffset /= (cans.length + 1);
+
+        let xPos = xOffset;
+        const yPos = layout.height / 2;
+        return cans.map(() => {
+            const pos = new Point(xPos, yPos);
+            xPos += (xOffset + layout.canWidth);
+            return pos;
+        });
+    };
+
+    /**
+     * @brief Returns the starting positions of the cans in a grid.
+     *
+     * @details The grid is as close to square as possible, with any cans
+     * left over centred in the last row. The scale of the cans is lowered
+     * until they fit into a cell.
+     *
+     * @return {Array} List of `Point`.
+     */
+    const getGridPositions = () => {
+        const columns = Math.ceil(Math.sqrt(numCans));
+        const rows = Math.ceil(numCans / columns);
+        const cellWidth = layout.width / columns;
+        const cellHeight = layout.height / rows;
+
+        scale = Math.min(
+            1,
+            cellWidth / (layout.canWidth * GRID_SPACING),
+            cellHeight / (layout.canHeight * GRID_SPACING)
+        );
+
+        return cans.map((can, idx) => {
+            const row = Math.floor(idx / columns);
+            const numInRow = Math.min(columns, numCans - (row * columns));
+            const column = (idx % columns) + ((columns - numInRow) / 2);
+            return new Point(
+                (cellWidth * (column + 0.5)) - (layout.canWidth * scale / 2),
+                cellHeight * (row + 0.5)
+            );
+        });
+    };
+
+    /**
+     * @brief Reveals the selected can.
+     *
+     * @details Whether it was the winning can is checked once the reveal
+     * animation has finished (see `takeRevealed()`).
+     *
+     * @param canIdx {Integer} Index of the can to reveal.
+     */
+    const reveal = (canIdx) => {
+        if (picked.includes(canIdx)) {
+            return;
+        }
+
+        // Only a right pick is worth cheating, and only with a wrong can to
+        // swap it with.
+        const swaps = cans.map((can, idx) => idx).filter((idx) => {
+            return (idx != canIdx) && !picked.includes(idx) && !isCorrect(cans[idx]);
+        });
+        if ((cheatChance > 0) && isCorrect(cans[canIdx]) && swaps.length && (random.next() < cheatChance)) {
+            const swap = (swaps.length > 1) ? random.pick(swaps) : swaps[0];
+            generateCheat(canIdx, swap);
+            canIdx = swap;
+        }
+
+        picked.push(canIdx);
+        generateReveal(canIdx, true, false);
+    };
+
+    /**
+     * @brief Generates the animations of a cheat, swapping the picked can
+     * with another before the reveal.
+     *
+     * @param canIdx  {Integer} Index of the picked can.
+     * @param swapIdx {Integer} Index of the can to swap it with.
+     */
+    const generateCheat = (canIdx, swapIdx) => {
+        const from = positions[canIdx];
+        const to = positions[swapIdx];
+
+        // The cans sit still for a moment, as if the reveal were stuck.
+        animations.push({
+            "paths": cans.map(() => null),
+            "entire": true,
+            "duration": CHEAT_DELAY_MS,
+            "easing": Easing.LINEAR
+        });
+
+        animations.push({
+            "paths": cans.map((can, idx) => {
+                if (idx == canIdx) {
+                    return new Arc(from, to, true);
+                } else if (idx == swapIdx) {
+                    return new Arc(to, from, true);
+                }
+                return null;
+            }),
+            "entire": true,
+            "duration": CHEAT_SWAP_MS,
+            "easing": Easing.EASE_IN_OUT
+        });
+
+        positions = positions.slice();
+        positions[canIdx] = to;
+        positions[swapIdx] = from;
+        cheated = canIdx;
+    };
+
+    /**
+     * @brief Moves the cans along the current animation.
+     *
+     * @details Animations that finish within the elapsed time are completed
+     * and the time left over carries on into the next one, so the cans move
+     * at the same speed however often this is called.
+     *
+     * @param ms {Float} Milliseconds elapsed since the previous step.
+     */
+    const step = (ms) => {
+        animationTime += ms;
+
+        while (animations.length) {
+            const animation = animations[0];
+            const t = (animation.duration > 0) ? Math.min(1, animationTime / animation.duration) : 1;
+            const fraction = animation.easing(t);
+
+            cans.forEach((can, idx) => {
+                const path = animation.paths[idx];
+                if (path) {
+                    const point = (t < 1) ? path.pointAt(fraction) : path.end;
+                    can.move(point.x, point.y, animation.entire);
+                }
+            });
+
+            if (t < 1) {
+                return;
+            }
+
+            animationTime -= animation.duration;
+            animations.shift();
+        }
+
+        animationTime = 0;
+    };
+
+    /**
+     * @brief Returns the distraction shown during the current animation.
+     *
+     * @return {Object} Dictionary of the `type` of `Distraction` and the
+     * `progress` through it (from 0 to 1), or `null` if there is none.
+     */
+    const getDistraction = () => {
+        if (!animations.length || !animations[0].distraction) {
+            return null;
+        }
+
+        const animation = animations[0];
+        return {
+            "type": animation.distraction,
+            "progress": (animation.duration > 0) ? Math.min(1, animationTime / animation.duration) : 1
+        };
+    };
+
+    /**
+     * @brief Returns the can that has finished being revealed.
+     *
+     * @details Only returns the can once, after all animations have
+     * finished.
+     *
+     * @return {CanState} The revealed can, or `null`.
+     */
+    const takeRevealed = () => {
+        if (animations.length || (revealing === undefined) || (revealing === null)) {
+            return null;
+        }
+
+        const can = cans[revealing];
+        revealing = null;
+        return can;
+    };
+
+    /**
+     * @brief Returns `true` if a can holds what the player has to find.
+     *
+     * @param can {CanState} The can.
+     *
+     * @return {Boolean}
+     */
+    const isCorrect = (can) => {
+        return (goal == ShellgameGoal.ALL) ? can.containsBeans() : can.is(target);
+    };
+
+    /**
+     * @brief Checks a revealed can against the goal.
+     *
+     * @param can {CanState} The revealed can (see `takeRevealed()`).
+     *
+     * @details A checkpoint is passed like the end of the round, once every
+     * target has been found. The picked cans are then lowered again and the
+     * shuffling carries on.
+     *
+     * @return {PickResult} `ROUND` once every target of the round has been
+     * found, or `CHEATED` if the can was swapped in by a cheat.
+     */
+    const pick = (can) => {
+        if (cheated !== null) {
+            return PickResult.CHEATED;
+        } else if (!isCorrect(can)) {
+            return (can.is(CanContents.DECOY) ? PickResult.DECOY : PickResult.WRONG);
+        }
+
+        found += 1;
+        const numTargets = (goal == ShellgameGoal.ALL) ? numBeans : 1;
+        if (found < numTargets) {
+            return PickResult.FOUND;
+        }
+
+        if (checkpoint < numCheckpoints) {
+            checkpoint += 1;
+            found = 0;
+            generateReveal(picked, false, true);
+            generateAnimations();
+            picked = [];
+            return PickResult.CHECKPOINT;
+        }
+        return PickResult.ROUND;
+    };
+
+    /**
+     * @brief Calls out a cheat on the last pick.
+     *
+     * @details If the last pick was cheated, it counts as the pick the
+     * player made before the swap: that can is revealed and marked as
+     * picked, so that it cannot be picked again.
+     *
+     * @return {PickResult} Result of the pick the player made, or `WRONG` if
+     * there was no cheat.
+     */
+    const catchCheat = () => {
+        if (cheated === null) {
+            return PickResult.WRONG;
+        }
+
+        const canIdx = cheated;
+        cheated = null;
+        picked.push(canIdx);
+
+        // The can is checked here, rather than once it has been revealed.
+        generateReveal(canIdx, true, false);
+        revealing = null;
+        return pick(cans[canIdx]);
+    };
+
+    /**
+     * @brief Completes the current round.
+     *
+     * @return {Boolean} `true` if the last round was completed.
+     */
+    const completeRound = () => {
+        if (round >= numRounds) {
+            done = true;
+        } else {
+            started = false;
+        }
+        return done;
+    };
+
+    /**
+     * @brief Fails the current attempt.
+     */
+    const fail = () => {
+        failed = true;
+        started = false;
+    };
+
+    /**
+     * @brief Changes the settings of the game.
+     *
+     * @details Shuffle settings take effect from the next round onwards.
+     *
+     * @param newSettings {Object} Dictionary of the settings to change.
+     */
+    const configure = (newSettings) => {
+        if (newSettings.numRounds > 0) {
+            numRounds = Math.floor(newSettings.numRounds);
+        }
+
+        if (newSettings.numShuffles > 0) {
+            numShuffles = Math.floor(newSettings.numShuffles);
+        }
+
+        if (newSettings.shuffleSpeed > 0) {
+            shuffleSpeed = newSettings.shuffleSpeed;
+        }
+
+        if (Array.isArray(newSettings.paths)) {
+            const newPaths = newSettings.paths.filter((type) => {
+                return Object.values(ShufflePath).includes(type);
+            });
+            if (newPaths.length) {
+                paths = newPaths;
+            }
+        }
+
+        if (Array.isArray(newSettings.distractions)) {
+            const newDistractions = newSettings.distractions.filter((type) => {
+                return Object.values(Distraction).includes(type);
+            });
+            if (newDistractions.length) {
+                distractions = newDistractions;
+            }
+        }
+
+        if (newSettings.numDistractions >= 0) {
+            numDistractions = Math.floor(newSettings.numDistractions);
+        }
+
+        if ((newSettings.cheatChance >= 0) && (newSettings.cheatChance <= 1)) {
+            cheatChance = newSettings.cheatChance;
+        }
+    };
+
+    /**
+     * @brief Returns the current settings.
+     *
+     * @return {Object} Dictionary of `numCans`, `numRounds`, `numShuffles`,
+     * `shuffleSpeed`, `paths`, `numBeans`, `numDecoys`, `goal`,
+     * `numCheckpoints`, `layout`, `distractions`, `numDistractions` and
+     * `cheatChance`.
+     */
+    const getSettings = () => {
+        return {
+            "numCans": numCans,
+            "numRounds": numRounds,
+            "numShuffles": numShuffles,
+            "shuffleSpeed": shuffleSpeed,
+            "paths": paths.slice(),
+            "numBeans": numBeans,
+            "numDecoys": numDecoys,
+            "goal": goal,
+            "numCheckpoints": numCheckpoints,
+            "layout": layoutMode,
+            "distractions": distractions.slice(),
+            "numDistractions": numDistractions,
+            "cheatChance": cheatChance
+        };
+    };
+
+    /**
+     * @brief Returns the cans.
+     *
+     * @return {Array} List of `CanState`.
+     */
+    const getCans = () => {
+        return cans;
+    };
+
+    /**
+     * @brief Returns the contents the player has to find.
+     *
+     * @return {CanContents} The contents, or `null` if every can of beans has
+     * to be found.
+     */
+    const getTarget = () => {
+        return ((goal == ShellgameGoal.ALL) ? null : target);
+    };
+
+    /**
+     * @brief Returns the scale of the cans.
+     *
+     * @return {Float}
+     */
+    const getScale = () => {
+        return scale;
+    };
+
+    /**
+     * @brief Returns the current round.
+     *
+     * @return {Integer}
+     */
+    const getRound = () => {
+        return round;
+    };
+
+    /**
+     * @brief Returns `true` if there are animation frames left to show.
+     *
+     * @return {Boolean}
+     */
+    const isAnimating = () => {
+        return (animations.length > 0);
+    };
+
+    /**
+     * @brief Returns `true` if the captcha has been solved.
+     *
+     * @return {Boolean}
+     */
+    const isDone = () => {
+        return done;
+    };
+
+    /**
+     * @brief Returns `true` if the current attempt has failed.
+     *
+     * @return {Boolean}
+     */
+    const isFailed = () => {
+        return failed;
+    };
+
+    /**
+     * @brief Returns `true` if a round is in progress.
+     *
+     * @return {Boolean}
+     */
+    const isStarted = () => {
+        return started;
+    };
+
+    return (() => {
+        const self = {};
+        self.setLayout = setLayout;
+        self.startRound = startRound;
+        self.reset = reset;
+        self.reveal = reveal;
+        self.step = step;
+        self.getDistraction = getDistraction;
+        self.takeRevealed = takeRevealed;
+        self.pick = pick;
+        self.catchCheat = catchCheat;
+        self.completeRound = completeRound;
+        self.fail = fail;
+        self.configure = configure;
+        self.getSettings = getSettings;
+        self.getCans = getCans;
+        self.getTarget = getTarget;
+        self.getScale = getScale;
+        self.getRound = getRound;
+        self.isAnimating = isAnimating;
+        self.isDone = isDone;
+        self.isFailed = isFailed;
+        self.isStarted = isStarted;
+        return self;
+    })();
+};
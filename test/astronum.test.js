@@ -0,0 +1,205 @@
+const assert = require("node:assert");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const { loadCaptcha, loadModel, getMessages, mouse } = require("./harness");
+
+const SIZES = {
+    "#captcha": { "width": 380, "height": 300 },
+    "#captcha-title": { "width": 380, "height": 30 },
+    ".captcha-app": { "width": 380, "height": 263 }
+};
+
+
+/**
+ * @brief Returns the visible asteroids.
+ *
+ * @param captcha {Object} The loaded captcha.
+ *
+ * @return {Array} List of `{ state, value }` dictionaries.
+ */
+const getAsteroids = (captcha) => {
+    return captcha.app.model.getNumbers().filter((n) => n.visible()).map((n) => {
+        return { "state": n, "value": n.getValue() };
+    });
+};
+
+
+/**
+ * @brief Returns the asteroids `[a, b, c]` for which `a + b = c`.
+ *
+ * @param asteroids {Array} Asteroids returned by `getAsteroids()`.
+ *
+ * @return {Array}
+ */
+const getSolution = (asteroids) => {
+    for (const a of asteroids) {
+        for (const b of asteroids) {
+            const c = asteroids.find((n) => (n !== a) && (n !== b) && (n.value == a.value + b.value));
+            if ((a !== b) && c) {
+                return [a, b, c];
+            }
+        }
+    }
+    assert.fail("equation has no solution");
+};
+
+
+/**
+ * @brief Moves an asteroid onto the ship and runs the event loop until they
+ * collide.
+ *
+ * @param captcha  {Object} The loaded captcha.
+ * @param asteroid {Object} Asteroid returned by `getAsteroids()`.
+ */
+const collide = (captcha, asteroid) => {
+    const center = captcha.app.model.getShip().getCenter();
+    const size = asteroid.state.getSize();
+    asteroid.state.moveTo(center.x - (size / 2), center.y - (size / 2));
+    captcha.clock.tick(20);
+};
+
+
+/**
+ * @brief Clicks the captcha to start it, and waits for the event loop to
+ * resume.
+ *
+ * @param captcha {Object} The loaded captcha.
+ */
+const start = (captcha) => {
+    mouse(captcha.window, captcha.document, "mousedown", 190, 20);
+    mouse(captcha.window, captcha.document, "mouseup", 190, 20);
+    captcha.clock.tick(200);
+};
+
+
+describe("AstronumModel", () => {
+    const scope = loadModel("astronum");
+    const SIZE = { "width": 380, "height": 263 };
+
+    it("generates numbers with exactly one solution", () => {
+        const model = scope("AstronumModel")({ "numNumbers": 6, "maxSum": 100 }, SIZE, scope("Random")("test"));
+        const values = model.getNumbers().map((n) => n.getValue());
+        assert.strictEqual(values.length, 6);
+
+        let count = 0;
+        for (let i = 0; i < values.length; i++) {
+            for (let j = i + 1; j < values.length; j++) {
+                count += values.filter((c, k) => (k != i) && (k != j) && (c == values[i] + values[j])).length;
+            }
+        }
+        assert.strictEqual(count, 1);
+    });
+
+    it("adds a number hitting the ship to the equation", () => {
+        const model = scope("AstronumModel")({ "numNumbers": 6, "maxSum": 100 }, SIZE, scope("Random")("test"));
+        model.resume();
+
+        const n = model.getNumbers()[0];
+        const center = model.getShip().getCenter();
+        n.moveTo(center.x, center.y);
+        model.step();
+
+        assert.ok(!model.getNumbers().includes(n));
+        assert.deepStrictEqual(Array.from(model.getEquation().getInputs()), [n.getValue()]);
+    });
+});
+
+
+describe("astronum", () => {
+    let captcha = null;
+
+    beforeEach(async () => {
+        captcha = await loadCaptcha("astronum", { "search": "?seed=test", "sizes": SIZES });
+    });
+
+    afterEach(() => {
+        captcha.close();
+        assert.deepStrictEqual(captcha.errors.map((err) => err.message), []);
+    });
+
+    describe("CaptchaEquation", () => {
+        let eq = null;
+
+        beforeEach(() => {
+            eq = captcha.window.eval("CaptchaEquation")(captcha.document.getElementById("captcha-title"));
+            eq.reset();
+        });
+
+        it("is neither solved nor failed until the sum is entered", () => {
+            assert.strictEqual(eq.solved(), false);
+            assert.strictEqual(eq.failed(), false);
+
+            eq.addInput(2);
+            eq.addInput(3);
+            assert.strictEqual(eq.solved(), false);
+            assert.strictEqual(eq.failed(), false);
+        });
+
+        it("is solved when the operands add up to the sum", () => {
+            eq.addInput(2);
+            eq.addInput(3);
+            eq.addInput(5);
+            assert.strictEqual(eq.solved(), true);
+            assert.strictEqual(eq.failed(), false);
+        });
+
+        it("is failed when the operands do not add up to the sum", () => {
+            eq.addInput(2);
+            eq.addInput(3);
+            eq.addInput(6);
+            assert.strictEqual(eq.solved(), false);
+            assert.strictEqual(eq.failed(), true);
+        });
+
+        it("ignores inputs once full and clears them on reset", () => {
+            const inputs = captcha.document.querySelectorAll("#captcha-title input");
+            [2, 3, 5, 7].forEach((value) => eq.addInput(value));
+            assert.deepStrictEqual(Array.from(inputs).map((input) => input.value), ["2", "3", "5"]);
+
+            eq.reset();
+            assert.deepStrictEqual(Array.from(inputs).map((input) => input.value), ["", "", ""]);
+            assert.strictEqual(eq.solved(), false);
+        });
+    });
+
+    it("succeeds when the ship hits the solution", () => {
+        start(captcha);
+
+        getSolution(getAsteroids(captcha)).forEach((asteroid) => {
+            collide(captcha, asteroid);
+        });
+
+        assert.strictEqual(getMessages(captcha.messages, "started").length, 1);
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 1);
+        assert.ok(captcha.messages.includes("success"));
+    });
+
+    it("fails when the ship hits the wrong sum", () => {
+        start(captcha);
+
+        const asteroids = getAsteroids(captcha);
+        const [a, b] = getSolution(asteroids);
+        const wrong = asteroids.find((n) => (n !== a) && (n !== b) && (n.value != a.value + b.value));
+        [a, b, wrong].forEach((asteroid) => {
+            collide(captcha, asteroid);
+        });
+
+        const failed = getMessages(captcha.messages, "failed");
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].payload.reason, "wrong sum");
+        assert.ok(!captcha.messages.includes("success"));
+    });
+
+    it("uses the asteroid count and maximum sum of the difficulty preset", async () => {
+        captcha.close();
+        captcha = await loadCaptcha("astronum", { "search": "?seed=test&difficulty=easy", "sizes": SIZES });
+        assert.deepStrictEqual(Object.assign({}, captcha.app.model.getSettings()), { "numNumbers": 4, "maxSum": 50 });
+        assert.strictEqual(captcha.app.model.getNumbers().length, 4);
+    });
+
+    it("ignores an invalid asteroid count", async () => {
+        captcha.close();
+        captcha = await loadCaptcha("astronum", { "search": "?seed=test&difficulty=easy&asteroidCount=abc", "sizes": SIZES });
+        assert.strictEqual(captcha.app.model.getSettings().numNumbers, 4);
+        assert.match(captcha.warnings[0], /asteroidCount=abc/);
+    });
+});
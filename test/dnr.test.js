@@ -0,0 +1,552 @@
+const assert = require("node:assert");
+const { describe, it, afterEach } = require("node:test");
+const { loadCaptcha, loadModel, getMessages, mouse, MemoryStorage } = require("./harness");
+
+// Maximum time to wait for a gift card of a given type.
+const MAX_WAIT_MS = 30000;
+
+
+/**
+ * @brief Runs the captcha until a gift card of the given type is shown.
+ *
+ * @param captcha    {Object}  The loaded captcha.
+ * @param googlePlay {Boolean} `true` to wait for a Google Play gift card,
+ *                             `false` to wait for a Target gift card.
+ */
+const waitForCard = (captcha, googlePlay) => {
+    const document = captcha.document;
+    const button = document.getElementById("captcha-redeem");
+    const className = googlePlay ? "captcha-redeem" : "captcha-do-not-redeem";
+
+    for (let elapsed = 0; elapsed < MAX_WAIT_MS; elapsed += 10) {
+        captcha.clock.tick(10);
+
+        const cards = document.querySelectorAll(".captcha-gift-card:not(#captcha-gift-card)");
+        const card = cards[cards.length - 1];
+        if (card && button.classList.contains(className) &&
+            (!!card.querySelector(".captcha-gp") == googlePlay)) {
+            return;
+        }
+    }
+    assert.fail("gift card was never shown");
+};
+
+
+/**
+ * @brief Returns the gift card most recently shown.
+ *
+ * @param captcha {Object} The loaded captcha.
+ *
+ * @return {Element}
+ */
+const getLastCard = (captcha) => {
+    const cards = captcha.document.querySelectorAll(".captcha-gift-card:not(#captcha-gift-card)");
+    return cards[cards.length - 1];
+};
+
+
+/**
+ * @brief Drags a gift card with the mouse.
+ *
+ * @param captcha {Object}  The loaded captcha.
+ * @param card    {Element} The gift card.
+ * @param dx      {Integer} Horizontal distance to drag, in pixels.
+ * @param dy      {Integer} Vertical distance to drag, in pixels.
+ * @param holdMs  {Integer} Milliseconds to hold still before releasing.
+ */
+const drag = (captcha, card, dx, dy, holdMs) => {
+    mouse(captcha.window, card, "mousedown", 100, 100);
+    for (let i = 1; i <= 4; i++) {
+        captcha.clock.tick(16);
+        mouse(captcha.window, card, "mousemove", 100 + ((dx * i) / 4), 100 + ((dy * i) / 4));
+    }
+    captcha.clock.tick(holdMs);
+    mouse(captcha.window, card, "mouseup", 100 + dx, 100 + dy);
+};
+
+
+/**
+ * @brief Starts the captcha and lets the timer expire, twice.
+ *
+ * @param captcha {Object} The loaded captcha, opened with `timer=5`.
+ */
+const failTwice = (captcha) => {
+    const overlay = captcha.document.getElementById("captcha-overlay");
+
+    for (let i = 0; i < 2; i++) {
+        if (i > 0) {
+            // The first click after a failure only shows the prompt.
+            mouse(captcha.window, overlay, "mouseup");
+        }
+        mouse(captcha.window, overlay, "mouseup");
+        captcha.clock.tick(5000);
+    }
+};
+
+
+describe("DnrModel", () => {
+    const scope = loadModel("dnr", ["catalogue.js"]);
+
+    /**
+     * @brief Creates a started model.
+     *
+     * @param settings {Object} Settings overriding the defaults.
+     *
+     * @return {DnrModel}
+     */
+    const createModel = (settings) => {
+        const model = scope("DnrModel")(Object.assign({
+            "targetValue": 100,
+            "timerSeconds": 3,
+            "maxDuration": 1,
+            "minDuration": 0.5,
+            "expire": false
+        }, settings), scope("Random")("test"));
+        model.start();
+        return model;
+    };
+
+    it("only accepts Google Play gift cards", () => {
+        const model = createModel({});
+        for (let i = 0; i < 20; i++) {
+            const card = model.nextGiftCard();
+            assert.strictEqual(model.isValid(card), card.isRedeemable());
+            assert.strictEqual(card.isRedeemable(), card.getDefinition().type == "google-play");
+            assert.match(card.getId(), /^\d{4}-\d{4}-\d{4}-\d{4}$/);
+            assert.ok(card.getDefinition().values.includes(card.getValue()));
+        }
+    });
+
+    it("draws gift cards from the catalogue by weight", () => {
+        const model = createModel({});
+        const catalogue = Array.from(scope("GIFT_CARD_CATALOGUE"));
+        const counts = {};
+        for (let i = 0; i < 1000; i++) {
+            const type = model.nextGiftCard().getType();
+            counts[type] = (counts[type] || 0) + 1;
+        }
+
+        assert.deepStrictEqual(Object.keys(counts).sort(), catalogue.map((definition) => definition.type).sort());
+        assert.ok(counts["google-play"] > counts["target"]);
+        assert.ok(counts["target"] > counts["coffee-club"]);
+    });
+
+    it("changes the rule every round", () => {
+        const model = createModel({ "numRounds": 3 });
+        const RedeemRule = scope("RedeemRule");
+        assert.strictEqual(model.getRule().id, RedeemRule.GOOGLE_PLAY);
+
+        let previous = model.getRule();
+        for (let round = 2; round <= 3; round++) {
+            assert.strictEqual(model.completeRound(), false);
+            assert.strictEqual(model.getRound(), round);
+            assert.notStrictEqual(model.getRule().id, previous.id);
+            previous = model.getRule();
+        }
+        assert.strictEqual(model.completeRound(), true);
+
+        model.start();
+        assert.strictEqual(model.getRound(), 1);
+        assert.strictEqual(model.getRule().id, RedeemRule.GOOGLE_PLAY);
+    });
+
+    it("checks gift cards against the rule of the round", () => {
+        const model = createModel({ "numRounds": 2, "rules": ["worth-25"] });
+        model.completeRound();
+        model.startRound();
+
+        assert.strictEqual(model.getRule().id, "worth-25");
+        for (let i = 0; i < 20; i++) {
+            const card = model.nextGiftCard();
+            assert.strictEqual(model.isValid(card), (card.getValue() == 25));
+        }
+    });
+
+    it("halves the target of a worth-25 round so that a normal round can be won", () => {
+        /**
+         * @brief Plays rounds of the normal difficulty, where a player passes
+         * over or redeems a gift card every 1.25 seconds, so sees 16 gift
+         * cards before the 20 second timer expires.
+         *
+         * @param rules {Array} Rules the second round picks from.
+         *
+         * @return {Integer} Number of rounds won out of 100.
+         */
+        const playRounds = (rules) => {
+            const model = createModel({ "targetValue": 200, "timerSeconds": 20, "numRounds": 2, "rules": rules });
+            model.completeRound();
+
+            let won = 0;
+            for (let i = 0; i < 100; i++) {
+                model.startRound();
+                let solved = false;
+                for (let shown = 0; (shown < 16) && !solved; shown++) {
+                    const card = model.nextGiftCard();
+                    if (model.isValid(card)) {
+                        solved = model.redeem(card.getValue());
+                    }
+                }
+                won += solved ? 1 : 0;
+            }
+            return won;
+        };
+
+        const model = createModel({ "targetValue": 200, "numRounds": 2, "rules": ["worth-25"] });
+        assert.strictEqual(model.getTargetValue(), 200);
+        model.completeRound();
+        assert.strictEqual(model.getTargetValue(), 100);
+
+        const googlePlay = playRounds(["google-play"]);
+        assert.ok(googlePlay > 0);
+        assert.ok(playRounds(["worth-25"]) >= googlePlay);
+    });
+
+    it("draws counterfeit gift cards that are never valid", () => {
+        const model = createModel({ "counterfeitChance": 1 });
+        const Counterfeit = scope("Counterfeit");
+        for (let i = 0; i < 50; i++) {
+            const card = model.nextGiftCard();
+            const counterfeit = card.getCounterfeit();
+            assert.strictEqual(counterfeit !== null, card.isRedeemable());
+            assert.strictEqual(model.isValid(card), false);
+            assert.strictEqual(model.looksValid(card), card.isRedeemable());
+            assert.strictEqual(/^\d{4}-\d{4}-\d{4}-\d{4}$/.test(card.getId()), counterfeit != Counterfeit.CODE);
+            assert.strictEqual(card.getLabel() == "Redeem Code", counterfeit != Counterfeit.LABEL);
+        }
+    });
+
+    it("moves several gift cards across the conveyor, keeping them apart", () => {
+        const model = createModel({ "conveyor": true, "numCards": 3 });
+        const spacing = scope("CONVEYOR_SPACING");
+        let most = 0;
+        let crossed = 0;
+
+        for (let i = 0; i < 1000; i++) {
+            crossed += model.stepConveyor(16).length;
+            const items = Array.from(model.getConveyor());
+            most = Math.max(most, items.length);
+            items.forEach((item) => {
+                items.forEach((other) => {
+                    if ((item !== other) && (item.laneY == other.laneY)) {
+                        assert.ok(Math.abs(item.progress - other.progress) >= (spacing - 1e-9));
+                    }
+                });
+            });
+        }
+
+        assert.strictEqual(most, 3);
+        assert.ok(crossed > 0);
+        assert.strictEqual(model.getGiftCard(), null);
+    });
+
+    it("switches gift cards between lanes on the conveyor", () => {
+        const model = createModel({ "conveyor": true, "overlap": true, "laneSwitchChance": 1 });
+        let switching = 0;
+        for (let i = 0; i < 500; i++) {
+            model.stepConveyor(16);
+            switching += model.getConveyor().filter((item) => !Number.isInteger(item.laneY)).length;
+        }
+        assert.ok(switching > 0);
+    });
+
+    it("shortens the gift card duration towards the target", () => {
+        const model = createModel({});
+        assert.strictEqual(model.getGiftCardDuration(), 1000);
+        model.redeem(25);
+        assert.strictEqual(model.getGiftCardDuration(), 750);
+        model.redeem(50);
+        assert.strictEqual(model.getGiftCardDuration(), 500);
+    });
+
+    it("is solved on reaching the target unless the timer must expire", () => {
+        assert.strictEqual(createModel({}).redeem(100), true);
+        assert.strictEqual(createModel({ "expire": true }).redeem(100), false);
+    });
+
+    it("expires once the timer counts down", () => {
+        const model = createModel({});
+        assert.strictEqual(model.tick(), false);
+        assert.strictEqual(model.tick(), false);
+        assert.strictEqual(model.tick(), true);
+    });
+});
+
+
+describe("dnr", () => {
+    let captcha = null;
+
+    afterEach(() => {
+        captcha.close();
+        assert.deepStrictEqual(captcha.errors.map((err) => err.message), []);
+    });
+
+    it("fails with the card when a Target gift card is redeemed", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test" });
+        const document = captcha.document;
+
+        mouse(captcha.window, document.getElementById("captcha-overlay"), "mouseup");
+        waitForCard(captcha, false);
+        mouse(captcha.window, document.getElementById("captcha-redeem"), "mouseup");
+
+        const failed = getMessages(captcha.messages, "failed");
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].payload.reason, "redeemed invalid card");
+        assert.strictEqual(document.querySelector("#captcha-overlay h2").innerText, "Do Not Redeem");
+        assert.match(document.querySelector("#captcha-overlay img").src, /steve\.png/);
+        assert.strictEqual(document.querySelectorAll(".captcha-gift-card:not(#captcha-gift-card)").length, 0);
+    });
+
+    it("renders gift cards from their catalogue definitions", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&timer=60" });
+        const document = captcha.document;
+        mouse(captcha.window, document.getElementById("captcha-overlay"), "mouseup");
+
+        let wordmark = null;
+        for (let elapsed = 0; !wordmark && (elapsed < MAX_WAIT_MS); elapsed += 10) {
+            captcha.clock.tick(10);
+            wordmark = document.querySelector(".captcha-gift-card:not(#captcha-gift-card) .captcha-gift-card-wordmark");
+        }
+        assert.ok(wordmark, "no gift card with a word mark was shown");
+
+        const card = wordmark.closest(".captcha-gift-card");
+        const definition = Array.from(captcha.window.eval("GIFT_CARD_CATALOGUE")).find((other) => {
+            return card.classList.contains(`captcha-gift-card-${other.type}`);
+        });
+        assert.strictEqual(wordmark.innerText, definition.artwork.text);
+        assert.strictEqual(card.getAttribute("aria-label"), `${definition.name} gift card`);
+
+        // The button changes once the gift card has slid into view.
+        captcha.clock.tick(400);
+        assert.ok(document.getElementById("captcha-redeem").classList.contains("captcha-do-not-redeem"));
+    });
+
+    it("announces a new rule after each round", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&amount=10&numRounds=2&rules=even-code" });
+        const document = captcha.document;
+        const overlay = document.getElementById("captcha-overlay");
+        const button = document.getElementById("captcha-redeem");
+
+        mouse(captcha.window, overlay, "mouseup");
+        assert.strictEqual(document.getElementById("captcha-rule").innerText, "Only redeem Google Play gift cards.");
+        waitForCard(captcha, true);
+        mouse(captcha.window, button, "mouseup");
+        captcha.clock.tick(2000);
+
+        const roundComplete = getMessages(captcha.messages, "round-complete");
+        assert.strictEqual(roundComplete.length, 1);
+        assert.strictEqual(roundComplete[0].payload.round, 1);
+        assert.strictEqual(roundComplete[0].payload.rule, "google-play");
+        assert.strictEqual(document.querySelector("#captcha-overlay h2").innerText, "Round Complete");
+
+        const rule = "Only redeem gift cards whose code ends in an even digit.";
+        assert.strictEqual(document.querySelector("#captcha-overlay span").innerText,
+                           `Round 2 of 2: ${rule} Redeem at least $10.\nClick anywhere to continue.`);
+        mouse(captcha.window, overlay, "mouseup");
+        assert.strictEqual(document.getElementById("captcha-rule").innerText, rule);
+
+        let card = null;
+        for (let elapsed = 0; !card && (elapsed < MAX_WAIT_MS); elapsed += 10) {
+            captcha.clock.tick(10);
+            const cards = document.querySelectorAll(".captcha-gift-card:not(#captcha-gift-card)");
+            const last = cards[cards.length - 1];
+            if (last && button.classList.contains("captcha-redeem") &&
+                /[02468]$/.test(last.querySelector(".captcha-gift-card-code").innerText)) {
+                card = last;
+            }
+        }
+        assert.ok(card, "no gift card with an even code was shown");
+        mouse(captcha.window, button, "mouseup");
+        captcha.clock.tick(2000);
+
+        assert.strictEqual(getMessages(captcha.messages, "failed").length, 0);
+        const success = getMessages(captcha.messages, "success");
+        assert.strictEqual(success.length, 1);
+        assert.strictEqual(success[0].payload.round, 2);
+    });
+
+    it("fails with a counterfeit gift card that looks redeemable", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&counterfeitChance=1&counterfeits=label" });
+        const document = captcha.document;
+
+        mouse(captcha.window, document.getElementById("captcha-overlay"), "mouseup");
+        waitForCard(captcha, true);
+
+        const label = document.querySelector(".captcha-gift-card:not(#captcha-gift-card) .captcha-gift-card-code-label");
+        assert.notStrictEqual(label.innerText, "Redeem Code");
+        mouse(captcha.window, document.getElementById("captcha-redeem"), "mouseup");
+
+        const failed = getMessages(captcha.messages, "failed");
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].payload.counterfeit, "label");
+        assert.match(document.querySelector("#captcha-overlay span").innerText, /counterfeit/);
+    });
+
+    it("redeems gift cards tapped on the conveyor", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&conveyor&amount=10&timer=60" });
+        const document = captcha.document;
+
+        mouse(captcha.window, document.getElementById("captcha-overlay"), "mouseup");
+        assert.strictEqual(document.getElementById("captcha-redeem").style.visibility, "hidden");
+
+        let card = null;
+        for (let elapsed = 0; !card && (elapsed < MAX_WAIT_MS); elapsed += 16) {
+            captcha.clock.tick(16);
+            const cards = document.querySelectorAll(".captcha-gift-card:not(#captcha-gift-card)");
+            if (cards.length > 1) {
+                card = document.querySelector(".captcha-gift-card-google-play:not(#captcha-gift-card)");
+            }
+        }
+        assert.ok(card, "no Google Play gift card was shown among several");
+
+        mouse(captcha.window, card, "mouseup");
+        captcha.clock.tick(2000);
+
+        assert.strictEqual(getMessages(captcha.messages, "failed").length, 0);
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 1);
+    });
+
+    it("redeems a gift card swiped down", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&amount=10" });
+
+        mouse(captcha.window, captcha.document.getElementById("captcha-overlay"), "mouseup");
+        waitForCard(captcha, true);
+        drag(captcha, getLastCard(captcha), 0, 120, 0);
+        captcha.clock.tick(2000);
+
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 1);
+    });
+
+    it("passes over a gift card flicked left and springs back a short swipe", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&timer=60" });
+
+        mouse(captcha.window, captcha.document.getElementById("captcha-overlay"), "mouseup");
+        waitForCard(captcha, false);
+        const card = getLastCard(captcha);
+        const transform = card.style.transform;
+
+        // Too short and too slow: a Target gift card would fail if this were a tap.
+        drag(captcha, card, 0, 30, 200);
+        assert.strictEqual(getMessages(captcha.messages, "failed").length, 0);
+        assert.strictEqual(card.style.transform, transform);
+        assert.ok(card.isConnected);
+
+        // Short but fast.
+        drag(captcha, card, -40, 0, 0);
+        captcha.clock.tick(400);
+        assert.strictEqual(getMessages(captcha.messages, "failed").length, 0);
+        assert.ok(!card.isConnected);
+        assert.notStrictEqual(getLastCard(captcha), card);
+    });
+
+    it("does not hide a gift card while it is held", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&timer=60" });
+
+        mouse(captcha.window, captcha.document.getElementById("captcha-overlay"), "mouseup");
+        waitForCard(captcha, false);
+        const card = getLastCard(captcha);
+
+        // The gift card's timer runs out while it is dragged.
+        mouse(captcha.window, card, "mousedown", 100, 100);
+        mouse(captcha.window, captcha.document, "mousemove", 100, 130);
+        captcha.clock.tick(5000);
+        assert.ok(card.isConnected);
+        assert.strictEqual(getLastCard(captcha), card);
+
+        // Let go without swiping it away, and the timer carries on.
+        mouse(captcha.window, captcha.document, "mouseup", 100, 130);
+        captcha.clock.tick(5000);
+        assert.ok(!card.isConnected);
+        assert.strictEqual(getMessages(captcha.messages, "failed").length, 0);
+    });
+
+    it("fails when the timer expires", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&timer=5" });
+
+        mouse(captcha.window, captcha.document.getElementById("captcha-overlay"), "mouseup");
+        captcha.clock.tick(5000);
+
+        const failed = getMessages(captcha.messages, "failed");
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].payload.reason, "timer expired");
+    });
+
+    it("succeeds once the target amount is redeemed", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&amount=10" });
+        const document = captcha.document;
+
+        mouse(captcha.window, document.getElementById("captcha-overlay"), "mouseup");
+        waitForCard(captcha, true);
+        mouse(captcha.window, document.getElementById("captcha-redeem"), "mouseup");
+        captcha.clock.tick(2000);
+
+        const success = getMessages(captcha.messages, "success");
+        assert.strictEqual(success.length, 1);
+        assert.ok(success[0].payload.value >= 10);
+        assert.ok(captcha.messages.includes("success"));
+    });
+
+    it("parses boolean query parameters", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?expire=false&maxDuration=2.5" });
+        assert.strictEqual(captcha.app.model.getSettings().expire, false);
+        assert.strictEqual(captcha.app.model.getSettings().maxDuration, 2.5);
+        captcha.close();
+
+        captcha = await loadCaptcha("dnr", { "search": "?expire" });
+        assert.strictEqual(captcha.app.model.getSettings().expire, true);
+        assert.strictEqual(captcha.warnings.length, 0);
+        assert.strictEqual(captcha.document.querySelector(".captcha-config-warning"), null);
+    });
+
+    it("lowers an adaptive difficulty after repeated failures", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&timer=5&adaptive" });
+        failTwice(captcha);
+
+        assert.strictEqual(getMessages(captcha.messages, "failed").length, 2);
+        assert.strictEqual(captcha.app.adaptive.getLevel(), "easy");
+        assert.strictEqual(captcha.app.model.getSettings().targetValue, 100);
+    });
+
+    it("raises an adaptive difficulty after a quick pass", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&amount=10&adaptive" });
+        const document = captcha.document;
+
+        mouse(captcha.window, document.getElementById("captcha-overlay"), "mouseup");
+        waitForCard(captcha, true);
+        mouse(captcha.window, document.getElementById("captcha-redeem"), "mouseup");
+        captcha.clock.tick(2000);
+
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 1);
+        assert.strictEqual(captcha.app.adaptive.getLevel(), "hard");
+    });
+
+    it("keeps a raised adaptive difficulty only while the same difficulty is requested", async () => {
+        const sessionStorage = MemoryStorage();
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&amount=10&adaptive", "sessionStorage": sessionStorage });
+        const document = captcha.document;
+
+        mouse(captcha.window, document.getElementById("captcha-overlay"), "mouseup");
+        waitForCard(captcha, true);
+        mouse(captcha.window, document.getElementById("captcha-redeem"), "mouseup");
+        captcha.clock.tick(2000);
+        assert.strictEqual(captcha.app.adaptive.getLevel(), "hard");
+        assert.strictEqual(captcha.app.adaptive.getSolveTimes().length, 1);
+        captcha.close();
+
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&adaptive", "sessionStorage": sessionStorage });
+        assert.strictEqual(captcha.app.adaptive.getLevel(), "hard");
+        assert.strictEqual(captcha.app.adaptive.getSolveTimes().length, 1);
+        captcha.close();
+
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&adaptive&difficulty=easy", "sessionStorage": sessionStorage });
+        assert.strictEqual(captcha.app.adaptive.getLevel(), "easy");
+        assert.strictEqual(captcha.app.adaptive.getSolveTimes().length, 0);
+    });
+
+    it("keeps the difficulty without the adaptive parameter", async () => {
+        captcha = await loadCaptcha("dnr", { "search": "?seed=test&timer=5" });
+        failTwice(captcha);
+
+        assert.strictEqual(captcha.app.adaptive.getLevel(), "normal");
+        assert.strictEqual(captcha.app.model.getSettings().targetValue, 200);
+    });
+});
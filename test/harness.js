@@ -0,0 +1,425 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM, ResourceLoader, VirtualConsole } = require("jsdom");
+
+/**
+ * @brief Root directory of the repository.
+ */
+const ROOT_DIR = path.resolve(__dirname, "..");
+
+/**
+ * @brief Interval between animation frames, in milliseconds.
+ */
+const FRAME_INTERVAL_MS = 16;
+
+
+/**
+ * @brief Resource loader that only loads local files.
+ *
+ * @details Fonts and other remote resources are replaced with empty
+ * responses, so the tests never touch the network.
+ */
+class LocalResourceLoader extends ResourceLoader {
+    fetch(url, options) {
+        if (url.startsWith("file:")) {
+            return super.fetch(url, options);
+        }
+        return Promise.resolve(Buffer.from(""));
+    }
+};
+
+
+/**
+ * @brief Fake clock replacing the timers of a window.
+ *
+ * @details Time only advances when `tick()` is called, so the tests control
+ * exactly when timers and animation frames fire.
+ *
+ * @return {FakeClock}
+ */
+const FakeClock = () => {
+    const timers = new Map();
+
+    let now = 0;
+    let nextId = 1;
+
+    /**
+     * @brief Adds a timer.
+     *
+     * @param fn       {Function} Function to invoke when the timer fires.
+     * @param delay    {Integer}  Delay, in milliseconds.
+     * @param interval {Boolean}  `true` if the timer repeats.
+     * @param args     {Array}    Arguments to invoke the function with.
+     *
+     * @return {Integer} Identifier of the timer.
+     */
+    const add = (fn, delay, interval, args) => {
+        const id = nextId++;
+        delay = Math.max(0, parseInt(delay, 10) || 0);
+        timers.set(id, {
+            "fn": fn,
+            "at": now + delay,
+            "interval": interval ? Math.max(1, delay) : null,
+            "args": args
+        });
+        return id;
+    };
+
+    /**
+     * @brief Removes a timer.
+     *
+     * @param id {Integer} Identifier of the timer.
+     */
+    const remove = (id) => {
+        timers.delete(id);
+    };
+
+    /**
+     * @brief Advances the clock, firing every timer that is due in order.
+     *
+     * @param ms {Integer} Number of milliseconds to advance by.
+     */
+    const tick = (ms) => {
+        const end = now + ms;
+        for (;;) {
+            let nextId = null;
+            let next = null;
+            timers.forEach((timer, id) => {
+                if ((timer.at <= end) && (!next || (timer.at < next.at))) {
+                    nextId = id;
+                    next = timer;
+                }
+            });
+
+            if (!next) {
+                break;
+            }
+
+            now = next.at;
+            if (next.interval) {
+                next.at += next.interval;
+            } else {
+                timers.delete(nextId);
+            }
+            next.fn(...next.args);
+        }
+        now = end;
+    };
+
+    /**
+     * @brief Replaces the timers of a window with the fake clock.
+     *
+     * @param window {Window} The window.
+     */
+    const install = (window) => {
+        window.setTimeout = (fn, delay, ...args) => add(fn, delay, false, args);
+        window.setInterval = (fn, delay, ...args) => add(fn, delay, true, args);
+        window.clearTimeout = remove;
+        window.clearInterval = remove;
+        window.requestAnimationFrame = (fn) => add(() => fn(now), FRAME_INTERVAL_MS, false, []);
+        window.cancelAnimationFrame = remove;
+        window.performance.now = () => now;
+    };
+
+    return (() => {
+        const self = {};
+        self.tick = tick;
+        self.install = install;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief Installs a minimal layout engine into a window.
+ *
+ * @details jsdom does not lay out elements, so every element would otherwise
+ * have a size and position of zero. Instead, elements are positioned by their
+ * `left` / `top` style relative to the captcha, and sized by their `width` /
+ * `height` style, falling back to the first matching selector in `sizes`.
+ * `document.elementFromPoint()` returns the last element in document order
+ * whose box contains the point.
+ *
+ * @param window {Window} The window.
+ * @param sizes  {Object} Dictionary of selector to `{ width, height }`.
+ */
+const installLayout = (window, sizes) => {
+    const proto = window.HTMLElement.prototype;
+
+    const getSize = (el) => {
+        const size = { "width": 0, "height": 0 };
+        const selector = Object.keys(sizes).find((sel) => el.matches(sel));
+        if (selector) {
+            Object.assign(size, sizes[selector]);
+        }
+
+        if (el.style.width.endsWith("px")) {
+            size.width = parseFloat(el.style.width);
+        }
+
+        if (el.style.height.endsWith("px")) {
+            size.height = parseFloat(el.style.height);
+        }
+        return size;
+    };
+
+    Object.defineProperties(proto, {
+        "offsetWidth": { "configurable": true, "get": function () { return getSize(this).width; } },
+        "offsetHeight": { "configurable": true, "get": function () { return getSize(this).height; } },
+        "offsetLeft": { "configurable": true, "get": function () { return parseFloat(this.style.left) || 0; } },
+        "offsetTop": { "configurable": true, "get": function () { return parseFloat(this.style.top) || 0; } }
+    });
+
+    proto.getBoundingClientRect = function () {
+        if (!this.isConnected) {
+            // Like browsers, elements outside of the DOM have an empty box.
+            return { "x": 0, "y": 0, "left": 0, "top": 0, "right": 0, "bottom": 0, "width": 0, "height": 0 };
+        }
+
+        const size = getSize(this);
+        const left = this.offsetLeft;
+        const top = this.offsetTop;
+        return {
+            "x": left,
+            "y": top,
+            "left": left,
+            "top": top,
+            "right": left + size.width,
+            "bottom": top + size.height,
+            "width": size.width,
+            "height": size.height
+        };
+    };
+
+    window.document.elementFromPoint = (x, y) => {
+        const hits = Array.from(window.document.querySelectorAll("*")).filter((el) => {
+            const rect = el.getBoundingClientRect();
+            return (rect.width > 0) && (rect.height > 0) && (x >= rect.left) && (x < rect.right) &&
+                (y >= rect.top) && (y < rect.bottom);
+        });
+        return hits.length ? hits[hits.length - 1] : null;
+    };
+};
+
+
+/**
+ * @brief Storage kept in memory, in place of local storage.
+ *
+ * @details jsdom has no local storage for pages opened from disk. Passing the
+ * same storage to several captchas shares it between them, like reloads of
+ * the page would.
+ *
+ * @return {Object}
+ */
+const MemoryStorage = () => {
+    const items = new Map();
+
+    /**
+     * @brief Returns the value stored under a key, or `null`.
+     */
+    const getItem = (key) => {
+        return items.has(key) ? items.get(key) : null;
+    };
+
+    /**
+     * @brief Stores a value under a key.
+     */
+    const setItem = (key, value) => {
+        items.set(key, String(value));
+    };
+
+    /**
+     * @brief Removes the value stored under a key.
+     */
+    const removeItem = (key) => {
+        items.delete(key);
+    };
+
+    return (() => {
+        const self = {};
+        self.getItem = getItem;
+        self.setItem = setItem;
+        self.removeItem = removeItem;
+        return self;
+    })();
+};
+
+
+/**
+ * @brief Boots a page of the repository in jsdom.
+ *
+ * @details The page's timers are replaced with a fake clock, and messages
+ * it posts to the parent window are collected instead of being delivered, and
+ * console warnings are collected as `warnings`. The application created by
+ * `bootstrap()`, if any, is exposed as `app`.
+ *
+ * @param file    {String} Path of the page, relative to the repository.
+ * @param options {Object} Optional `search` query string, layout `sizes`,
+ *                         local `storage` and `sessionStorage` (see
+ *                         `MemoryStorage()`).
+ *
+ * @return {Promise} Resolves with the loaded page once it is ready.
+ */
+const loadPage = (file, options) => {
+    options = options || {};
+    file = path.join(ROOT_DIR, file);
+
+    const clock = FakeClock();
+    const messages = [];
+    const errors = [];
+    const warnings = [];
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", (err) => {
+        errors.push(err);
+    });
+    virtualConsole.on("warn", (message) => {
+        warnings.push(message);
+    });
+
+    return JSDOM.fromFile(file, {
+        "url": `file://${file}${options.search || ""}`,
+        "runScripts": "dangerously",
+        "resources": new LocalResourceLoader(),
+        "pretendToBeVisual": true,
+        "virtualConsole": virtualConsole,
+        "beforeParse": (window) => {
+            clock.install(window);
+            installLayout(window, options.sizes || {});
+            if (options.storage) {
+                Object.defineProperty(window, "localStorage", { "configurable": true, "value": options.storage });
+            }
+            if (options.sessionStorage) {
+                Object.defineProperty(window, "sessionStorage", { "configurable": true, "value": options.sessionStorage });
+            }
+            window.postMessage = (data) => {
+                messages.push(data);
+            };
+        }
+    }).then((dom) => {
+        const window = dom.window;
+        return new Promise((resolve) => {
+            window.addEventListener("load", () => {
+                resolve({
+                    "window": window,
+                    "document": window.document,
+                    "app": window.onload ? window.onload.app : null,
+                    "clock": clock,
+                    "messages": messages,
+                    "errors": errors,
+                    "warnings": warnings,
+                    "close": () => window.close()
+                });
+            });
+        });
+    });
+};
+
+
+/**
+ * @brief Boots a captcha in jsdom (see `loadPage()`).
+ *
+ * @details The captcha application, with its `model` and `renderer`, is
+ * exposed as `app`.
+ *
+ * @param name    {String} Name of the captcha under `submissions`.
+ * @param options {Object} Options of `loadPage()`.
+ *
+ * @return {Promise} Resolves with the loaded captcha once it is ready.
+ */
+const loadCaptcha = (name, options) => {
+    return loadPage(path.join("submissions", name, "captcha", "captcha.html"), options);
+};
+
+
+/**
+ * @brief Loads the model of a captcha without a DOM.
+ *
+ * @details Only the shared geometry and random number generator, and the
+ * given data files of the captcha, are loaded alongside the model, so the
+ * model cannot depend on anything else.
+ *
+ * @param name  {String} Name of the captcha under `submissions`.
+ * @param data  {Array}  Optional names of files in the captcha's folder to
+ *                       load before the model (e.g. `catalogue.js`).
+ *
+ * @return {Function} Evaluates an expression, such as the name of a model
+ * factory, in the scope of the model.
+ */
+const loadModel = (name, data) => {
+    const context = vm.createContext({});
+    const files = [
+        path.join(ROOT_DIR, "lib", "geometry.js"),
+        path.join(ROOT_DIR, "lib", "random.js")
+    ].concat((data || []).map((file) => {
+        return path.join(ROOT_DIR, "submissions", name, "captcha", file);
+    }), [
+        path.join(ROOT_DIR, "submissions", name, "captcha", "model.js")
+    ]);
+
+    files.forEach((file) => {
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, { "filename": file });
+    });
+
+    return (expression) => vm.runInContext(expression, context);
+};
+
+
+/**
+ * @brief Returns the protocol messages of a type posted by a captcha.
+ *
+ * @param messages {Array}  Messages posted by the captcha.
+ * @param type     {String} Type of message.
+ *
+ * @return {Array}
+ */
+const getMessages = (messages, type) => {
+    return messages.filter((message) => message && (message.type === type));
+};
+
+
+/**
+ * @brief Dispatches a mouse event.
+ *
+ * @param window {Window}  Window of the captcha.
+ * @param target {Element} Target of the event.
+ * @param type   {String}  Type of the event.
+ * @param x      {Float}   X coordinate of the event.
+ * @param y      {Float}   Y coordinate of the event.
+ */
+const mouse = (window, target, type, x, y) => {
+    target.dispatchEvent(new window.MouseEvent(type, {
+        "bubbles": true,
+        "cancelable": true,
+        "clientX": x || 0,
+        "clientY": y || 0
+    }));
+};
+
+
+/**
+ * @brief Dispatches a key down event.
+ *
+ * @param window {Window}  Window of the captcha.
+ * @param target {Element} Target of the event.
+ * @param key    {String}  Value of the key pressed (e.g. `Enter`).
+ */
+const keyDown = (window, target, key) => {
+    target.dispatchEvent(new window.KeyboardEvent("keydown", {
+        "bubbles": true,
+        "cancelable": true,
+        "key": key
+    }));
+};
+
+
+module.exports = {
+    loadPage,
+    loadCaptcha,
+    loadModel,
+    getMessages,
+    mouse,
+    keyDown,
+    MemoryStorage
+};
@@ -0,0 +1,91 @@
+const assert = require("node:assert");
+const { describe, it, afterEach } = require("node:test");
+const { loadPage } = require("./harness");
+
+
+/**
+ * @brief Presses a key with Ctrl + Alt held in the game shell.
+ *
+ * @param shell {Object} The loaded game shell.
+ * @param key   {String} Value of the key pressed.
+ * @param code  {String} Code of the physical key pressed.
+ */
+const pressCtrlAlt = (shell, key, code) => {
+    shell.document.dispatchEvent(new shell.window.KeyboardEvent("keydown", {
+        "bubbles": true,
+        "cancelable": true,
+        "ctrlKey": true,
+        "altKey": true,
+        "key": key,
+        "code": code
+    }));
+};
+
+
+/**
+ * @brief Delivers a message from the captcha to the game shell.
+ *
+ * @param shell   {Object} The loaded game shell.
+ * @param type    {String} Type of the message.
+ * @param payload {Object} Payload of the message.
+ */
+const postFromCaptcha = (shell, type, payload) => {
+    shell.window.dispatchEvent(new shell.window.MessageEvent("message", {
+        "data": {
+            "protocol": "kitboga-captcha",
+            "version": 1,
+            "captcha": "shellgame",
+            "type": type,
+            "payload": payload
+        }
+    }));
+};
+
+
+describe("OperatorPanel", () => {
+    let shell = null;
+
+    afterEach(() => {
+        shell.close();
+    });
+
+    it("toggles the panel with Ctrl + Alt + O", async () => {
+        shell = await loadPage("submissions/shellgame/index.html", { "search": "?operator" });
+        const panel = shell.document.getElementById("operator-panel");
+        assert.strictEqual(panel.style.display, "none");
+
+        pressCtrlAlt(shell, "o", "KeyO");
+        assert.strictEqual(panel.style.display, "block");
+        pressCtrlAlt(shell, "o", "KeyO");
+        assert.strictEqual(panel.style.display, "none");
+    });
+
+    it("toggles the panel when Option changes the character typed, as on macOS", async () => {
+        shell = await loadPage("submissions/shellgame/index.html", { "search": "?operator" });
+        const panel = shell.document.getElementById("operator-panel");
+
+        pressCtrlAlt(shell, "ø", "KeyO");
+        assert.strictEqual(panel.style.display, "block");
+
+        pressCtrlAlt(shell, "p", "KeyP");
+        assert.strictEqual(panel.style.display, "block");
+    });
+
+    it("is not added without the operator parameter", async () => {
+        shell = await loadPage("submissions/shellgame/index.html");
+        pressCtrlAlt(shell, "o", "KeyO");
+        assert.strictEqual(shell.document.getElementById("operator-panel"), null);
+    });
+
+    it("shows the captcha's messages only in the panel", async () => {
+        shell = await loadPage("submissions/shellgame/index.html", { "search": "?operator" });
+        postFromCaptcha(shell, "failed", { "attempt": 2, "reason": "wrong can" });
+        assert.match(shell.document.getElementById("operator-status").innerText, /wrong can/);
+
+        shell.close();
+        shell = await loadPage("submissions/shellgame/index.html");
+        postFromCaptcha(shell, "failed", { "attempt": 2, "reason": "wrong can" });
+        assert.doesNotMatch(shell.document.body.textContent, /wrong can/);
+        assert.strictEqual(shell.document.getElementById("captcha-status"), null);
+    });
+});
@@ -0,0 +1,95 @@
+const assert = require("node:assert");
+const { describe, it, afterEach } = require("node:test");
+const { loadCaptcha, mouse, MemoryStorage } = require("./harness");
+
+const SIZES = {
+    ".captcha-app": { "width": 380, "height": 290 },
+    ".captcha-can": { "width": 60, "height": 80 },
+    ".captcha-can-contents": { "width": 40, "height": 40 }
+};
+
+const RECORDING_STORAGE_KEY = "kitboga-captcha-recordings";
+
+
+describe("CaptchaRecorder", () => {
+    let captcha = null;
+
+    afterEach(() => {
+        captcha.close();
+    });
+
+    it("records input and messages with their time and animation frame", async () => {
+        const storage = MemoryStorage();
+        captcha = await loadCaptcha("shellgame", { "search": "?numRounds=1&seed=test", "sizes": SIZES, "storage": storage });
+        captcha.clock.tick(40);
+        mouse(captcha.window, captcha.document, "mouseup", 5, 5);
+        captcha.clock.tick(100);
+        captcha.window.dispatchEvent(new captcha.window.Event("pagehide"));
+
+        const recordings = JSON.parse(storage.getItem(RECORDING_STORAGE_KEY));
+        assert.strictEqual(recordings.length, 1);
+
+        const recording = recordings[0];
+        assert.strictEqual(recording.captcha, "shellgame");
+        assert.strictEqual(recording.seed, "test");
+        assert.strictEqual(recording.search, "?numRounds=1&seed=test");
+        assert.deepStrictEqual(recording.frames.slice(0, 3), [16, 32, 48]);
+        assert.strictEqual(recording.frames.length, 8);
+
+        const input = recording.events.filter((entry) => entry.kind == "input");
+        assert.deepStrictEqual(input.map((entry) => [entry.type, entry.time, entry.frame, entry.x, entry.y]), [
+            ["mouseup", 40, 2, 5, 5]
+        ]);
+
+        const state = recording.events.filter((entry) => entry.kind == "state");
+        assert.deepStrictEqual(state.map((entry) => [entry.type, entry.time]), [["ready", 0], ["started", 40]]);
+    });
+
+    it("does not record mouse moves without a button pressed", async () => {
+        const storage = MemoryStorage();
+        captcha = await loadCaptcha("shellgame", { "search": "?seed=test", "sizes": SIZES, "storage": storage });
+        captcha.document.dispatchEvent(new captcha.window.MouseEvent("mousemove", { "bubbles": true, "buttons": 0 }));
+        captcha.document.dispatchEvent(new captcha.window.MouseEvent("mousemove", { "bubbles": true, "buttons": 1 }));
+        captcha.window.dispatchEvent(new captcha.window.Event("pagehide"));
+
+        const recording = JSON.parse(storage.getItem(RECORDING_STORAGE_KEY))[0];
+        const moves = recording.events.filter((entry) => entry.type == "mousemove");
+        assert.deepStrictEqual(moves.map((entry) => entry.buttons), [1]);
+    });
+
+    it("keeps only the newest recordings", async () => {
+        const storage = MemoryStorage();
+        captcha = await loadCaptcha("shellgame", { "search": "?seed=test", "sizes": SIZES, "storage": storage });
+        const saveRecording = captcha.window.eval("saveRecording");
+        for (let i = 0; i < 7; i++) {
+            assert.strictEqual(saveRecording(captcha.window, { "id": `recording-${i}` }), true);
+        }
+
+        const ids = JSON.parse(storage.getItem(RECORDING_STORAGE_KEY)).map((recording) => recording.id);
+        assert.deepStrictEqual(ids, ["recording-6", "recording-5", "recording-4", "recording-3", "recording-2"]);
+    });
+
+    it("hands the captcha's timers to a replay clock instead of recording a replay", async () => {
+        const storage = MemoryStorage();
+        captcha = await loadCaptcha("shellgame", { "search": "?seed=test&replay", "sizes": SIZES, "storage": storage });
+        const clock = captcha.window.replayClock;
+        assert.ok(clock);
+
+        const fired = [];
+        captcha.window.setTimeout(() => fired.push(["timeout", captcha.window.performance.now()]), 50);
+        captcha.window.requestAnimationFrame((now) => fired.push(["frame", now]));
+
+        // The fake clock of the test no longer drives the captcha.
+        captcha.clock.tick(1000);
+        assert.deepStrictEqual(fired, []);
+
+        clock.advance(40);
+        assert.deepStrictEqual(fired, []);
+        clock.frame(60.5);
+        assert.deepStrictEqual(fired, [["timeout", 50], ["frame", 60.5]]);
+        assert.strictEqual(captcha.window.performance.now(), 60.5);
+
+        captcha.window.dispatchEvent(new captcha.window.Event("pagehide"));
+        assert.strictEqual(storage.getItem(RECORDING_STORAGE_KEY), null);
+    });
+});
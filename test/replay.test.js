@@ -0,0 +1,154 @@
+const assert = require("node:assert");
+const { describe, it, afterEach } = require("node:test");
+const { loadPage, loadCaptcha, mouse, MemoryStorage } = require("./harness");
+
+const SIZES = {
+    ".captcha-app": { "width": 380, "height": 290 },
+    ".captcha-can": { "width": 60, "height": 80 },
+    ".captcha-can-contents": { "width": 40, "height": 40 }
+};
+
+const SEARCH = "?numRounds=2&numShuffles=2&seed=replay";
+
+const RECORDING_STORAGE_KEY = "kitboga-captcha-recordings";
+
+
+/**
+ * @brief Returns the messages posted by a captcha, without the time they
+ * were posted at.
+ *
+ * @details The messages are copied out of the captcha's window, so they can
+ * be compared with those of another window.
+ *
+ * @param messages {Array} Messages posted by the captcha.
+ *
+ * @return {Array}
+ */
+const withoutTimes = (messages) => {
+    return JSON.parse(JSON.stringify(messages.filter((message) => message && message.type))).map((message) => {
+        delete message.payload.elapsed;
+        return message;
+    });
+};
+
+
+/**
+ * @brief Returns the position of every can of a shell game.
+ *
+ * @param captcha {Object} The loaded captcha.
+ *
+ * @return {Array} List of `[x, y]` positions.
+ */
+const getPositions = (captcha) => {
+    return Array.from(captcha.app.model.getCans(), (can) => [can.getPos().x, can.getPos().y]);
+};
+
+
+/**
+ * @brief Clicks the can holding the beans.
+ *
+ * @param captcha {Object} The loaded captcha.
+ */
+const clickBeans = (captcha) => {
+    const beans = captcha.app.model.getCans().find((can) => can.containsBeans()).getPos();
+    mouse(captcha.window, captcha.document, "mouseup", beans.x + 30, beans.y + 40);
+};
+
+
+describe("ReplaySession", () => {
+    let captcha = null;
+    let replay = null;
+    let page = null;
+
+    afterEach(() => {
+        [captcha, replay, page].forEach((loaded) => {
+            if (loaded) {
+                loaded.close();
+            }
+        });
+        captcha = replay = page = null;
+    });
+
+    /**
+     * @brief Records a shell game played over two rounds, with input landing
+     * part way through animation frames.
+     *
+     * @param storage {Object} Local storage to save the recording to.
+     *
+     * @return {Promise} Resolves with the recorded captcha, whose page has
+     * been hidden so the recording is saved.
+     */
+    const record = async (storage) => {
+        captcha = await loadCaptcha("shellgame", { "search": SEARCH, "sizes": SIZES, "storage": storage });
+        for (let round = 0; round < 2; round++) {
+            mouse(captcha.window, captcha.document, "mouseup", 5, 5);
+            captcha.clock.tick(15003);
+            clickBeans(captcha);
+            captcha.clock.tick(7);
+            // Click again while the can is being lifted; it is ignored.
+            clickBeans(captcha);
+            captcha.clock.tick(4990);
+        }
+        captcha.window.dispatchEvent(new captcha.window.Event("pagehide"));
+        return captcha;
+    };
+
+    it("replays a session to the same state and messages", async () => {
+        const storage = MemoryStorage();
+        await record(storage);
+        const recording = JSON.parse(storage.getItem(RECORDING_STORAGE_KEY))[0];
+        assert.ok(recording.frames.length > 0);
+
+        page = await loadPage("lib/replay.html", { "storage": storage });
+        replay = await loadCaptcha("shellgame", { "search": `${SEARCH}&replay`, "sizes": SIZES });
+
+        const played = [];
+        const session = page.window.eval("ReplaySession")(recording, replay.window, (entry) => {
+            played.push(entry);
+        });
+        session.playUntil(Infinity);
+
+        assert.strictEqual(session.isDone(), true);
+        assert.strictEqual(played.length, recording.events.length);
+        assert.deepStrictEqual(withoutTimes(replay.messages), withoutTimes(captcha.messages));
+        assert.deepStrictEqual(getPositions(replay), getPositions(captcha));
+        assert.strictEqual(replay.app.model.isDone(), true);
+    });
+
+    it("dispatches input between the same animation frames as recorded", async () => {
+        const storage = MemoryStorage();
+        await record(storage);
+        const recording = JSON.parse(storage.getItem(RECORDING_STORAGE_KEY))[0];
+        const pick = recording.events.find((entry) => (entry.kind == "input") && (entry.time > 15000));
+
+        page = await loadPage("lib/replay.html", { "storage": storage });
+        replay = await loadCaptcha("shellgame", { "search": `${SEARCH}&replay`, "sizes": SIZES });
+
+        const clock = replay.window.replayClock;
+        let frames = 0;
+        const countFrames = () => {
+            frames += 1;
+            replay.window.requestAnimationFrame(countFrames);
+        };
+        replay.window.requestAnimationFrame(countFrames);
+
+        const times = [];
+        replay.window.addEventListener("mouseup", () => {
+            times.push([clock.getTime(), frames]);
+        }, true);
+
+        page.window.eval("ReplaySession")(recording, replay.window, () => {}).playUntil(pick.time);
+        assert.deepStrictEqual(times[times.length - 1], [pick.time, pick.frame]);
+    });
+
+    it("lists the saved recordings", async () => {
+        const storage = MemoryStorage();
+        await record(storage);
+
+        page = await loadPage("lib/replay.html", { "storage": storage });
+        const options = page.document.querySelectorAll("#replay-recordings option");
+        assert.strictEqual(options.length, 1);
+        assert.match(options[0].innerText, /^shellgame /);
+        assert.ok(page.document.querySelectorAll("#replay-timeline li").length > 0);
+    });
+});
@@ -0,0 +1,657 @@
+const assert = require("node:assert");
+const { describe, it, afterEach } = require("node:test");
+const { loadCaptcha, loadModel, getMessages, mouse, keyDown, MemoryStorage } = require("./harness");
+
+const SIZES = {
+    ".captcha-app": { "width": 380, "height": 290 },
+    ".captcha-can": { "width": 60, "height": 80 },
+    ".captcha-can-contents": { "width": 40, "height": 40 }
+};
+
+// Long enough for any round's reveal and shuffle animations to finish.
+const ROUND_MS = 20000;
+
+
+/**
+ * @brief Returns the center of each can, with the can containing the beans
+ * first.
+ *
+ * @param document {Document} Document of the captcha.
+ *
+ * @return {Array} List of `{ x, y }` dictionaries.
+ */
+const getCans = (document) => {
+    const contents = document.querySelector(".captcha-can-contents img[src$='bean.png']").parentNode;
+    const beansLeft = parseFloat(contents.style.left) - ((SIZES[".captcha-can"].width - SIZES[".captcha-can-contents"].width) / 2);
+
+    return Array.from(document.querySelectorAll(".captcha-can")).map((el) => {
+        const rect = el.getBoundingClientRect();
+        return {
+            "x": rect.left + (rect.width / 2),
+            "y": rect.top + (rect.height / 2),
+            "distance": Math.abs(rect.left - beansLeft)
+        };
+    }).sort((a, b) => a.distance - b.distance);
+};
+
+
+/**
+ * @brief Clicks a point in the captcha and runs the resulting animations.
+ *
+ * @param captcha {Object} The loaded captcha.
+ * @param point   {Object} The `{ x, y }` point to click.
+ */
+const click = (captcha, point) => {
+    mouse(captcha.window, captcha.document, "mouseup", point.x, point.y);
+    captcha.clock.tick(ROUND_MS);
+};
+
+
+describe("ShellgameModel", () => {
+    const scope = loadModel("shellgame");
+    const LAYOUT = { "width": 380, "height": 290, "offsetTop": 0, "canWidth": 60, "canHeight": 80 };
+
+    /**
+     * @brief Creates a model, and runs the animations of its first round.
+     *
+     * @param seed {String} Seed of the random number generator.
+     *
+     * @return {ShellgameModel}
+     */
+    const playRound = (seed) => {
+        const model = scope("ShellgameModel")({
+            "numCans": 3,
+            "numRounds": 2,
+            "numShuffles": 2,
+            "shuffleSpeed": 80
+        }, scope("Random")(seed));
+        model.setLayout(LAYOUT);
+        model.reset();
+        model.startRound();
+        while (model.isAnimating()) {
+            model.step(16);
+        }
+        return model;
+    };
+
+    it("shuffles the cans between their starting positions", () => {
+        const model = playRound("test");
+        const xs = Array.from(model.getCans(), (can) => can.getPos().x).sort((a, b) => a - b);
+        assert.deepStrictEqual(xs, [50, 160, 270]);
+        assert.strictEqual(model.getCans().filter((can) => can.containsBeans()).length, 1);
+    });
+
+    it("ends every shuffle path at a starting position", () => {
+        const model = scope("ShellgameModel")({
+            "numCans": 4,
+            "numRounds": 1,
+            "numShuffles": 20,
+            "shuffleSpeed": 80,
+            "paths": ["arc", "cross", "figure8", "bezier", "fakeout"]
+        }, scope("Random")("paths"));
+        model.setLayout(LAYOUT);
+        model.reset();
+        const start = Array.from(model.getCans(), (can) => can.getPos().x).sort((a, b) => a - b);
+        model.startRound();
+        while (model.isAnimating()) {
+            model.step(16);
+        }
+        const xs = Array.from(model.getCans(), (can) => can.getPos().x).sort((a, b) => a - b);
+        assert.deepStrictEqual(xs, start);
+    });
+
+    it("still moves the cans when every shuffle is a fake out", () => {
+        const model = scope("ShellgameModel")({
+            "numCans": 4,
+            "numRounds": 1,
+            "numShuffles": 1,
+            "shuffleSpeed": 80,
+            "paths": ["fakeout"]
+        }, scope("Random")("fakeout"));
+        model.setLayout(LAYOUT);
+        model.reset();
+        const start = model.getCans().map((can) => can.getPos().x);
+        model.startRound();
+        while (model.isAnimating()) {
+            model.step(16);
+        }
+        const xs = model.getCans().map((can) => can.getPos().x);
+        assert.deepStrictEqual(xs.slice().sort((a, b) => a - b), start.slice().sort((a, b) => a - b));
+        assert.notDeepStrictEqual(xs, start);
+    });
+
+    it("lays out more than five cans in a grid", () => {
+        const model = scope("ShellgameModel")({
+            "numCans": 8,
+            "numRounds": 1,
+            "numShuffles": 5,
+            "shuffleSpeed": 80
+        }, scope("Random")("grid"));
+        model.setLayout(LAYOUT);
+        model.reset();
+
+        const slots = (cans) => Array.from(cans, (can) => `${can.getPos().x},${can.getPos().y}`).sort();
+        const start = slots(model.getCans());
+        assert.strictEqual(model.getSettings().layout, "grid");
+        assert.strictEqual(new Set(Array.from(model.getCans(), (can) => can.getPos().y)).size, 3);
+        assert.ok(model.getScale() < 1);
+
+        model.startRound();
+        const moved = model.getCans().map((can) => can.getPos().y);
+        while (model.isAnimating()) {
+            model.step(16);
+        }
+        assert.deepStrictEqual(slots(model.getCans()), start);
+        assert.ok(model.getCans().some((can, idx) => can.getPos().y != moved[idx]));
+    });
+
+    it("moves the cans between rows along every shape of path", () => {
+        const Point = scope("Point");
+        const top = new Point(100, 50);
+        const bottom = new Point(100, 150);
+        Object.values(scope("ShufflePath")).forEach((type) => {
+            const path = scope("createPath")(type, top, bottom, true, scope("Random")(type));
+            const last = (type == "fakeout") ? top : bottom;
+            assert.ok(Math.abs(path.pointAt(1).x - last.x) < 1e-9, type);
+            assert.ok(Math.abs(path.pointAt(1).y - last.y) < 1e-9, type);
+            assert.ok(path.pointAt(0.25).y > top.y, type);
+        });
+
+        const model = scope("ShellgameModel")({
+            "numCans": 8,
+            "numRounds": 1,
+            "numShuffles": 10,
+            "shuffleSpeed": 80,
+            "paths": ["arc", "cross", "figure8", "bezier", "fakeout"]
+        }, scope("Random")("grid-paths"));
+        model.setLayout(LAYOUT);
+        model.reset();
+
+        const slots = (cans) => Array.from(cans, (can) => `${can.getPos().x},${can.getPos().y}`).sort();
+        const rows = model.getCans().map((can) => can.getPos().y);
+        const start = slots(model.getCans());
+        model.startRound();
+        while (model.isAnimating()) {
+            model.step(16);
+        }
+        assert.deepStrictEqual(slots(model.getCans()), start);
+        assert.ok(model.getCans().some((can, idx) => can.getPos().y != rows[idx]));
+    });
+
+    it("stops the shuffling at each checkpoint until the right can is picked", () => {
+        const model = scope("ShellgameModel")({
+            "numCans": 3,
+            "numRounds": 1,
+            "numShuffles": 3,
+            "shuffleSpeed": 80,
+            "numCheckpoints": 2
+        }, scope("Random")("test"));
+        model.setLayout(LAYOUT);
+        model.reset();
+        model.startRound();
+
+        const play = () => {
+            while (model.isAnimating()) {
+                model.step(16);
+            }
+            const idx = model.getCans().findIndex((can) => can.containsBeans());
+            model.reveal(idx);
+            while (model.isAnimating()) {
+                model.step(16);
+            }
+            return model.pick(model.takeRevealed());
+        };
+
+        assert.strictEqual(play(), "checkpoint");
+        assert.strictEqual(model.isAnimating(), true);
+        assert.strictEqual(play(), "checkpoint");
+        assert.strictEqual(play(), "round");
+    });
+
+    it("passes a checkpoint only once every bean is found when the goal is all", () => {
+        const model = scope("ShellgameModel")({
+            "numCans": 4,
+            "numRounds": 1,
+            "numShuffles": 2,
+            "shuffleSpeed": 80,
+            "numBeans": 2,
+            "goal": "all",
+            "numCheckpoints": 1
+        }, scope("Random")("test"));
+        model.setLayout(LAYOUT);
+        model.reset();
+        model.startRound();
+
+        const play = (nth) => {
+            while (model.isAnimating()) {
+                model.step(16);
+            }
+            const beans = model.getCans().map((can, idx) => idx).filter((idx) => model.getCans()[idx].containsBeans());
+            model.reveal(beans[nth]);
+            while (model.isAnimating()) {
+                model.step(16);
+            }
+            return model.pick(model.takeRevealed());
+        };
+
+        assert.strictEqual(play(0), "found");
+        assert.strictEqual(model.isAnimating(), false);
+        assert.strictEqual(play(1), "checkpoint");
+        assert.strictEqual(model.isAnimating(), true);
+        assert.strictEqual(play(0), "found");
+        assert.strictEqual(play(1), "round");
+    });
+
+    it("turns fake out paths back halfway", () => {
+        const Point = scope("Point");
+        const path = scope("createPath")("fakeout", new Point(0, 100), new Point(100, 100), true, scope("Random")("test"));
+        assert.ok(Math.abs(path.pointAt(0.5).x - 50) < 1e-9);
+        assert.ok(Math.abs(path.pointAt(1).x) < 1e-9);
+        assert.deepStrictEqual([path.end.x, path.end.y], [0, 100]);
+    });
+
+    it("shows distractions during random shuffles", () => {
+        const model = scope("ShellgameModel")({
+            "numCans": 3,
+            "numRounds": 1,
+            "numShuffles": 4,
+            "shuffleSpeed": 80,
+            "distractions": ["cloth"],
+            "numDistractions": 2
+        }, scope("Random")("distractions"));
+        model.setLayout(LAYOUT);
+        model.reset();
+        model.startRound();
+
+        // Each of the eight shuffles of the round takes 400ms, or 25 frames.
+        let frames = 0;
+        while (model.isAnimating()) {
+            model.step(16);
+            const distraction = model.getDistraction();
+            if (distraction) {
+                assert.strictEqual(distraction.type, "cloth");
+                assert.ok((distraction.progress >= 0) && (distraction.progress < 1));
+                frames += 1;
+            }
+        }
+        assert.strictEqual(frames, 50);
+    });
+
+    it("swaps a right pick for a wrong can when cheating", () => {
+        const model = scope("ShellgameModel")({
+            "numCans": 3,
+            "numRounds": 1,
+            "numShuffles": 2,
+            "shuffleSpeed": 80,
+            "cheatChance": 1
+        }, scope("Random")("cheat"));
+        model.setLayout(LAYOUT);
+        model.reset();
+        model.startRound();
+        while (model.isAnimating()) {
+            model.step(16);
+        }
+
+        const cans = Array.from(model.getCans());
+        const right = cans.findIndex((can) => can.containsBeans());
+        const pos = cans[right].getPos();
+        model.reveal(right);
+        while (model.isAnimating()) {
+            model.step(16);
+        }
+
+        const revealed = model.takeRevealed();
+        assert.notStrictEqual(revealed, cans[right]);
+        assert.strictEqual(revealed.getOrigPos().x, pos.x);
+        assert.notStrictEqual(cans[right].getPos().x, pos.x);
+        assert.strictEqual(model.pick(revealed), "cheated");
+        assert.strictEqual(model.catchCheat(), "round");
+        assert.strictEqual(model.catchCheat(), "wrong");
+    });
+
+    it("does not count a can called out as cheated twice", () => {
+        const model = scope("ShellgameModel")({
+            "numCans": 4,
+            "numRounds": 1,
+            "numShuffles": 2,
+            "shuffleSpeed": 80,
+            "numBeans": 2,
+            "goal": "all",
+            "cheatChance": 1
+        }, scope("Random")("cheat"));
+        model.setLayout(LAYOUT);
+        model.reset();
+        model.startRound();
+        const settle = () => {
+            while (model.isAnimating()) {
+                model.step(16);
+            }
+        };
+        settle();
+
+        const cans = Array.from(model.getCans());
+        const bean = cans.findIndex((can) => can.containsBeans());
+        model.reveal(bean);
+        settle();
+        assert.strictEqual(model.pick(model.takeRevealed()), "cheated");
+        assert.strictEqual(model.catchCheat(), "found");
+        settle();
+        assert.strictEqual(model.takeRevealed(), null);
+
+        // Picking the same can again is ignored.
+        model.reveal(bean);
+        settle();
+        assert.strictEqual(model.takeRevealed(), null);
+    });
+
+    it("animates by elapsed time regardless of frame rate", () => {
+        const play = (frameMs) => {
+            const model = scope("ShellgameModel")({
+                "numCans": 3,
+                "numRounds": 1,
+                "numShuffles": 2,
+                "shuffleSpeed": 80
+            }, scope("Random")("test"));
+            model.setLayout(LAYOUT);
+            model.reset();
+            model.startRound();
+
+            const positions = [];
+            for (let ms = 0; ms < 3000; ms += frameMs) {
+                model.step(frameMs);
+                if (((ms + frameMs) % 240) == 0) {
+                    positions.push(model.getCans().map((can) => Math.round(can.getPos().x)).join());
+                }
+            }
+            return positions;
+        };
+
+        assert.deepStrictEqual(play(8), play(60));
+    });
+
+    it("shuffles the same way for the same seed", () => {
+        const positions = (model) => model.getCans().map((can) => can.getPos().x);
+        assert.deepStrictEqual(positions(playRound("a")), positions(playRound("a")));
+    });
+
+    it("places the contents under random cans each round", () => {
+        const start = (seed) => {
+            const model = scope("ShellgameModel")({
+                "numCans": 5,
+                "numRounds": 10,
+                "numShuffles": 1,
+                "shuffleSpeed": 80,
+                "numBeans": 2,
+                "numDecoys": 1
+            }, scope("Random")(seed));
+            model.setLayout(LAYOUT);
+            model.reset();
+
+            const rounds = [];
+            for (let i = 0; i < 10; i++) {
+                model.startRound();
+                rounds.push(model.getCans().map((can) => can.getContents()).join());
+            }
+            return { "model": model, "rounds": rounds };
+        };
+
+        const { model, rounds } = start("test");
+        assert.strictEqual(model.getTarget(), "golden");
+        assert.deepStrictEqual(Array.from(model.getCans(), (can) => can.getContents()).sort(), ["bean", "decoy", "empty", "empty", "golden"]);
+        assert.ok(new Set(rounds).size > 1);
+        assert.deepStrictEqual(start("test").rounds, rounds);
+    });
+
+    it("requires every bean to be found when the goal is all", () => {
+        const model = scope("ShellgameModel")({
+            "numCans": 4,
+            "numRounds": 1,
+            "numShuffles": 1,
+            "shuffleSpeed": 80,
+            "numBeans": 2,
+            "numDecoys": 1,
+            "goal": "all"
+        }, scope("Random")("test"));
+        const cans = model.getCans();
+        const beans = cans.filter((can) => can.containsBeans());
+        assert.strictEqual(beans.length, 2);
+        assert.strictEqual(model.pick(beans[0]), "found");
+        assert.strictEqual(model.pick(beans[1]), "round");
+        assert.strictEqual(model.pick(cans.find((can) => can.is("decoy"))), "decoy");
+        assert.strictEqual(model.pick(cans.find((can) => can.is("empty"))), "wrong");
+    });
+
+    it("is done once every round is complete", () => {
+        const model = playRound("test");
+        assert.strictEqual(model.completeRound(), false);
+        model.startRound();
+        assert.strictEqual(model.completeRound(), true);
+        assert.strictEqual(model.isDone(), true);
+    });
+});
+
+
+describe("shellgame", () => {
+    let captcha = null;
+
+    afterEach(() => {
+        captcha.close();
+        assert.deepStrictEqual(captcha.errors.map((err) => err.message), []);
+    });
+
+    it("succeeds after numRounds correct picks", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?numRounds=2&numShuffles=2&seed=test", "sizes": SIZES });
+        const start = { "x": 5, "y": 5 };
+
+        click(captcha, start);
+        click(captcha, getCans(captcha.document)[0]);
+        assert.strictEqual(getMessages(captcha.messages, "round-complete").length, 1);
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 0);
+
+        click(captcha, start);
+        click(captcha, getCans(captcha.document)[0]);
+        const success = getMessages(captcha.messages, "success");
+        assert.strictEqual(success.length, 1);
+        assert.strictEqual(success[0].payload.round, 2);
+        assert.ok(captcha.messages.includes("success"));
+    });
+
+    it("fails when the wrong can is picked", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?numRounds=2&numShuffles=2&seed=test", "sizes": SIZES });
+
+        click(captcha, { "x": 5, "y": 5 });
+        click(captcha, getCans(captcha.document)[1]);
+        const failed = getMessages(captcha.messages, "failed");
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].payload.reason, "wrong can");
+        assert.ok(!captcha.messages.includes("success"));
+    });
+
+    it("fails with a decoy", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?numRounds=1&numShuffles=1&numDecoys=1&seed=test", "sizes": SIZES });
+        click(captcha, { "x": 5, "y": 5 });
+        const decoy = captcha.document.querySelector(".captcha-can-decoy");
+        assert.match(decoy.querySelector("img").src, /bean\.png/);
+        const left = parseFloat(decoy.style.left) - ((SIZES[".captcha-can"].width - SIZES[".captcha-can-contents"].width) / 2);
+        const can = Array.from(captcha.document.querySelectorAll(".captcha-can")).find((el) => {
+            return Math.abs(el.getBoundingClientRect().left - left) < 1;
+        });
+        const rect = can.getBoundingClientRect();
+        click(captcha, { "x": rect.left + (rect.width / 2), "y": rect.top + (rect.height / 2) });
+
+        const failed = getMessages(captcha.messages, "failed");
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].payload.reason, "decoy");
+        assert.strictEqual(captcha.document.querySelector("#captcha-overlay h2").innerText, "Jebaited");
+    });
+
+    it("succeeds after a pick at every checkpoint", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?numRounds=1&numShuffles=2&numCheckpoints=1&seed=test", "sizes": SIZES });
+
+        click(captcha, { "x": 5, "y": 5 });
+        click(captcha, getCans(captcha.document)[0]);
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 0);
+        click(captcha, getCans(captcha.document)[0]);
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 1);
+    });
+
+    it("succeeds with the cans in a grid", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?numCans=8&numRounds=1&numShuffles=2&seed=test", "sizes": SIZES });
+        assert.strictEqual(captcha.document.getElementById("captcha-table").style.display, "none");
+
+        click(captcha, { "x": 5, "y": 5 });
+        click(captcha, getCans(captcha.document)[0]);
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 1);
+    });
+
+    it("shows the player's statistics when they fail", async () => {
+        const storage = MemoryStorage();
+        const search = "?numRounds=1&numShuffles=2&seed=test";
+        captcha = await loadCaptcha("shellgame", { "search": search, "sizes": SIZES, "storage": storage });
+        click(captcha, { "x": 5, "y": 5 });
+        click(captcha, getCans(captcha.document)[1]);
+
+        const pick = getMessages(captcha.messages, "failed")[0].payload.pick;
+        assert.match(pick, /^[123] of 3$/);
+        const text = captcha.document.querySelector("#captcha-overlay span").innerText;
+        assert.match(text, /Attempt 1\. Losing streak: 1 \(longest: 1\)\./);
+        assert.ok(text.includes(`You picked can ${pick}.`));
+        assert.doesNotMatch(text, /Fastest win/);
+        captcha.close();
+
+        // The statistics carry over when the captcha is loaded again.
+        captcha = await loadCaptcha("shellgame", { "search": search, "sizes": SIZES, "storage": storage });
+        click(captcha, { "x": 5, "y": 5 });
+        click(captcha, getCans(captcha.document)[1]);
+        assert.match(captcha.document.querySelector("#captcha-overlay span").innerText, /Attempt 2\. Losing streak: 2 \(longest: 2\)\./);
+    });
+
+    it("can be played with the keyboard", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?numRounds=1&numShuffles=2&seed=test", "sizes": SIZES });
+        const { window, document } = captcha;
+        const overlay = document.getElementById("captcha-overlay");
+        assert.strictEqual(overlay.getAttribute("aria-live"), "polite");
+
+        keyDown(window, document, "Enter");
+        captcha.clock.tick(ROUND_MS);
+        assert.strictEqual(overlay.style.display, "none");
+        assert.match(document.querySelector(".captcha-sr-only").innerText, /Pick a can/);
+
+        const labels = Array.from(document.querySelectorAll(".captcha-can")).map((el) => el.getAttribute("aria-label"));
+        assert.deepStrictEqual(labels.sort(), ["Can 1 of 3", "Can 2 of 3", "Can 3 of 3"]);
+
+        // Move focus along the row until it reaches the can with the beans.
+        const beans = getCans(document)[0];
+        const isBeans = (el) => {
+            const rect = el.getBoundingClientRect();
+            return (Math.abs(rect.left + (rect.width / 2) - beans.x) < 1);
+        };
+        keyDown(window, document, "ArrowRight");
+        assert.strictEqual(document.activeElement.getAttribute("aria-label"), "Can 1 of 3");
+        for (let i = 1; (i < 3) && !isBeans(document.activeElement); i++) {
+            keyDown(window, document, "ArrowRight");
+        }
+        assert.ok(isBeans(document.activeElement));
+
+        keyDown(window, document, " ");
+        captcha.clock.tick(ROUND_MS);
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 1);
+    });
+
+    it("passes a cheated pick that is called out", async () => {
+        const sizes = Object.assign({ ".captcha-cheater": { "width": 100, "height": 30 } }, SIZES);
+        captcha = await loadCaptcha("shellgame", { "search": "?numRounds=1&numShuffles=2&cheatChance=1&seed=test", "sizes": sizes });
+        const cheater = captcha.document.querySelector(".captcha-cheater");
+        click(captcha, { "x": 5, "y": 5 });
+        assert.strictEqual(cheater.style.display, "none");
+
+        mouse(captcha.window, captcha.document, "mouseup", getCans(captcha.document)[0].x, getCans(captcha.document)[0].y);
+        captcha.clock.tick(1000);
+        assert.strictEqual(cheater.style.display, "block");
+
+        click(captcha, { "x": 5, "y": 5 });
+        assert.strictEqual(cheater.style.display, "none");
+        assert.strictEqual(getMessages(captcha.messages, "success").length, 1);
+    });
+
+    it("does not record a cheated pick that is not called out as a wrong pick", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?numRounds=1&numShuffles=2&cheatChance=1&seed=test", "sizes": SIZES });
+        click(captcha, { "x": 5, "y": 5 });
+        mouse(captcha.window, captcha.document, "mouseup", getCans(captcha.document)[0].x, getCans(captcha.document)[0].y);
+        captcha.clock.tick(ROUND_MS);
+
+        const failed = getMessages(captcha.messages, "failed");
+        assert.strictEqual(failed.length, 1);
+        assert.strictEqual(failed[0].payload.reason, "cheated");
+        assert.strictEqual(failed[0].payload.pick, undefined);
+        assert.doesNotMatch(captcha.document.querySelector("#captcha-overlay span").innerText, /You picked/);
+    });
+
+    it("fails a wrong pick that is not called out, or is falsely called out", async () => {
+        const sizes = Object.assign({ ".captcha-cheater": { "width": 100, "height": 30 } }, SIZES);
+        captcha = await loadCaptcha("shellgame", { "search": "?numRounds=1&numShuffles=2&cheatChance=1&seed=test", "sizes": sizes });
+        const cheater = captcha.document.querySelector(".captcha-cheater");
+        click(captcha, { "x": 5, "y": 5 });
+        click(captcha, getCans(captcha.document)[1]);
+        assert.strictEqual(cheater.style.display, "none");
+        assert.strictEqual(getMessages(captcha.messages, "failed")[0].payload.reason, "wrong can");
+
+        click(captcha, { "x": 5, "y": 5 });
+        click(captcha, { "x": 5, "y": 5 });
+        mouse(captcha.window, captcha.document, "mouseup", getCans(captcha.document)[1].x, getCans(captcha.document)[1].y);
+        captcha.clock.tick(1000);
+        click(captcha, { "x": 5, "y": 5 });
+        assert.strictEqual(getMessages(captcha.messages, "failed")[1].payload.reason, "false accusation");
+    });
+
+    it("shows the distractions of the evil preset while shuffling", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?difficulty=evil&numRounds=1&seed=test", "sizes": SIZES });
+        mouse(captcha.window, captcha.document, "mouseup", 5, 5);
+
+        const seen = new Set();
+        for (let ms = 0; ms < ROUND_MS; ms += 16) {
+            captcha.clock.tick(16);
+            const el = captcha.document.querySelector(".captcha-distraction");
+            if (el && (el.style.display != "none")) {
+                seen.add(el.className);
+            }
+        }
+        assert.ok(seen.size > 0);
+        assert.strictEqual(captcha.document.querySelector(".captcha-distraction").style.display, "none");
+    });
+
+    it("uses the shuffles of the difficulty preset", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?difficulty=hard", "sizes": SIZES });
+        const settings = captcha.app.model.getSettings();
+        assert.strictEqual(settings.numShuffles, 7);
+        assert.strictEqual(settings.shuffleSpeed, 60);
+        assert.strictEqual(getMessages(captcha.messages, "ready")[0].payload.difficulty, "hard");
+    });
+
+    it("lets query parameters override the difficulty preset", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?difficulty=evil&numShuffles=2", "sizes": SIZES });
+        const settings = captcha.app.model.getSettings();
+        assert.strictEqual(settings.numShuffles, 2);
+        assert.strictEqual(settings.shuffleSpeed, 40);
+    });
+
+    it("ignores query parameters that are invalid or out of range", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?numCans=0&numRounds=abc&numShuffles=4", "sizes": SIZES });
+        const settings = captcha.app.model.getSettings();
+        assert.strictEqual(captcha.app.model.getCans().length, 3);
+        assert.strictEqual(settings.numRounds, 3);
+        assert.strictEqual(settings.numShuffles, 4);
+
+        assert.strictEqual(captcha.warnings.length, 1);
+        assert.match(captcha.warnings[0], /numCans=0 \(must be at least 2\)/);
+        const banner = captcha.document.querySelector(".captcha-config-warning");
+        assert.match(banner.innerText, /numRounds=abc \(must be a whole number\)/);
+        assert.doesNotMatch(banner.innerText, /numShuffles/);
+    });
+
+    it("falls back to normal for an unknown difficulty", async () => {
+        captcha = await loadCaptcha("shellgame", { "search": "?difficulty=nightmare", "sizes": SIZES });
+        assert.strictEqual(captcha.app.model.getSettings().numShuffles, 5);
+        assert.strictEqual(getMessages(captcha.messages, "ready")[0].payload.difficulty, "normal");
+    });
+});